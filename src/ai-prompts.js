@@ -0,0 +1,71 @@
+/**
+ * Moon OCR Reader — AI Prompts
+ * Prompts shared by every vision/merge provider, so switching providers
+ * changes the model but not the instructions.
+ */
+import { langHint } from './languages.js';
+
+// Bump whenever the vision/merge prompts change so cached results are invalidated
+export const PROMPT_VERSION = 3;
+
+export function visionPrompt(lang) {
+  return `이 이미지에서 텍스트를 정확하게 읽어주세요.
+
+규칙:
+- 이미지에 보이는 텍스트만 추출하세요
+- 원본의 줄바꿈과 단락 구조를 최대한 유지하세요
+- 표, 목록 등의 구조가 있으면 보존하세요
+- 텍스트가 아닌 설명이나 해석은 추가하지 마세요
+- 주 언어: ${langHint(lang)}
+
+이미지의 텍스트를 그대로 출력하세요:`;
+}
+
+export function tablePrompt(lang) {
+  return `이 이미지에 있는 모든 표를 셀 단위로 읽어주세요.
+
+규칙:
+- 표마다 행(row) 배열을 만들고, 각 행은 셀 텍스트의 배열로 만드세요
+- 병합된 셀은 첫 칸에 텍스트를 넣고 나머지 칸은 빈 문자열로 채우세요
+- 모든 행의 셀 개수를 같게 맞추세요
+- 표가 아닌 본문 텍스트는 포함하지 마세요
+- 주 언어: ${langHint(lang)}
+
+형식: {"tables": [{"rows": [["셀", "셀"], ["셀", "셀"]]}]} — 표가 없으면 {"tables": []}`;
+}
+
+export function mergePrompt(ocrText, visionText, lang) {
+  return `당신은 OCR 텍스트 교정 전문가입니다. 같은 이미지를 두 가지 방법으로 인식한 결과가 있습니다.
+
+## OCR 엔진 결과 (Tesseract — 글자 단위 정밀 인식):
+\`\`\`
+${ocrText}
+\`\`\`
+
+## AI Vision 결과 (멀티모달 모델 — 문맥 기반 인식):
+\`\`\`
+${visionText}
+\`\`\`
+
+## 병합 규칙:
+1. 두 결과를 교차 검증하여 가장 정확한 최종 텍스트를 만드세요
+2. OCR이 글자를 놓치거나 오인식한 부분은 Vision 결과로 보완하세요
+3. Vision이 문맥상 추측한 부분은 OCR의 정확한 글자 인식으로 검증하세요
+4. 원본의 줄바꿈, 단락, 구조를 유지하세요
+5. 주 언어: ${langHint(lang)}
+6. 병합된 텍스트만 출력하세요 — 설명, 주석, 마크다운 코드블록 래핑 없이 순수 텍스트만
+
+병합된 최종 텍스트:`;
+}
+
+/**
+ * Read the `{"tables": [...]}` answer of the table prompt. Models without a JSON
+ * mode sometimes wrap it in a code fence, so that is stripped first.
+ * @param {string} text
+ * @returns {Array<{rows: Array<Array<string>>}>}
+ */
+export function parseTablesResponse(text) {
+  const json = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  const parsed = JSON.parse(json || '{}');
+  return Array.isArray(parsed.tables) ? parsed.tables.filter(t => Array.isArray(t?.rows)) : [];
+}
@@ -0,0 +1,193 @@
+/**
+ * Moon OCR Reader — AI Provider Layer
+ * Routes vision reads, table reads and merges to the provider chosen in settings.
+ * Settings (provider, per-provider model / base URL / key) live in localStorage only.
+ */
+import { geminiProvider } from './gemini-vision.js';
+import { openAiCompatibleProvider } from './openai-provider.js';
+import { mockProvider } from './mock-provider.js';
+import { aiQueue } from './ai-queue.js';
+import { localMerge } from './local-merge.js';
+
+export { PROMPT_VERSION } from './ai-prompts.js';
+
+/**
+ * @typedef {Object} AiProvider
+ * @property {string} id
+ * @property {string} label
+ * @property {string} defaultModel
+ * @property {string[]} suggestedModels
+ * @property {{concurrency: number, requestsPerMinute: number}} defaultLimits - Request queue limits
+ * @property {boolean} usesApiKey
+ * @property {boolean} usesBaseUrl
+ * @property {string} [defaultBaseUrl]
+ * @property {string} [keyHelpUrl]
+ * @property {(config: ProviderConfig) => boolean} isConfigured
+ * @property {(image: Blob, lang: string, config: ProviderConfig, options: RequestOptions) => Promise<string>} readText
+ * @property {(image: Blob, lang: string, config: ProviderConfig, options: RequestOptions) => Promise<Array<{rows: string[][]}>>} readTables
+ * @property {(ocrText: string, visionText: string, lang: string, config: ProviderConfig, options: RequestOptions) => Promise<string>} merge
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Aborts the request when the run is cancelled
+ */
+
+/**
+ * @typedef {Object} ProviderConfig
+ * @property {string} model
+ * @property {string} [baseUrl]
+ * @property {string} [apiKey]
+ * @property {number} concurrency - Parallel requests
+ * @property {number} requestsPerMinute - 0 = no limit
+ */
+
+export const AI_PROVIDERS = {
+  [geminiProvider.id]: geminiProvider,
+  [openAiCompatibleProvider.id]: openAiCompatibleProvider,
+  [mockProvider.id]: mockProvider,
+};
+
+/**
+ * How OCR and Vision text are reconciled: a second model call, or local
+ * alignment and voting on Tesseract confidences (see local-merge.js)
+ */
+export const MERGE_STRATEGIES = {
+  llm: 'AI 모델 병합 (이미지당 추가 호출)',
+  local: '로컬 정렬·투표 (오프라인, 결정적)',
+};
+
+const STORAGE_KEY = 'moon-ocr-ai-settings';
+const LEGACY_GEMINI_KEY = 'moon-ocr-gemini-api-key';
+
+function defaultSettings() {
+  return {
+    provider: geminiProvider.id,
+    mergeStrategy: 'llm',
+    providers: Object.fromEntries(Object.values(AI_PROVIDERS).map(p => [p.id, {
+      model: p.defaultModel,
+      ...p.defaultLimits,
+      ...(p.usesBaseUrl ? { baseUrl: p.defaultBaseUrl } : {}),
+      ...(p.usesApiKey ? { apiKey: '' } : {}),
+    }])),
+  };
+}
+
+/**
+ * Current settings merged over defaults (a key saved by older versions is carried over)
+ * @returns {{provider: string, mergeStrategy: string, providers: Object<string, ProviderConfig>}}
+ */
+export function getAiSettings() {
+  const settings = defaultSettings();
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    // corrupted settings — fall back to defaults
+  }
+
+  if (stored) {
+    if (AI_PROVIDERS[stored.provider]) settings.provider = stored.provider;
+    if (MERGE_STRATEGIES[stored.mergeStrategy]) settings.mergeStrategy = stored.mergeStrategy;
+    for (const [id, config] of Object.entries(stored.providers || {})) {
+      if (settings.providers[id]) Object.assign(settings.providers[id], config);
+    }
+  } else {
+    const legacyKey = localStorage.getItem(LEGACY_GEMINI_KEY)?.trim();
+    if (legacyKey) settings.providers.gemini.apiKey = legacyKey;
+  }
+  return settings;
+}
+
+/**
+ * Persist settings
+ * @param {{provider: string, mergeStrategy: string, providers: Object<string, ProviderConfig>}} settings
+ */
+export function saveAiSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  localStorage.removeItem(LEGACY_GEMINI_KEY);
+}
+
+function active() {
+  const settings = getAiSettings();
+  return { provider: AI_PROVIDERS[settings.provider], config: settings.providers[settings.provider] };
+}
+
+/**
+ * Check if the selected provider has what it needs to run
+ */
+export function isAiAvailable() {
+  const { provider, config } = active();
+  return provider.isConfigured(config);
+}
+
+/**
+ * Identifier of the active provider and model, e.g. `gemini:gemini-2.5-flash`.
+ * Part of the result cache key and of exported provenance.
+ */
+export function getAiModelId() {
+  const { provider, config } = active();
+  return `${provider.id}:${config.model}`;
+}
+
+/**
+ * Active merge strategy — part of the result cache key and of exported provenance
+ * @returns {'llm'|'local'}
+ */
+export function getMergeStrategy() {
+  return getAiSettings().mergeStrategy;
+}
+
+/**
+ * Short label for status tooltips, e.g. `Google Gemini · gemini-2.5-flash`
+ */
+export function getAiLabel() {
+  const { provider, config } = active();
+  return `${provider.label} · ${config.model}`;
+}
+
+/**
+ * Run a provider method through the shared request queue with the active limits
+ */
+function run(method, { key, signal }, ...args) {
+  const { provider, config } = active();
+  aiQueue.configure({ concurrency: config.concurrency, requestsPerMinute: config.requestsPerMinute });
+  return aiQueue.enqueue(taskSignal => provider[method](...args, config, { signal: taskSignal }), { key, signal });
+}
+
+/**
+ * Path B: read text straight from the image with the selected model
+ * @param {Blob} imageFile - Original image file
+ * @param {string} lang - Language hint (e.g. 'kor', 'eng', 'eng+kor')
+ * @param {Object} options
+ * @param {string} [options.key] - Result id, for queue status on its card
+ * @param {AbortSignal} [options.signal] - Cancels the request, queued or in flight
+ * @returns {Promise<string>}
+ */
+export function visionRead(imageFile, lang = 'kor', options = {}) {
+  return run('readText', options, imageFile, lang);
+}
+
+/**
+ * Table mode: every table in the image as a grid of cells
+ * @returns {Promise<Array<{rows: string[][]}>>}
+ */
+export function readTables(imageFile, lang = 'kor', options = {}) {
+  return run('readTables', options, imageFile, lang);
+}
+
+/**
+ * Merge step: reconcile OCR and vision text with the run's strategy
+ * @param {Object} options - Queue options (`key`, `signal`), plus:
+ * @param {'ai'|'local'} options.strategy - Strategy captured when the run started, so changing
+ *   the setting mid-run does not mix strategies within one session
+ * @param {Array} [options.lines] - OCR lines with word confidences (local strategy)
+ * @param {number} [options.confidence] - OCR page confidence (local strategy)
+ * @returns {Promise<string>}
+ */
+export function mergeResults(ocrText, visionText, lang = 'kor', { strategy, lines, confidence, ...options } = {}) {
+  if (strategy === 'local') {
+    return Promise.resolve(localMerge(ocrText, visionText, { lines, confidence }));
+  }
+  return run('merge', options, ocrText, visionText, lang);
+}
@@ -0,0 +1,199 @@
+/**
+ * Moon OCR Reader — AI Request Queue
+ * One scheduler for every AI call: concurrency cap, requests-per-minute window,
+ * exponential backoff with jitter on 429/5xx, and Retry-After support.
+ * Jobs can be cancelled with an AbortSignal, and the whole queue paused.
+ */
+
+const WINDOW_MS = 60_000;
+
+/**
+ * Milliseconds to wait from a Retry-After header value (seconds or HTTP date)
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Rate limits and server errors are worth retrying; bad requests and auth errors are not.
+ * Network failures (fetch TypeError) have no status and are retried too.
+ */
+function isRetryable(err) {
+  if (err?.status === undefined) return err instanceof TypeError;
+  return err.status === 429 || err.status === 408 || err.status >= 500;
+}
+
+class AiRequestQueue {
+  constructor() {
+    this.concurrency = 4;
+    this.requestsPerMinute = 0; // 0 = no limit
+    this.maxRetries = 4;
+    this.baseDelayMs = 1000;
+    this.maxDelayMs = 60_000;
+
+    this.pending = [];      // jobs waiting to start, in order
+    this.running = new Set();
+    this.startTimes = [];   // request starts inside the rate window
+    this.pausedUntil = 0;   // a 429 pauses everyone, not just the job that hit it
+    this.paused = false;    // user pause — running jobs finish, nothing new starts
+    this.timer = null;
+    this.listeners = new Set();
+    this.jobCounter = 0;
+  }
+
+  /**
+   * @param {{concurrency?: number, requestsPerMinute?: number}} limits
+   */
+  configure({ concurrency, requestsPerMinute } = {}) {
+    if (concurrency > 0) this.concurrency = concurrency;
+    if (requestsPerMinute >= 0) this.requestsPerMinute = requestsPerMinute;
+    this.pump();
+  }
+
+  pause() {
+    this.paused = true;
+    this.notify();
+  }
+
+  resume() {
+    this.paused = false;
+    this.notify();
+    this.pump();
+  }
+
+  /**
+   * Queue an AI call
+   * @param {(signal?: AbortSignal) => Promise<*>} task - Called again on retry
+   * @param {Object} options
+   * @param {string} [options.key] - Groups requests for status display (e.g. result id)
+   * @param {AbortSignal} [options.signal] - Drops the job if still queued, and is passed to the task
+   * @returns {Promise<*>}
+   */
+  enqueue(task, { key = null, signal } = {}) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    return new Promise((resolve, reject) => {
+      const onAbort = () => this.abort(job);
+      const settle = fn => value => {
+        signal?.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+      const job = { id: ++this.jobCounter, task, key, signal, resolve: settle(resolve), reject: settle(reject), attempt: 0, notBefore: 0, lastError: null };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.pending.push(job);
+      this.notify();
+      this.pump();
+    });
+  }
+
+  abort(job) {
+    const index = this.pending.indexOf(job);
+    if (index !== -1) this.pending.splice(index, 1);
+    // A running task sees the same signal; reject now in case it ignores it
+    job.reject(job.signal.reason);
+    this.notify();
+    this.pump();
+  }
+
+  /**
+   * Where the requests for a key stand
+   * @returns {{state: 'running'}|{state: 'queued'|'paused', position: number}|{state: 'retrying', attempt: number, waitMs: number, error: string}|null}
+   */
+  getStatus(key) {
+    if ([...this.running].some(job => job.key === key)) return { state: 'running' };
+
+    const index = this.pending.findIndex(job => job.key === key);
+    if (index === -1) return null;
+    const job = this.pending[index];
+    if (this.paused) return { state: 'paused', position: index + 1 };
+    if (job.attempt > 0) {
+      return {
+        state: 'retrying',
+        attempt: job.attempt,
+        waitMs: Math.max(0, job.notBefore - Date.now(), this.pausedUntil - Date.now()),
+        error: job.lastError?.message || '',
+      };
+    }
+    return { state: 'queued', position: index + 1 };
+  }
+
+  /**
+   * @param {Function} listener - Called whenever jobs start, finish or back off
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener());
+  }
+
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    this.startTimes = this.startTimes.filter(t => now - t < WINDOW_MS);
+    let wakeAt = Infinity;
+    if (this.paused) return;
+
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      if (now < this.pausedUntil) { wakeAt = this.pausedUntil; break; }
+      if (this.requestsPerMinute > 0 && this.startTimes.length >= this.requestsPerMinute) {
+        wakeAt = this.startTimes[0] + WINDOW_MS;
+        break;
+      }
+      const index = this.pending.findIndex(job => job.notBefore <= now);
+      if (index === -1) {
+        wakeAt = Math.min(...this.pending.map(job => job.notBefore));
+        break;
+      }
+      const [job] = this.pending.splice(index, 1);
+      this.start(job);
+    }
+
+    if (wakeAt !== Infinity) this.timer = setTimeout(() => this.pump(), Math.max(0, wakeAt - Date.now()));
+  }
+
+  start(job) {
+    this.running.add(job);
+    this.startTimes.push(Date.now());
+    this.notify();
+
+    Promise.resolve()
+      .then(() => job.task(job.signal))
+      .then(job.resolve, err => this.handleFailure(job, err))
+      .finally(() => {
+        this.running.delete(job);
+        this.notify();
+        this.pump();
+      });
+  }
+
+  handleFailure(job, err) {
+    if (job.signal?.aborted || !isRetryable(err) || job.attempt >= this.maxRetries) {
+      job.reject(err);
+      return;
+    }
+
+    // Equal jitter: at least half the backoff, plus a random share of the rest,
+    // so a burst of 429s does not retry in lockstep
+    const backoff = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** job.attempt);
+    const delay = err.retryAfterMs ?? backoff / 2 + Math.random() * backoff / 2;
+    job.attempt++;
+    job.lastError = err;
+    job.notBefore = Date.now() + delay;
+    if (err.status === 429) this.pausedUntil = Math.max(this.pausedUntil, job.notBefore);
+    this.pending.unshift(job);
+  }
+}
+
+export const aiQueue = new AiRequestQueue();
+export default aiQueue;
@@ -0,0 +1,186 @@
+/**
+ * Moon OCR Reader — Batch Control
+ * Cancel and pause for one OCR run: an AbortSignal for everything started by
+ * the run, and a pause gate that stops new work from being handed out. Also
+ * the run's backpressure window and throughput meter.
+ */
+
+/**
+ * @param {string} [message]
+ * @returns {DOMException} an `AbortError`, like the one fetch rejects with
+ */
+export function abortError(message = '작업이 취소되었습니다') {
+  return new DOMException(message, 'AbortError');
+}
+
+export function isAbortError(err) {
+  return err?.name === 'AbortError';
+}
+
+/**
+ * Reject as soon as the signal aborts, even if the promise itself never settles
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+export class BatchControl {
+  constructor() {
+    this.controller = new AbortController();
+    this.paused = false;
+    this.resumeWaiters = [];
+    this.startedAt = performance.now();
+    this.pausedAt = null;
+    this.pausedMs = 0;
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  get cancelled() {
+    return this.controller.signal.aborted;
+  }
+
+  pause() {
+    if (this.paused || this.cancelled) return;
+    this.paused = true;
+    this.pausedAt = performance.now();
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.endPause();
+    this.releaseWaiters();
+  }
+
+  cancel() {
+    if (this.cancelled) return;
+    this.paused = false;
+    this.endPause();
+    this.controller.abort(abortError());
+    this.releaseWaiters();
+  }
+
+  /**
+   * Resolves right away when running, otherwise on resume or cancel —
+   * check `cancelled` afterwards
+   * @returns {Promise<void>}
+   */
+  whenRunning() {
+    if (!this.paused) return Promise.resolve();
+    return new Promise(resolve => this.resumeWaiters.push(resolve));
+  }
+
+  releaseWaiters() {
+    this.resumeWaiters.splice(0).forEach(resolve => resolve());
+  }
+
+  endPause() {
+    if (this.pausedAt === null) return;
+    this.pausedMs += performance.now() - this.pausedAt;
+    this.pausedAt = null;
+  }
+
+  /**
+   * @returns {number} ms since the run started, not counting pauses
+   */
+  elapsed() {
+    return (this.pausedAt ?? performance.now()) - this.startedAt - this.pausedMs;
+  }
+}
+
+/**
+ * Caps how many items of a run are in flight at once. Slots are granted in the
+ * order they were asked for, so a consumer taking items in that same order is
+ * never left waiting on an item queued behind ones it can't start yet.
+ */
+export class InFlightLimit {
+  /**
+   * @param {number} limit
+   */
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiters = [];
+  }
+
+  /**
+   * Wait for a free slot; pair every resolved call with `release()`
+   * @param {AbortSignal} [signal] - Stops waiting, without taking a slot
+   * @returns {Promise<void>}
+   */
+  acquire(signal) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    if (this.active < this.limit && this.waiters.length === 0) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(signal.reason);
+      };
+      const waiter = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiters.push(waiter);
+    });
+  }
+
+  release() {
+    const next = this.waiters.shift();
+    // The slot passes straight to the next waiter
+    if (next) next();
+    else this.active--;
+  }
+}
+
+/**
+ * Rate of recent completions, for throughput and time-left estimates
+ */
+export class ThroughputMeter {
+  /**
+   * @param {() => number} clock - ms, e.g. `() => batch.elapsed()` so pauses don't count
+   * @param {number} [span] - Completions the rate is averaged over
+   */
+  constructor(clock, span = 20) {
+    this.clock = clock;
+    this.span = span;
+    this.marks = [clock()];
+  }
+
+  tick() {
+    this.marks.push(this.clock());
+    if (this.marks.length > this.span + 1) this.marks.shift();
+  }
+
+  /**
+   * @returns {number|null} completions per minute, null before the first one
+   */
+  perMinute() {
+    const duration = this.marks[this.marks.length - 1] - this.marks[0];
+    return this.marks.length > 1 && duration > 0 ? ((this.marks.length - 1) / duration) * 60000 : null;
+  }
+
+  /**
+   * @param {number} count - Items left
+   * @returns {number|null} ms
+   */
+  remaining(count) {
+    const rate = this.perMinute();
+    return rate ? (count / rate) * 60000 : null;
+  }
+}
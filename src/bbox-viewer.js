@@ -0,0 +1,160 @@
+/**
+ * Moon OCR Reader — Bounding-Box Viewer
+ * Draws OCR line/word boxes over the source image, linked both ways to the recognized text
+ */
+import { escapeHtml } from './escape.js';
+
+/**
+ * Confidence bucket used for box and text coloring
+ * @param {number} confidence - 0-100
+ * @returns {'high'|'mid'|'low'}
+ */
+export function confidenceLevel(confidence) {
+  if (confidence >= 85) return 'high';
+  if (confidence >= 60) return 'mid';
+  return 'low';
+}
+
+function rectAttrs(bbox) {
+  return `x="${bbox.x0}" y="${bbox.y0}" width="${bbox.x1 - bbox.x0}" height="${bbox.y1 - bbox.y0}"`;
+}
+
+export class BboxViewer {
+  /**
+   * @param {HTMLElement} container - Element the viewer renders into
+   * @param {Object} data
+   * @param {string} data.imageUrl - Image the boxes were recognized on
+   * @param {{width: number, height: number}} data.imageSize - Pixel size of that image
+   * @param {Array<{text: string, confidence: number, bbox: Object, words?: Array}>} data.lines
+   */
+  constructor(container, { imageUrl, imageSize, lines }) {
+    this.container = container;
+    this.imageUrl = imageUrl;
+    this.imageSize = imageSize;
+    this.lines = lines || [];
+
+    this.onStageClick = this.onStageClick.bind(this);
+    this.onTextClick = this.onTextClick.bind(this);
+    this.onTextMouseUp = this.onTextMouseUp.bind(this);
+    this.onToggle = this.onToggle.bind(this);
+
+    this.render();
+  }
+
+  render() {
+    const { width, height } = this.imageSize;
+
+    const lineRects = this.lines.map((line, li) =>
+      `<rect class="bbox-line conf-${confidenceLevel(line.confidence)}" data-line="${li}" ${rectAttrs(line.bbox)}><title>${escapeHtml(line.text)} (${line.confidence.toFixed(0)}%)</title></rect>`
+    ).join('');
+
+    const wordRects = this.lines.map((line, li) => (line.words || []).map((word, wi) =>
+      `<rect class="bbox-word conf-${confidenceLevel(word.confidence)}" data-line="${li}" data-word="${wi}" ${rectAttrs(word.bbox)}><title>${escapeHtml(word.text)} (${word.confidence.toFixed(0)}%)</title></rect>`
+    ).join('')).join('');
+
+    const textLines = this.lines.map((line, li) => {
+      const words = line.words?.length
+        ? line.words.map((word, wi) =>
+          `<span class="bbox-text-word conf-${confidenceLevel(word.confidence)}" data-line="${li}" data-word="${wi}">${escapeHtml(word.text)}</span>`
+        ).join(' ')
+        : escapeHtml(line.text);
+      return `<div class="bbox-text-line" data-line="${li}">${words}</div>`;
+    }).join('');
+
+    this.container.innerHTML = `
+      <div class="bbox-toolbar">
+        <label><input type="checkbox" data-bbox-layer="line" checked /> 줄</label>
+        <label><input type="checkbox" data-bbox-layer="word" checked /> 단어</label>
+        <span class="bbox-legend">
+          <span class="bbox-legend-item conf-high">≥85%</span>
+          <span class="bbox-legend-item conf-mid">60–85%</span>
+          <span class="bbox-legend-item conf-low">&lt;60%</span>
+        </span>
+      </div>
+      <div class="bbox-viewer-grid">
+        <div class="bbox-stage">
+          <img src="${this.imageUrl}" alt="" />
+          <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            <g class="bbox-layer-line">${lineRects}</g>
+            <g class="bbox-layer-word">${wordRects}</g>
+          </svg>
+        </div>
+        <div class="bbox-text">${textLines || '<div class="result-empty">박스 정보가 없습니다</div>'}</div>
+      </div>
+    `;
+
+    this.stage = this.container.querySelector('.bbox-stage');
+    this.text = this.container.querySelector('.bbox-text');
+    this.stage.addEventListener('click', this.onStageClick);
+    this.text.addEventListener('click', this.onTextClick);
+    this.text.addEventListener('mouseup', this.onTextMouseUp);
+    this.container.querySelectorAll('[data-bbox-layer]').forEach(input => {
+      input.addEventListener('change', this.onToggle);
+    });
+  }
+
+  onToggle(e) {
+    const layer = this.container.querySelector(`.bbox-layer-${e.target.dataset.bboxLayer}`);
+    layer?.classList.toggle('hidden', !e.target.checked);
+  }
+
+  /**
+   * Box → text: highlight the word (or whole line) and scroll it into view
+   */
+  onStageClick(e) {
+    const rect = e.target.closest('rect');
+    if (!rect) {
+      this.highlight([]);
+      return;
+    }
+    const target = { line: Number(rect.dataset.line), word: rect.dataset.word !== undefined ? Number(rect.dataset.word) : null };
+    this.highlight([target]);
+
+    const selector = target.word === null
+      ? `.bbox-text-line[data-line="${target.line}"]`
+      : `.bbox-text-word[data-line="${target.line}"][data-word="${target.word}"]`;
+    this.text.querySelector(selector)?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }
+
+  onTextClick(e) {
+    if (!window.getSelection()?.isCollapsed) return; // handled by mouseup
+    const wordEl = e.target.closest('.bbox-text-word');
+    const lineEl = e.target.closest('.bbox-text-line');
+    if (wordEl) {
+      this.highlight([{ line: Number(wordEl.dataset.line), word: Number(wordEl.dataset.word) }]);
+    } else if (lineEl) {
+      this.highlight([{ line: Number(lineEl.dataset.line), word: null }]);
+    }
+  }
+
+  /**
+   * Text → box: every word touched by the selection lights up
+   */
+  onTextMouseUp() {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed) return;
+
+    const targets = Array.from(this.text.querySelectorAll('.bbox-text-word'))
+      .filter(el => selection.containsNode(el, true))
+      .map(el => ({ line: Number(el.dataset.line), word: Number(el.dataset.word) }));
+    this.highlight(targets);
+  }
+
+  /**
+   * @param {Array<{line: number, word: number|null}>} targets - word null = whole line
+   */
+  highlight(targets) {
+    this.container.querySelectorAll('.active').forEach(el => el.classList.remove('active'));
+
+    for (const { line, word } of targets) {
+      const selectors = word === null
+        ? [`.bbox-line[data-line="${line}"]`, `.bbox-text-line[data-line="${line}"]`]
+        : [`.bbox-word[data-line="${line}"][data-word="${word}"]`, `.bbox-text-word[data-line="${line}"][data-word="${word}"]`];
+      selectors.forEach(sel => this.container.querySelector(sel)?.classList.add('active'));
+    }
+  }
+
+  destroy() {
+    this.container.innerHTML = '';
+  }
+}
@@ -0,0 +1,286 @@
+/**
+ * Moon OCR Reader — Camera Capture
+ * Live camera preview that outlines the page it sees and takes the picture by
+ * itself once the page has held still and is in focus. Each capture is
+ * straightened to the page outline; after a capture the next one waits until
+ * the page is turned or replaced, so a stack of forms can be shot in a row.
+ */
+import { toGray } from './image-utils.js';
+import { detectDocument, measureSharpness, frameDifference, cornerDrift, quadBounds, warpDocument } from './document-detect.js';
+
+export const ANALYSIS_WIDTH = 480;      // frames are analysed at this width
+export const ANALYZE_INTERVAL_MS = 150;
+const STEADY_FRAMES = 6;         // consecutive still frames before the auto-shutter fires (~1s)
+const STEADY_DRIFT = 0.015;      // corner movement relative to the frame diagonal
+const STEADY_MOTION = 4;         // mean pixel change (0-255) — sensor noise stays below this
+const REARM_MOTION = 12;         // change that counts as turning the page
+const MIN_SHARPNESS = 60;        // Laplacian variance inside the page at the analysis width
+const JPEG_QUALITY = 0.92;
+
+const TONE_COLORS = {
+  warning: '#f59e0b',
+  steadying: '#8b5cf6',
+  ready: '#10b981',
+  done: '#10b981',
+};
+
+/**
+ * Judges analysed frames one after another: where the page is, and whether the
+ * auto-shutter may fire — the page must be sharp and held still for
+ * STEADY_FRAMES frames, and after a capture it waits until the page is taken
+ * away or turned. Pure state, so it can be driven with synthetic frames.
+ */
+export class AutoShutter {
+  constructor() {
+    this.previous = null;    // {gray, quad} of the last analysed frame
+    this.steadyFrames = 0;
+    this.armed = true;       // false after a capture until the page changes
+  }
+
+  /**
+   * The page in the last analysed frame
+   * @returns {import('./document-detect.js').DocumentQuad|null}
+   */
+  get quad() {
+    return this.previous?.quad ?? null;
+  }
+
+  /**
+   * @param {Uint8ClampedArray} gray - Frame at the analysis size
+   * @param {number} width
+   * @param {number} height
+   * @returns {'searching'|'done'|'warning'|'steadying'|'ready'} 'ready' when a picture should be taken
+   */
+  analyze(gray, width, height) {
+    const quad = detectDocument(gray, width, height);
+    const motion = frameDifference(gray, this.previous?.gray);
+    const drift = cornerDrift(quad, this.previous?.quad, width, height);
+    this.previous = { gray, quad };
+
+    if (!this.armed && (!quad || motion > REARM_MOTION)) this.armed = true;
+    this.steadyFrames = quad && drift < STEADY_DRIFT && motion < STEADY_MOTION ? this.steadyFrames + 1 : 0;
+
+    if (!quad) return 'searching';
+    if (!this.armed) return 'done';
+    if (measureSharpness(gray, width, height, quadBounds(quad.corners, 0.1)) < MIN_SHARPNESS) return 'warning';
+    if (this.steadyFrames < STEADY_FRAMES) return 'steadying';
+    return 'ready';
+  }
+
+  /**
+   * A picture was taken — hold off until the next page
+   */
+  captured() {
+    this.armed = false;
+    this.steadyFrames = 0;
+  }
+
+  /**
+   * The analysis size changed — the last frame can't be compared any more
+   */
+  reset() {
+    this.previous = null;
+  }
+}
+
+const STATUS_TEXT = {
+  searching: '문서를 화면 안에 맞춰 주세요',
+  done: '촬영했습니다 · 다음 페이지를 올려 주세요',
+  warning: '초점이 맞지 않습니다 · 카메라를 조금 떨어뜨려 주세요',
+  steadying: '그대로 유지해 주세요...',
+};
+
+/**
+ * The rear camera where there is one
+ * @returns {Promise<MediaStream>}
+ */
+async function openDeviceCamera() {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new Error('이 브라우저에서는 카메라를 쓸 수 없습니다 (HTTPS 연결이 필요합니다)');
+  }
+  try {
+    return await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: { ideal: 'environment' }, width: { ideal: 1920 }, height: { ideal: 1080 } },
+      audio: false,
+    });
+  } catch (err) {
+    if (err.name === 'NotAllowedError') throw new Error('카메라 권한이 거부되었습니다');
+    if (err.name === 'NotFoundError') throw new Error('카메라를 찾을 수 없습니다');
+    throw err;
+  }
+}
+
+export class CameraCapture {
+  /**
+   * @param {HTMLElement} container - Element the preview renders into
+   * @param {Object} options
+   * @param {(file: File) => void} options.onCapture - Called with each page as a JPEG file
+   * @param {() => void} [options.onClose] - The close button was pressed
+   * @param {() => Promise<MediaStream>} [options.getStream] - Video source; the device camera by
+   *   default. Tests pass a synthetic stream (see fake-camera.js)
+   */
+  constructor(container, { onCapture, onClose = () => {}, getStream = openDeviceCamera }) {
+    this.container = container;
+    this.onCapture = onCapture;
+    this.getStream = getStream;
+    this.stream = null;
+    this.timer = null;
+    this.destroyed = false;
+    this.autoShutter = true;
+    this.count = 0;
+    this.shutter = new AutoShutter();
+    this.capturing = false;
+
+    container.innerHTML = `
+      <div class="camera-viewport">
+        <video class="camera-video" playsinline muted></video>
+        <canvas class="camera-overlay"></canvas>
+        <div class="camera-flash"></div>
+      </div>
+      <div class="camera-status">카메라를 여는 중...</div>
+      <div class="camera-controls">
+        <label class="camera-auto" title="문서가 선명하게 멈춰 있으면 자동으로 촬영합니다">
+          <input type="checkbox" checked /> 자동 촬영
+        </label>
+        <span class="camera-count">0장</span>
+        <button type="button" class="btn btn-primary btn-sm camera-shutter">📸 촬영</button>
+        <button type="button" class="btn btn-ghost btn-sm camera-close">닫기</button>
+      </div>
+    `;
+    this.video = container.querySelector('.camera-video');
+    this.overlay = container.querySelector('.camera-overlay');
+    this.flash = container.querySelector('.camera-flash');
+    this.status = container.querySelector('.camera-status');
+    this.counter = container.querySelector('.camera-count');
+    this.analysis = new OffscreenCanvas(1, 1).getContext('2d', { willReadFrequently: true });
+
+    container.querySelector('.camera-auto input').addEventListener('change', (e) => {
+      this.autoShutter = e.target.checked;
+    });
+    container.querySelector('.camera-shutter').addEventListener('click', () => this.capture());
+    container.querySelector('.camera-close').addEventListener('click', () => onClose());
+  }
+
+  /**
+   * Open the stream and start watching for a page
+   */
+  async start() {
+    const stream = await this.getStream();
+    if (this.destroyed) {
+      stream.getTracks().forEach(track => track.stop());
+      return;
+    }
+    this.stream = stream;
+    this.video.srcObject = stream;
+    await this.video.play();
+    this.setStatus(STATUS_TEXT.searching, 'searching');
+    this.schedule();
+  }
+
+  schedule() {
+    this.timer = setTimeout(() => {
+      try {
+        this.analyze();
+      } catch (err) {
+        console.warn('Camera frame analysis failed:', err);
+      }
+      if (this.stream) this.schedule();
+    }, ANALYZE_INTERVAL_MS);
+  }
+
+  analyze() {
+    const { videoWidth, videoHeight } = this.video;
+    if (!videoWidth || this.capturing) return;
+
+    const width = ANALYSIS_WIDTH;
+    const height = Math.round((videoHeight * width) / videoWidth);
+    const { canvas } = this.analysis;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+      this.shutter.reset();
+    }
+    this.analysis.drawImage(this.video, 0, 0, width, height);
+    const gray = toGray(this.analysis.getImageData(0, 0, width, height));
+
+    const tone = this.shutter.analyze(gray, width, height);
+    this.setStatus(tone !== 'ready' ? STATUS_TEXT[tone] : this.autoShutter ? '촬영 중...' : '준비됐습니다 · 촬영 버튼을 눌러 주세요', tone);
+    this.drawOverlay(this.shutter.quad, tone, width, height);
+
+    if (tone === 'ready' && this.autoShutter) this.capture();
+  }
+
+  drawOverlay(quad, tone, width, height) {
+    if (this.overlay.width !== width || this.overlay.height !== height) {
+      this.overlay.width = width;
+      this.overlay.height = height;
+    }
+    const ctx = this.overlay.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    if (!quad) return;
+
+    const color = TONE_COLORS[tone];
+    ctx.beginPath();
+    quad.corners.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+    ctx.closePath();
+    ctx.globalAlpha = tone === 'steadying' ? 0.1 + 0.25 * Math.min(1, this.shutter.steadyFrames / STEADY_FRAMES) : 0.15;
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = color;
+    ctx.stroke();
+  }
+
+  /**
+   * Take the current frame, straightened to the page outline when one is detected
+   */
+  async capture() {
+    if (this.capturing || !this.stream || !this.video.videoWidth) return;
+    this.capturing = true;
+    try {
+      const { videoWidth, videoHeight } = this.video;
+      const { quad } = this.shutter;
+      let canvas;
+      if (quad) {
+        const scale = videoWidth / this.analysis.canvas.width;
+        canvas = warpDocument(this.video, quad.corners.map(({ x, y }) => ({ x: x * scale, y: y * scale })));
+      } else {
+        canvas = new OffscreenCanvas(videoWidth, videoHeight);
+        canvas.getContext('2d').drawImage(this.video, 0, 0);
+      }
+      const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: JPEG_QUALITY });
+      if (this.destroyed) return;
+
+      this.count++;
+      this.shutter.captured();
+      this.counter.textContent = `${this.count}장`;
+      this.flash.classList.remove('active');
+      void this.flash.offsetWidth; // restart the animation
+      this.flash.classList.add('active');
+      this.onCapture(new File([blob], `camera-${String(this.count).padStart(3, '0')}.jpg`, { type: 'image/jpeg', lastModified: Date.now() }));
+    } catch (err) {
+      console.error('Camera capture failed:', err);
+      this.setStatus(`촬영 실패: ${err.message}`, 'warning');
+    } finally {
+      this.capturing = false;
+    }
+  }
+
+  setStatus(text, tone) {
+    this.status.textContent = text;
+    this.status.dataset.tone = tone;
+  }
+
+  /**
+   * Stop the stream and the analysis loop
+   */
+  destroy() {
+    this.destroyed = true;
+    clearTimeout(this.timer);
+    this.stream?.getTracks().forEach(track => track.stop());
+    this.stream = null;
+    this.video.srcObject = null;
+    this.container.innerHTML = '';
+  }
+}
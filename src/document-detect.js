@@ -0,0 +1,285 @@
+/**
+ * Moon OCR Reader — Document Detection
+ * Finds a sheet of paper in a camera frame and judges whether the frame is
+ * good to capture: the page's four corners, how sharp it is and how much the
+ * picture moved. Works on small grayscale frames so it keeps up with a live
+ * preview; `warpDocument` then straightens the page at full resolution.
+ * Assumes a page that is brighter than what is around it (paper on a desk).
+ */
+import { otsuThreshold } from './image-utils.js';
+
+const MIN_COVERAGE = 0.15; // page area relative to the frame
+const MAX_COVERAGE = 0.97; // beyond this the page edges are out of view
+const MIN_SIDE = 0.15;     // shortest side relative to the frame's shorter dimension
+const MIN_SOLIDITY = 0.88; // page pixels relative to the quadrilateral's area
+
+/**
+ * @typedef {{x: number, y: number}} Point
+ */
+
+/**
+ * @typedef {Object} DocumentQuad
+ * @property {Point[]} corners - Top-left, top-right, bottom-right, bottom-left
+ * @property {number} coverage - Quadrilateral area relative to the frame
+ */
+
+/**
+ * Find the page: the largest bright region, if it is shaped like a quadrilateral
+ * @param {Uint8ClampedArray} gray - Luma, e.g. from `toGray`
+ * @param {number} width
+ * @param {number} height
+ * @returns {DocumentQuad|null}
+ */
+export function detectDocument(gray, width, height) {
+  const threshold = otsuThreshold(gray);
+  const seen = new Uint8Array(gray.length);
+  const stack = new Int32Array(gray.length);
+  const rowMin = new Int32Array(height);
+  const rowMax = new Int32Array(height);
+  let best = null;
+
+  for (let start = 0; start < gray.length; start++) {
+    if (seen[start] || gray[start] <= threshold) continue;
+
+    // Flood fill one bright region, tracking its extreme points along both diagonals
+    rowMin.fill(width);
+    rowMax.fill(-1);
+    let top = 0;
+    let area = 0;
+    const extremes = { tl: [Infinity, 0, 0], br: [-Infinity, 0, 0], tr: [-Infinity, 0, 0], bl: [Infinity, 0, 0] };
+    stack[top++] = start;
+    seen[start] = 1;
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % width;
+      const y = (i - x) / width;
+      area++;
+      if (x < rowMin[y]) rowMin[y] = x;
+      if (x > rowMax[y]) rowMax[y] = x;
+      const sum = x + y;
+      const diff = x - y;
+      if (sum < extremes.tl[0]) extremes.tl = [sum, x, y];
+      if (sum > extremes.br[0]) extremes.br = [sum, x, y];
+      if (diff > extremes.tr[0]) extremes.tr = [diff, x, y];
+      if (diff < extremes.bl[0]) extremes.bl = [diff, x, y];
+
+      if (x > 0 && !seen[i - 1] && gray[i - 1] > threshold) { seen[i - 1] = 1; stack[top++] = i - 1; }
+      if (x < width - 1 && !seen[i + 1] && gray[i + 1] > threshold) { seen[i + 1] = 1; stack[top++] = i + 1; }
+      if (y > 0 && !seen[i - width] && gray[i - width] > threshold) { seen[i - width] = 1; stack[top++] = i - width; }
+      if (y < height - 1 && !seen[i + width] && gray[i + width] > threshold) { seen[i + width] = 1; stack[top++] = i + width; }
+    }
+    if (best && area <= best.area) continue;
+
+    // Text and stamps leave holes in the region — measure it row span by row span
+    let solidArea = 0;
+    for (let y = 0; y < height; y++) {
+      if (rowMax[y] >= rowMin[y]) solidArea += rowMax[y] - rowMin[y] + 1;
+    }
+    const corners = ['tl', 'tr', 'br', 'bl'].map(key => ({ x: extremes[key][1], y: extremes[key][2] }));
+    best = { area, solidArea, corners };
+  }
+
+  if (!best) return null;
+  const frameArea = width * height;
+  const quadArea = polygonArea(best.corners);
+  const coverage = quadArea / frameArea;
+  if (coverage < MIN_COVERAGE || coverage > MAX_COVERAGE) return null;
+  if (best.solidArea / quadArea < MIN_SOLIDITY) return null;
+  if (!isConvex(best.corners)) return null;
+  const minSide = Math.min(...best.corners.map((p, i) => distance(p, best.corners[(i + 1) % 4])));
+  if (minSide < MIN_SIDE * Math.min(width, height)) return null;
+
+  return { corners: best.corners, coverage };
+}
+
+/**
+ * Variance of the Laplacian — drops sharply when the frame is out of focus or motion-blurred
+ * @param {Uint8ClampedArray} gray
+ * @param {number} width
+ * @param {number} height
+ * @param {{x: number, y: number, width: number, height: number}} [rect] - Area to measure (the whole frame by default)
+ * @returns {number}
+ */
+export function measureSharpness(gray, width, height, rect = { x: 0, y: 0, width, height }) {
+  const x0 = Math.max(1, Math.floor(rect.x));
+  const y0 = Math.max(1, Math.floor(rect.y));
+  const x1 = Math.min(width - 1, Math.ceil(rect.x + rect.width));
+  const y1 = Math.min(height - 1, Math.ceil(rect.y + rect.height));
+  let sum = 0;
+  let sumSq = 0;
+  let n = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const i = y * width + x;
+      const lap = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+      sum += lap;
+      sumSq += lap * lap;
+      n++;
+    }
+  }
+  if (n === 0) return 0;
+  const mean = sum / n;
+  return sumSq / n - mean * mean;
+}
+
+/**
+ * Mean absolute difference between two frames of the same size (0-255)
+ * @param {Uint8ClampedArray} a
+ * @param {Uint8ClampedArray} b
+ * @returns {number}
+ */
+export function frameDifference(a, b) {
+  if (!a || !b || a.length !== b.length) return 255;
+  let sum = 0;
+  let n = 0;
+  // Every 4th pixel is plenty to tell a still frame from a moving one
+  for (let i = 0; i < a.length; i += 4, n++) sum += Math.abs(a[i] - b[i]);
+  return n ? sum / n : 0;
+}
+
+/**
+ * How far the corners moved between two detections, relative to the frame diagonal
+ * @param {DocumentQuad} a
+ * @param {DocumentQuad} b
+ * @param {number} width
+ * @param {number} height
+ * @returns {number} 0 = same place, Infinity when either is missing
+ */
+export function cornerDrift(a, b, width, height) {
+  if (!a || !b) return Infinity;
+  const diagonal = Math.hypot(width, height);
+  return Math.max(...a.corners.map((p, i) => distance(p, b.corners[i]))) / diagonal;
+}
+
+/**
+ * Bounding rectangle of the corners, shrunk by `inset` on each side
+ * @param {Point[]} corners
+ * @param {number} [inset] - Fraction of the width/height
+ */
+export function quadBounds(corners, inset = 0) {
+  const xs = corners.map(p => p.x);
+  const ys = corners.map(p => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  const width = Math.max(...xs) - x;
+  const height = Math.max(...ys) - y;
+  return { x: x + width * inset, y: y + height * inset, width: width * (1 - 2 * inset), height: height * (1 - 2 * inset) };
+}
+
+/**
+ * Straighten the page: map the quadrilateral onto an upright rectangle with
+ * the page's own proportions (bilinear sampling)
+ * @param {CanvasImageSource} source - Full-resolution frame
+ * @param {Point[]} corners - In the source's pixels: top-left, top-right, bottom-right, bottom-left
+ * @param {number} [maxDimension] - Cap for the output's longer side
+ * @returns {OffscreenCanvas}
+ */
+export function warpDocument(source, corners, maxDimension = 3000) {
+  const [tl, tr, br, bl] = corners;
+  let width = Math.max(distance(tl, tr), distance(bl, br));
+  let height = Math.max(distance(tl, bl), distance(tr, br));
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+  width = Math.max(1, Math.round(width * scale));
+  height = Math.max(1, Math.round(height * scale));
+
+  const sourceWidth = source.videoWidth || source.width;
+  const sourceHeight = source.videoHeight || source.height;
+  const input = new OffscreenCanvas(sourceWidth, sourceHeight).getContext('2d', { willReadFrequently: true });
+  input.drawImage(source, 0, 0, sourceWidth, sourceHeight);
+  const src = input.getImageData(0, 0, sourceWidth, sourceHeight).data;
+
+  const output = new OffscreenCanvas(width, height);
+  const ctx = output.getContext('2d');
+  const imageData = ctx.createImageData(width, height);
+  const dst = imageData.data;
+  const h = homography([{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }], corners);
+  if (!h) {
+    ctx.drawImage(source, 0, 0, width, height);
+    return output;
+  }
+
+  for (let v = 0; v < height; v++) {
+    for (let u = 0; u < width; u++) {
+      const w = h[6] * u + h[7] * v + h[8];
+      const sx = Math.min(sourceWidth - 1.001, Math.max(0, (h[0] * u + h[1] * v + h[2]) / w));
+      const sy = Math.min(sourceHeight - 1.001, Math.max(0, (h[3] * u + h[4] * v + h[5]) / w));
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const p00 = (y0 * sourceWidth + x0) * 4;
+      const p10 = p00 + 4;
+      const p01 = p00 + sourceWidth * 4;
+      const p11 = p01 + 4;
+      const o = (v * width + u) * 4;
+      for (let c = 0; c < 3; c++) {
+        const top = src[p00 + c] + (src[p10 + c] - src[p00 + c]) * fx;
+        const bottom = src[p01 + c] + (src[p11 + c] - src[p01 + c]) * fx;
+        dst[o + c] = top + (bottom - top) * fy;
+      }
+      dst[o + 3] = 255;
+    }
+  }
+  ctx.putImageData(imageData, 0, 0);
+  return output;
+}
+
+/**
+ * Perspective transform taking each `from` point onto the matching `to` point
+ * @param {Point[]} from - 4 points
+ * @param {Point[]} to - 4 points
+ * @returns {number[]|null} row-major 3×3 matrix, null for degenerate points
+ */
+export function homography(from, to) {
+  const rows = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = from[i];
+    const { x: u, y: v } = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  }
+
+  // Gaussian elimination with partial pivoting on the 8×9 augmented matrix
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 8; r++) {
+      if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-10) return null;
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let r = 0; r < 8; r++) {
+      if (r === col) continue;
+      const factor = rows[r][col] / rows[col][col];
+      for (let c = col; c < 9; c++) rows[r][c] -= factor * rows[col][c];
+    }
+  }
+  return [...rows.map((row, i) => row[8] / row[i]), 1];
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function polygonArea(points) {
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    sum += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(sum) / 2;
+}
+
+function isConvex(points) {
+  let sign = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const c = points[(i + 2) % points.length];
+    const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (cross === 0) return false;
+    if (sign && Math.sign(cross) !== sign) return false;
+    sign = Math.sign(cross);
+  }
+  return true;
+}
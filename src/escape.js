@@ -0,0 +1,24 @@
+/**
+ * Moon OCR Reader — Escaping
+ * Text made safe for HTML and XML markup, both as element content and inside
+ * quoted attribute values (either quote style)
+ */
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * @param {*} str - null and undefined become ''
+ * @returns {string}
+ */
+export function escapeHtml(str) {
+  return String(str ?? '').replace(/[&<>"']/g, ch => ENTITIES[ch]);
+}
+
+/**
+ * Like escapeHtml, and drops the control characters XML 1.0 does not allow at all
+ * @param {*} str
+ * @returns {string}
+ */
+export function escapeXml(str) {
+  return escapeHtml(String(str ?? '').replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, ''));
+}
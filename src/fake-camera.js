@@ -0,0 +1,98 @@
+/**
+ * Moon OCR Reader — Fake Camera
+ * Stand-in for a real camera so camera mode (detection, auto-shutter,
+ * multi-page capture) can be exercised without a device, e.g. by automated
+ * browser tests. Open the app with `?fake-camera` to use it.
+ *
+ * The stream shows a printed page on a dark desk. Every page slides in, holds
+ * still long enough for the auto-shutter, then slides out for the next one.
+ */
+
+const SAMPLE_LINES = [
+  '업무 협조 요청서',
+  '',
+  '수신: 총무팀 · 발신: 현장 운영팀',
+  '일자: 2025년 3월 14일',
+  '',
+  '1. 현장 점검 결과를 아래와 같이 보고합니다.',
+  '2. 소모품 재고가 기준 수량 미만입니다.',
+  '3. 다음 점검은 4월 첫째 주에 진행합니다.',
+  '',
+  'Inspection ref. FS-2025-0314',
+  '담당자 서명: ____________',
+];
+
+/**
+ * Where the page is at a moment of the stream
+ * @param {number} elapsed - Milliseconds since the stream started
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} options.pageMs
+ * @returns {{page: number, x: number, y: number, angle: number, pageWidth: number, pageHeight: number}}
+ *   page number, centre, rotation in radians and size in stream pixels
+ */
+export function fakePagePose(elapsed, { width, height, pageMs }) {
+  const page = Math.floor(elapsed / pageMs) + 1;
+  const t = (elapsed % pageMs) / pageMs;
+  // Slide in during the first fifth, hold, slide out during the last tenth
+  const offset = t < 0.2 ? (1 - t / 0.2) ** 2 : t > 0.9 ? -(((t - 0.9) / 0.1) ** 2) : 0;
+  const pageHeight = height * 0.82;
+  return {
+    page,
+    x: width / 2 + offset * width,
+    y: height / 2,
+    angle: ((page % 2 ? 3 : -2) * Math.PI) / 180,
+    pageWidth: pageHeight / Math.SQRT2,
+    pageHeight,
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.width]
+ * @param {number} [options.height]
+ * @param {number} [options.fps]
+ * @param {number} [options.pageMs] - How long each page takes, sliding in and out included
+ * @param {string[]} [options.lines] - Text printed on every page (the page number is added)
+ * @returns {Promise<MediaStream>} stops drawing once its track is stopped
+ */
+export async function createFakeDocumentStream({ width = 1280, height = 720, fps = 24, pageMs = 6000, lines = SAMPLE_LINES } = {}) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const startedAt = performance.now();
+
+  const draw = () => {
+    const { page, x, y, angle, pageWidth, pageHeight } = fakePagePose(performance.now() - startedAt, { width, height, pageMs });
+
+    ctx.fillStyle = '#2a2622';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(angle);
+    ctx.fillStyle = '#f4f1ea';
+    ctx.fillRect(-pageWidth / 2, -pageHeight / 2, pageWidth, pageHeight);
+
+    ctx.fillStyle = '#1d1d1d';
+    ctx.textBaseline = 'top';
+    const margin = pageWidth * 0.1;
+    const lineHeight = pageHeight / 22;
+    [...lines, '', `- ${page} -`].forEach((line, i) => {
+      ctx.font = `${i === 0 ? 'bold ' : ''}${Math.round(lineHeight * (i === 0 ? 0.85 : 0.6))}px sans-serif`;
+      ctx.fillText(line, -pageWidth / 2 + margin, -pageHeight / 2 + margin + i * lineHeight, pageWidth - margin * 2);
+    });
+    ctx.restore();
+  };
+
+  draw();
+  const stream = canvas.captureStream(fps);
+  const [track] = stream.getVideoTracks();
+  const timer = setInterval(() => {
+    if (track.readyState === 'ended') clearInterval(timer);
+    else draw();
+  }, 1000 / fps);
+  return stream;
+}
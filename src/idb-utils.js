@@ -0,0 +1,45 @@
+/**
+ * Moon OCR Reader — IndexedDB Helpers
+ * Minimal promise wrappers shared by the persistent stores
+ */
+
+/**
+ * Open (and upgrade if needed) an IndexedDB database
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} onUpgrade - Called with the IDBDatabase during upgrades
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase(name, version, onUpgrade) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB not supported'));
+      return;
+    }
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = () => onUpgrade(request.result);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Promisify an IDBRequest
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Promisify an IDBTransaction completing
+ */
+export function promisifyTransaction(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
@@ -37,6 +37,59 @@ export async function resizeForOcr(file, maxDimension = 2000) {
   }
 }
 
+/**
+ * Read an image's pixel dimensions
+ * @param {File|Blob} file
+ * @returns {Promise<{width: number, height: number}>}
+ */
+export async function getImageSize(file) {
+  const img = await createImageBitmap(file);
+  const size = { width: img.width, height: img.height };
+  img.close();
+  return size;
+}
+
+/**
+ * Cut a fractional region out of an image (used to send region crops to the vision model)
+ * @param {File} file - Source image
+ * @param {{x: number, y: number, w: number, h: number}} region - Fractions of width/height
+ * @returns {Promise<File>}
+ */
+export async function cropImage(file, region) {
+  const img = await createImageBitmap(file);
+  const sx = Math.round(region.x * img.width);
+  const sy = Math.round(region.y * img.height);
+  const width = Math.max(1, Math.round(region.w * img.width));
+  const height = Math.max(1, Math.round(region.h * img.height));
+
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(img, sx, sy, width, height, 0, 0, width, height);
+  img.close();
+
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.92 });
+  return new File([blob], file.name, { type: 'image/jpeg' });
+}
+
+/**
+ * Rotate an image clockwise by a multiple of 90° (used to turn scans upright)
+ * @param {File} file - Source image
+ * @param {number} degrees - 90, 180 or 270
+ * @returns {Promise<File>} lossless PNG with the source file name
+ */
+export async function rotateImage(file, degrees) {
+  const img = await createImageBitmap(file);
+  const quarter = degrees === 90 || degrees === 270;
+  const canvas = new OffscreenCanvas(quarter ? img.height : img.width, quarter ? img.width : img.height);
+  const ctx = canvas.getContext('2d');
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate((degrees * Math.PI) / 180);
+  ctx.drawImage(img, -img.width / 2, -img.height / 2);
+  img.close();
+
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  return new File([blob], file.name, { type: 'image/png' });
+}
+
 /**
  * Generate a SHA-256 hash for a file (used for result caching)
  * @param {File} file
@@ -49,3 +102,371 @@ export async function getFileHash(file) {
     .map(b => b.toString(16).padStart(2, '0'))
     .join('');
 }
+
+/**
+ * Base64 payload of a file for multimodal API requests
+ * @param {Blob} file
+ * @returns {Promise<{mimeType: string, data: string}>}
+ */
+export async function fileToBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => {
+      const dataUrl = reader.result;
+      const match = dataUrl.match(/^data:(.+);base64,(.+)$/);
+      if (match) {
+        let mimeType = match[1];
+        if (mimeType === 'application/octet-stream') mimeType = 'image/jpeg';
+        resolve({ mimeType, data: match[2] });
+      } else {
+        reject(new Error('Failed to convert file to base64'));
+      }
+    };
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+}
+
+// ============================================
+// Preprocessing Pipeline
+// ============================================
+
+/**
+ * Named preprocessing presets selectable per batch.
+ * Grayscale is implied whenever a pixel filter (denoise/contrast/binarize) is on.
+ */
+export const PREPROCESS_PRESETS = {
+  none: {
+    label: '전처리 없음',
+    grayscale: false, removeBorder: false, deskew: false, denoise: false, contrast: false, binarize: 'none',
+  },
+  document: {
+    label: '스캔 문서',
+    grayscale: true, removeBorder: true, deskew: true, denoise: false, contrast: true, binarize: 'otsu',
+  },
+  photo: {
+    label: '휴대폰 사진 (그림자/기울기)',
+    grayscale: true, removeBorder: true, deskew: true, denoise: true, contrast: true, binarize: 'adaptive',
+  },
+  lowContrast: {
+    label: '흐린 인쇄물',
+    grayscale: true, removeBorder: false, deskew: false, denoise: true, contrast: true, binarize: 'none',
+  },
+  grayscale: {
+    label: '흑백 변환만',
+    grayscale: true, removeBorder: false, deskew: false, denoise: false, contrast: false, binarize: 'none',
+  },
+};
+
+/**
+ * Stable string for the active options, used as part of the result cache key
+ * @param {Object} options - Preprocessing options (see PREPROCESS_PRESETS)
+ * @returns {string}
+ */
+export function getPreprocessKey(options) {
+  if (!options) return 'raw';
+  const flags = [
+    options.grayscale && 'g',
+    options.removeBorder && 'b',
+    options.deskew && 's',
+    options.denoise && 'd',
+    options.contrast && 'c',
+    options.binarize && options.binarize !== 'none' && `t-${options.binarize}`,
+  ].filter(Boolean);
+  return flags.length ? flags.join('') : 'raw';
+}
+
+/**
+ * Run the preprocessing pipeline on an image file.
+ * Order: border removal → deskew → denoise → contrast stretch → binarize.
+ * @param {File} file - Image file (typically already resized by resizeForOcr)
+ * @param {Object} options - Preprocessing options (see PREPROCESS_PRESETS)
+ * @returns {Promise<{file: File, skewAngle: number}>}
+ */
+export async function preprocessImage(file, options) {
+  if (getPreprocessKey(options) === 'raw') return { file, skewAngle: 0 };
+
+  const img = await createImageBitmap(file);
+  let canvas = new OffscreenCanvas(img.width, img.height);
+  let ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0);
+  img.close();
+
+  let skewAngle = 0;
+
+  // ── Geometric steps (work on the color canvas) ──
+  if (options.removeBorder) {
+    const gray = toGray(ctx.getImageData(0, 0, canvas.width, canvas.height));
+    const bounds = findContentBounds(gray, canvas.width, canvas.height);
+    if (bounds.width < canvas.width || bounds.height < canvas.height) {
+      canvas = cropCanvas(canvas, bounds);
+      ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+  }
+
+  if (options.deskew) {
+    const gray = toGray(ctx.getImageData(0, 0, canvas.width, canvas.height));
+    skewAngle = detectSkewAngle(gray, canvas.width, canvas.height);
+    if (Math.abs(skewAngle) >= 0.25) {
+      canvas = rotateCanvas(canvas, -skewAngle);
+      ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+  }
+
+  // ── Pixel steps (work on a grayscale buffer) ──
+  const { width, height } = canvas;
+  const needsGray = options.grayscale || options.denoise || options.contrast || (options.binarize && options.binarize !== 'none');
+  if (needsGray) {
+    let gray = toGray(ctx.getImageData(0, 0, width, height));
+    if (options.denoise) gray = medianFilter(gray, width, height);
+    if (options.contrast) contrastStretch(gray);
+    if (options.binarize === 'otsu') binarizeOtsu(gray);
+    else if (options.binarize === 'adaptive') binarizeAdaptive(gray, width, height);
+    ctx.putImageData(grayToImageData(gray, width, height), 0, 0);
+  }
+
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  return { file: new File([blob], file.name, { type: 'image/png' }), skewAngle };
+}
+
+/**
+ * Luma (BT.601) of every pixel
+ * @param {ImageData} imageData
+ * @returns {Uint8ClampedArray}
+ */
+export function toGray(imageData) {
+  const { data } = imageData;
+  const gray = new Uint8ClampedArray(data.length / 4);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = (data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000;
+  }
+  return gray;
+}
+
+function grayToImageData(gray, width, height) {
+  const imageData = new ImageData(width, height);
+  const { data } = imageData;
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    data[p] = data[p + 1] = data[p + 2] = gray[i];
+    data[p + 3] = 255;
+  }
+  return imageData;
+}
+
+/**
+ * Linear contrast stretch between the 1st and 99th percentile (in place)
+ */
+export function contrastStretch(gray, lowPct = 0.01, highPct = 0.99) {
+  const hist = new Uint32Array(256);
+  for (let i = 0; i < gray.length; i++) hist[gray[i]]++;
+
+  let low = 0, high = 255, acc = 0;
+  for (let v = 0; v < 256; v++) {
+    acc += hist[v];
+    if (acc >= gray.length * lowPct) { low = v; break; }
+  }
+  acc = 0;
+  for (let v = 255; v >= 0; v--) {
+    acc += hist[v];
+    if (acc >= gray.length * (1 - highPct)) { high = v; break; }
+  }
+  if (high <= low) return gray;
+
+  const scale = 255 / (high - low);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = (gray[i] - low) * scale;
+  }
+  return gray;
+}
+
+/**
+ * 3×3 median filter — removes salt-and-pepper noise without blurring strokes
+ */
+export function medianFilter(gray, width, height) {
+  const out = new Uint8ClampedArray(gray.length);
+  const win = new Uint8Array(9);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let n = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        const yy = Math.min(height - 1, Math.max(0, y + dy)) * width;
+        for (let dx = -1; dx <= 1; dx++) {
+          const v = gray[yy + Math.min(width - 1, Math.max(0, x + dx))];
+          // insertion sort into the window
+          let j = n++;
+          while (j > 0 && win[j - 1] > v) { win[j] = win[j - 1]; j--; }
+          win[j] = v;
+        }
+      }
+      out[y * width + x] = win[4];
+    }
+  }
+  return out;
+}
+
+/**
+ * Otsu's global threshold
+ * @returns {number} threshold (0-255)
+ */
+export function otsuThreshold(gray) {
+  const hist = new Uint32Array(256);
+  for (let i = 0; i < gray.length; i++) hist[gray[i]]++;
+
+  let sum = 0;
+  for (let v = 0; v < 256; v++) sum += v * hist[v];
+
+  let sumB = 0, weightB = 0, best = 0, threshold = 127;
+  for (let t = 0; t < 256; t++) {
+    weightB += hist[t];
+    if (weightB === 0) continue;
+    const weightF = gray.length - weightB;
+    if (weightF === 0) break;
+    sumB += t * hist[t];
+    const meanB = sumB / weightB;
+    const meanF = (sum - sumB) / weightF;
+    const between = weightB * weightF * (meanB - meanF) ** 2;
+    if (between > best) { best = between; threshold = t; }
+  }
+  return threshold;
+}
+
+export function binarizeOtsu(gray) {
+  const t = otsuThreshold(gray);
+  for (let i = 0; i < gray.length; i++) gray[i] = gray[i] > t ? 255 : 0;
+  return gray;
+}
+
+/**
+ * Bradley adaptive threshold using an integral image — handles uneven lighting and shadows
+ * @param {number} windowRatio - Window size relative to the image width
+ * @param {number} sensitivity - Pixel must be this much darker than the local mean
+ */
+export function binarizeAdaptive(gray, width, height, windowRatio = 1 / 16, sensitivity = 0.15) {
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += gray[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+
+  const half = Math.max(4, Math.floor(width * windowRatio / 2));
+  const out = new Uint8ClampedArray(gray.length);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half), y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half), x1 = Math.min(width, x + half + 1);
+      const count = (y1 - y0) * (x1 - x0);
+      const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+                - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+      out[y * width + x] = gray[y * width + x] * count < sum * (1 - sensitivity) ? 0 : 255;
+    }
+  }
+  gray.set(out);
+  return gray;
+}
+
+/**
+ * Estimate text skew by maximizing the variance of the horizontal projection profile
+ * @returns {number} skew angle in degrees (positive = lines slope down to the right)
+ */
+export function detectSkewAngle(gray, width, height, maxAngle = 10, step = 0.5) {
+  // Work on a sample of dark pixels from a downscaled grid
+  const stride = Math.max(1, Math.round(Math.max(width, height) / 800));
+  const t = otsuThreshold(gray);
+  const xs = [], ys = [];
+  for (let y = 0; y < height; y += stride) {
+    for (let x = 0; x < width; x += stride) {
+      if (gray[y * width + x] <= t) { xs.push(x); ys.push(y); }
+    }
+  }
+  if (xs.length < 100) return 0;
+
+  const bins = new Uint32Array(Math.ceil((height + 2 * width) / stride) + 1);
+  let bestAngle = 0, bestScore = -1;
+
+  for (let angle = -maxAngle; angle <= maxAngle; angle += step) {
+    const tan = Math.tan(angle * Math.PI / 180);
+    bins.fill(0);
+    for (let i = 0; i < xs.length; i++) {
+      const b = Math.round((ys[i] - xs[i] * tan) / stride + width / stride);
+      if (b >= 0 && b < bins.length) bins[b]++;
+    }
+    let score = 0;
+    for (let b = 0; b < bins.length; b++) score += bins[b] * bins[b];
+    if (score > bestScore) { bestScore = score; bestAngle = angle; }
+  }
+  return bestAngle;
+}
+
+/**
+ * Find the page area inside dark scanner/photo borders
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function findContentBounds(gray, width, height, darkLevel = 80, darkRatio = 0.5) {
+  const rowDark = (y) => {
+    let n = 0;
+    for (let x = 0; x < width; x++) if (gray[y * width + x] < darkLevel) n++;
+    return n / width > darkRatio;
+  };
+  const colDark = (x) => {
+    let n = 0;
+    for (let y = 0; y < height; y++) if (gray[y * width + x] < darkLevel) n++;
+    return n / height > darkRatio;
+  };
+
+  let top = 0, bottom = height - 1, left = 0, right = width - 1;
+  while (top < bottom && rowDark(top)) top++;
+  while (bottom > top && rowDark(bottom)) bottom--;
+  while (left < right && colDark(left)) left++;
+  while (right > left && colDark(right)) right--;
+
+  // Refuse to crop away most of the image — that means the page itself is dark
+  if ((right - left + 1) < width / 2 || (bottom - top + 1) < height / 2) {
+    return { x: 0, y: 0, width, height };
+  }
+  return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+function cropCanvas(source, { x, y, width, height }) {
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(source, x, y, width, height, 0, 0, width, height);
+  return canvas;
+}
+
+function rotateCanvas(source, degrees) {
+  const rad = degrees * Math.PI / 180;
+  const cos = Math.abs(Math.cos(rad)), sin = Math.abs(Math.sin(rad));
+  const width = Math.round(source.width * cos + source.height * sin);
+  const height = Math.round(source.width * sin + source.height * cos);
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff'; // fill exposed corners with paper white
+  ctx.fillRect(0, 0, width, height);
+  ctx.translate(width / 2, height / 2);
+  ctx.rotate(rad);
+  ctx.drawImage(source, -source.width / 2, -source.height / 2);
+  return canvas;
+}
+
+// ============================================
+// Worker Steps
+// ============================================
+
+/**
+ * Steps the preprocessing pool runs by name, in a worker or on the main thread
+ * (see preprocess-pool.js). Arguments and results are structured-cloneable.
+ */
+export const PREPROCESS_OPS = {
+  hash: getFileHash,
+  resize: resizeForOcr,
+  rotate: rotateImage,
+  // Filtered OCR input and its pixel size (bounding boxes refer to it)
+  async preprocess(file, options) {
+    const { file: processed } = await preprocessImage(file, options);
+    return { file: processed, size: await getImageSize(processed) };
+  },
+};
@@ -0,0 +1,174 @@
+/**
+ * Moon OCR Reader — Language Picker
+ * Header dropdown for choosing any combination of catalog languages, or auto
+ * detection. Selection order is kept: the first language is the primary one.
+ */
+import { LANGUAGES, SCRIPT_LABELS, AUTO_LANG, DEFAULT_LANG, getLanguage, langLabel, normalizeLang } from './languages.js';
+import { escapeHtml } from './escape.js';
+
+const SCRIPT_ORDER = Object.keys(SCRIPT_LABELS);
+
+export class LanguagePicker {
+  /**
+   * @param {HTMLElement} container - Element the picker renders into
+   * @param {Object} options
+   * @param {string} options.value - Initial language string ('auto' or codes joined with '+')
+   * @param {(lang: string) => void} [options.onChange] - Called when the user changes the selection
+   */
+  constructor(container, { value, onChange }) {
+    this.container = container;
+    this.selected = (normalizeLang(value) || DEFAULT_LANG).split('+');
+    this.onChange = onChange || (() => {});
+    this.query = '';
+
+    container.innerHTML = `
+      <button type="button" class="lang-picker-toggle" title="OCR 언어 선택 (여러 개 선택 가능)">
+        <span class="lang-picker-label"></span>
+        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M6 9l6 6 6-6"/></svg>
+      </button>
+      <div class="lang-picker-panel hidden">
+        <input type="search" class="lang-picker-search" placeholder="언어 검색 (이름 · 코드 · 문자)" />
+        <div class="lang-picker-selected"></div>
+        <div class="lang-picker-list"></div>
+      </div>
+    `;
+    this.toggleBtn = container.querySelector('.lang-picker-toggle');
+    this.panel = container.querySelector('.lang-picker-panel');
+    this.search = container.querySelector('.lang-picker-search');
+    this.chips = container.querySelector('.lang-picker-selected');
+    this.list = container.querySelector('.lang-picker-list');
+
+    this.onDocumentPointerDown = this.onDocumentPointerDown.bind(this);
+
+    this.toggleBtn.addEventListener('click', () => (this.isOpen() ? this.close() : this.open()));
+    this.search.addEventListener('input', () => {
+      this.query = this.search.value.trim().toLowerCase();
+      this.renderList();
+    });
+    this.list.addEventListener('change', (e) => {
+      const code = e.target.dataset.lang;
+      if (code) this.toggle(code, e.target.checked);
+    });
+    this.chips.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-lang-remove]');
+      const primary = e.target.closest('[data-lang-primary]');
+      if (remove) this.toggle(remove.dataset.langRemove, false);
+      else if (primary) this.makePrimary(primary.dataset.langPrimary);
+    });
+    container.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || !this.isOpen()) return;
+      e.stopPropagation();
+      this.close();
+      this.toggleBtn.focus();
+    });
+    document.addEventListener('pointerdown', this.onDocumentPointerDown);
+
+    this.render();
+  }
+
+  /**
+   * @returns {string} Tesseract language string, or 'auto'
+   */
+  get value() {
+    return this.selected.join('+');
+  }
+
+  /**
+   * Set without notifying; unknown languages are ignored
+   * @param {string} lang
+   */
+  set value(lang) {
+    const normalized = normalizeLang(lang);
+    if (!normalized) return;
+    this.selected = normalized.split('+');
+    this.render();
+  }
+
+  isOpen() {
+    return !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    this.panel.classList.remove('hidden');
+    this.search.value = '';
+    this.query = '';
+    this.renderList();
+    this.search.focus();
+  }
+
+  close() {
+    this.panel.classList.add('hidden');
+  }
+
+  onDocumentPointerDown(e) {
+    if (this.isOpen() && !this.container.contains(e.target)) this.close();
+  }
+
+  /**
+   * Auto detection excludes every other choice; the last language cannot be removed
+   */
+  toggle(code, checked) {
+    if (code === AUTO_LANG) {
+      if (checked) this.selected = [AUTO_LANG];
+    } else if (checked) {
+      this.selected = [...this.selected.filter(c => c !== AUTO_LANG && c !== code), code];
+    } else if (this.selected.length > 1) {
+      this.selected = this.selected.filter(c => c !== code);
+    }
+    this.render();
+    this.onChange(this.value);
+  }
+
+  makePrimary(code) {
+    this.selected = [code, ...this.selected.filter(c => c !== code)];
+    this.render();
+    this.onChange(this.value);
+  }
+
+  render() {
+    this.container.querySelector('.lang-picker-label').textContent = langLabel(this.value);
+    this.toggleBtn.title = `OCR 언어: ${this.selected.map(code => getLanguage(code)?.name || '자동 감지').join(' + ')}`;
+    this.renderChips();
+    if (this.isOpen()) this.renderList();
+  }
+
+  renderChips() {
+    if (this.selected[0] === AUTO_LANG) {
+      this.chips.innerHTML = '<span class="lang-picker-hint">페이지마다 방향과 문자를 감지해 언어를 고릅니다</span>';
+      return;
+    }
+    this.chips.innerHTML = this.selected.map((code, i) => {
+      const lang = getLanguage(code);
+      return `
+        <span class="lang-chip${i === 0 ? ' primary' : ''}">
+          <button type="button" class="lang-chip-name" data-lang-primary="${code}" title="${i === 0 ? '주 언어' : '주 언어로 지정'}">${i === 0 ? '★ ' : ''}${escapeHtml(lang.nativeName)}</button>
+          ${this.selected.length > 1 ? `<button type="button" class="lang-chip-remove" data-lang-remove="${code}" title="제외">×</button>` : ''}
+        </span>
+      `;
+    }).join('');
+  }
+
+  renderList() {
+    const matches = (lang) => !this.query ||
+      [lang.code, lang.name, lang.nativeName, SCRIPT_LABELS[lang.script] || ''].some(s => s.toLowerCase().includes(this.query));
+    const option = (code, label, detail) => `
+      <label class="lang-picker-option">
+        <input type="checkbox" data-lang="${code}" ${this.selected.includes(code) ? 'checked' : ''} />
+        <span class="lang-picker-option-name">${label}</span>
+        <span class="lang-picker-option-detail">${detail}</span>
+      </label>
+    `;
+
+    const groups = SCRIPT_ORDER.map(script => {
+      const langs = LANGUAGES.filter(lang => lang.script === script && matches(lang));
+      if (langs.length === 0) return '';
+      return `
+        <div class="lang-picker-group">${escapeHtml(SCRIPT_LABELS[script])}</div>
+        ${langs.map(lang => option(lang.code, escapeHtml(lang.nativeName), `${escapeHtml(lang.name)} · ${lang.code}`)).join('')}
+      `;
+    }).join('');
+    const auto = !this.query || '자동 감지 auto'.includes(this.query) ? option(AUTO_LANG, '🧭 자동 감지', '방향 · 문자 감지') : '';
+
+    this.list.innerHTML = auto + groups || '<div class="lang-picker-empty">일치하는 언어가 없습니다</div>';
+  }
+}
@@ -0,0 +1,314 @@
+/**
+ * Moon OCR Reader — Language Catalog
+ * Every Tesseract traineddata pack with its display names, the hint given to
+ * AI prompts and the script it is written in. A language selection is a
+ * Tesseract language string: codes joined with '+', the first one primary.
+ */
+
+const STORAGE_KEY = 'moon-ocr-languages';
+
+export const AUTO_LANG = 'auto';
+export const DEFAULT_LANG = 'kor';
+
+/**
+ * Tesseract OSD script names, in the order the picker groups them
+ */
+export const SCRIPT_LABELS = {
+  Hangul: '한글',
+  Latin: '라틴 문자',
+  Han: '한자',
+  Japanese: '일본 문자',
+  Cyrillic: '키릴 문자',
+  Greek: '그리스 문자',
+  Arabic: '아랍 문자',
+  Hebrew: '히브리 문자',
+  Syriac: '시리아 문자',
+  Thaana: '타나 문자',
+  Devanagari: '데바나가리',
+  Bengali: '벵골 문자',
+  Gujarati: '구자라트 문자',
+  Gurmukhi: '구르무키 문자',
+  Oriya: '오리야 문자',
+  Tamil: '타밀 문자',
+  Telugu: '텔루구 문자',
+  Kannada: '칸나다 문자',
+  Malayalam: '말라얄람 문자',
+  Sinhala: '싱할라 문자',
+  Thai: '타이 문자',
+  Lao: '라오 문자',
+  Khmer: '크메르 문자',
+  Myanmar: '미얀마 문자',
+  Tibetan: '티베트 문자',
+  Georgian: '조지아 문자',
+  Armenian: '아르메니아 문자',
+  Ethiopic: '에티오피아 문자',
+  Cherokee: '체로키 문자',
+  Canadian_Aboriginal: '캐나다 원주민 음절 문자',
+  Fraktur: '프락투어',
+};
+
+/**
+ * Language pack used for each script OSD reports, in auto mode
+ */
+export const SCRIPT_LANGS = {
+  Hangul: 'kor',
+  Latin: 'eng',
+  Han: 'chi_sim',
+  Japanese: 'jpn',
+  Katakana: 'jpn',
+  Hiragana: 'jpn',
+  Cyrillic: 'rus',
+  Greek: 'ell',
+  Arabic: 'ara',
+  Hebrew: 'heb',
+  Devanagari: 'hin',
+  Bengali: 'ben',
+  Tamil: 'tam',
+  Thai: 'tha',
+  Georgian: 'kat',
+  Armenian: 'hye',
+  Fraktur: 'frk',
+};
+
+/**
+ * BCP 47 tag of each pack, for lang attributes in exported documents;
+ * packs not listed here (ceb, chr, enm, fil, …) already use their ISO 639 code
+ */
+const LANG_TAGS = {
+  afr: 'af', amh: 'am', ara: 'ar', asm: 'as', aze: 'az', aze_cyrl: 'az-Cyrl', bel: 'be', ben: 'bn',
+  bod: 'bo', bos: 'bs', bre: 'br', bul: 'bg', cat: 'ca', ces: 'cs', chi_sim: 'zh-Hans',
+  chi_sim_vert: 'zh-Hans', chi_tra: 'zh-Hant', chi_tra_vert: 'zh-Hant', cos: 'co', cym: 'cy',
+  dan: 'da', deu: 'de', div: 'dv', dzo: 'dz', ell: 'el', eng: 'en', epo: 'eo', est: 'et',
+  eus: 'eu', fao: 'fo', fas: 'fa', fin: 'fi', fra: 'fr', frk: 'de-Latf', fry: 'fy', gla: 'gd',
+  gle: 'ga', glg: 'gl', guj: 'gu', hat: 'ht', heb: 'he', hin: 'hi', hrv: 'hr', hun: 'hu',
+  hye: 'hy', iku: 'iu', ind: 'id', isl: 'is', ita: 'it', ita_old: 'it', jav: 'jv', jpn: 'ja',
+  jpn_vert: 'ja', kan: 'kn', kat: 'ka', kat_old: 'oge', kaz: 'kk', khm: 'km', kir: 'ky', kor: 'ko',
+  kor_vert: 'ko', lao: 'lo', lat: 'la', lav: 'lv', lit: 'lt', ltz: 'lb', mal: 'ml', mar: 'mr',
+  mkd: 'mk', mlt: 'mt', mon: 'mn', mri: 'mi', msa: 'ms', mya: 'my', nep: 'ne', nld: 'nl',
+  nor: 'no', oci: 'oc', ori: 'or', pan: 'pa', pol: 'pl', por: 'pt', pus: 'ps', que: 'qu',
+  ron: 'ro', rus: 'ru', san: 'sa', sin: 'si', slk: 'sk', slv: 'sl', snd: 'sd', spa: 'es',
+  spa_old: 'osp', sqi: 'sq', srp: 'sr-Cyrl', srp_latn: 'sr-Latn', sun: 'su', swa: 'sw', swe: 'sv',
+  tam: 'ta', tat: 'tt', tel: 'te', tgk: 'tg', tha: 'th', tir: 'ti', ton: 'to', tur: 'tr',
+  uig: 'ug', ukr: 'uk', urd: 'ur', uzb: 'uz-Latn', uzb_cyrl: 'uz-Cyrl', vie: 'vi', yid: 'yi',
+  yor: 'yo',
+};
+
+/**
+ * @typedef {Object} Language
+ * @property {string} code - Tesseract traineddata name
+ * @property {string} name - Korean name
+ * @property {string} nativeName
+ * @property {string} script - Tesseract OSD script name (see SCRIPT_LABELS)
+ * @property {string} hint - Language named for AI prompts
+ * @property {string} tag - BCP 47 language tag (e.g. 'zh-Hans' for chi_sim)
+ * @property {boolean} [vertical] - Trained on top-to-bottom text
+ * @property {boolean} [rtl] - Written right to left
+ * @property {'KR'|'JP'|'SC'|'TC'} [cjkFont] - Noto CJK subset that covers it (PDF text layer)
+ */
+
+// [code, Korean name, native name, script, extra]
+const CATALOG = [
+  ['afr', '아프리칸스어', 'Afrikaans', 'Latin'],
+  ['amh', '암하라어', 'አማርኛ', 'Ethiopic'],
+  ['ara', '아랍어', 'العربية', 'Arabic', { rtl: true }],
+  ['asm', '아삼어', 'অসমীয়া', 'Bengali'],
+  ['aze', '아제르바이잔어', 'Azərbaycan dili', 'Latin'],
+  ['aze_cyrl', '아제르바이잔어 (키릴)', 'Азәрбајҹан дили', 'Cyrillic'],
+  ['bel', '벨라루스어', 'Беларуская', 'Cyrillic'],
+  ['ben', '벵골어', 'বাংলা', 'Bengali'],
+  ['bod', '티베트어', 'བོད་ཡིག', 'Tibetan'],
+  ['bos', '보스니아어', 'Bosanski', 'Latin'],
+  ['bre', '브르타뉴어', 'Brezhoneg', 'Latin'],
+  ['bul', '불가리아어', 'Български', 'Cyrillic'],
+  ['cat', '카탈루냐어', 'Català', 'Latin'],
+  ['ceb', '세부아노어', 'Cebuano', 'Latin'],
+  ['ces', '체코어', 'Čeština', 'Latin'],
+  ['chi_sim', '중국어 (간체)', '中文(简体)', 'Han', { hint: '中文 (简体)', cjkFont: 'SC' }],
+  ['chi_sim_vert', '중국어 (간체, 세로쓰기)', '中文(简体·竖排)', 'Han', { hint: '中文 (简体, 竖排)', cjkFont: 'SC', vertical: true }],
+  ['chi_tra', '중국어 (번체)', '中文(繁體)', 'Han', { hint: '中文 (繁體)', cjkFont: 'TC' }],
+  ['chi_tra_vert', '중국어 (번체, 세로쓰기)', '中文(繁體·直排)', 'Han', { hint: '中文 (繁體, 直排)', cjkFont: 'TC', vertical: true }],
+  ['chr', '체로키어', 'ᏣᎳᎩ', 'Cherokee'],
+  ['cos', '코르시카어', 'Corsu', 'Latin'],
+  ['cym', '웨일스어', 'Cymraeg', 'Latin'],
+  ['dan', '덴마크어', 'Dansk', 'Latin'],
+  ['deu', '독일어', 'Deutsch', 'Latin'],
+  ['div', '디베히어', 'ދިވެހި', 'Thaana', { rtl: true }],
+  ['dzo', '종카어', 'རྫོང་ཁ', 'Tibetan'],
+  ['ell', '그리스어', 'Ελληνικά', 'Greek'],
+  ['eng', '영어', 'English', 'Latin'],
+  ['enm', '중세 영어', 'Middle English', 'Latin'],
+  ['epo', '에스페란토', 'Esperanto', 'Latin'],
+  ['est', '에스토니아어', 'Eesti', 'Latin'],
+  ['eus', '바스크어', 'Euskara', 'Latin'],
+  ['fao', '페로어', 'Føroyskt', 'Latin'],
+  ['fas', '페르시아어', 'فارسی', 'Arabic', { rtl: true }],
+  ['fil', '필리핀어', 'Filipino', 'Latin'],
+  ['fin', '핀란드어', 'Suomi', 'Latin'],
+  ['fra', '프랑스어', 'Français', 'Latin'],
+  ['frk', '독일어 (프락투어)', 'Deutsch (Fraktur)', 'Fraktur', { hint: 'Deutsch (Frakturschrift)' }],
+  ['frm', '중세 프랑스어', 'Moyen français', 'Latin'],
+  ['fry', '서프리지아어', 'Frysk', 'Latin'],
+  ['gla', '스코틀랜드 게일어', 'Gàidhlig', 'Latin'],
+  ['gle', '아일랜드어', 'Gaeilge', 'Latin'],
+  ['glg', '갈리시아어', 'Galego', 'Latin'],
+  ['grc', '고대 그리스어', 'Ἀρχαία ἑλληνική', 'Greek'],
+  ['guj', '구자라트어', 'ગુજરાતી', 'Gujarati'],
+  ['hat', '아이티 크리올어', 'Kreyòl ayisyen', 'Latin'],
+  ['heb', '히브리어', 'עברית', 'Hebrew', { rtl: true }],
+  ['hin', '힌디어', 'हिन्दी', 'Devanagari'],
+  ['hrv', '크로아티아어', 'Hrvatski', 'Latin'],
+  ['hun', '헝가리어', 'Magyar', 'Latin'],
+  ['hye', '아르메니아어', 'Հայերեն', 'Armenian'],
+  ['iku', '이누크티투트어', 'ᐃᓄᒃᑎᑐᑦ', 'Canadian_Aboriginal'],
+  ['ind', '인도네시아어', 'Bahasa Indonesia', 'Latin'],
+  ['isl', '아이슬란드어', 'Íslenska', 'Latin'],
+  ['ita', '이탈리아어', 'Italiano', 'Latin'],
+  ['ita_old', '고대 이탈리아어', 'Italiano antico', 'Latin'],
+  ['jav', '자바어', 'Basa Jawa', 'Latin'],
+  ['jpn', '일본어', '日本語', 'Japanese', { cjkFont: 'JP' }],
+  ['jpn_vert', '일본어 (세로쓰기)', '日本語(縦書き)', 'Japanese', { hint: '日本語 (縦書き)', cjkFont: 'JP', vertical: true }],
+  ['kan', '칸나다어', 'ಕನ್ನಡ', 'Kannada'],
+  ['kat', '조지아어', 'ქართული', 'Georgian'],
+  ['kat_old', '고대 조지아어', 'ძველი ქართული', 'Georgian'],
+  ['kaz', '카자흐어', 'Қазақ тілі', 'Cyrillic'],
+  ['khm', '크메르어', 'ភាសាខ្មែរ', 'Khmer'],
+  ['kir', '키르기스어', 'Кыргызча', 'Cyrillic'],
+  ['kmr', '쿠르드어 (쿠르만지)', 'Kurmancî', 'Latin'],
+  ['kor', '한국어', '한국어', 'Hangul', { cjkFont: 'KR' }],
+  ['kor_vert', '한국어 (세로쓰기)', '한국어(세로쓰기)', 'Hangul', { hint: '한국어 (세로쓰기)', cjkFont: 'KR', vertical: true }],
+  ['lao', '라오어', 'ພາສາລາວ', 'Lao'],
+  ['lat', '라틴어', 'Latina', 'Latin'],
+  ['lav', '라트비아어', 'Latviešu', 'Latin'],
+  ['lit', '리투아니아어', 'Lietuvių', 'Latin'],
+  ['ltz', '룩셈부르크어', 'Lëtzebuergesch', 'Latin'],
+  ['mal', '말라얄람어', 'മലയാളം', 'Malayalam'],
+  ['mar', '마라티어', 'मराठी', 'Devanagari'],
+  ['mkd', '마케도니아어', 'Македонски', 'Cyrillic'],
+  ['mlt', '몰타어', 'Malti', 'Latin'],
+  ['mon', '몽골어', 'Монгол', 'Cyrillic'],
+  ['mri', '마오리어', 'Te reo Māori', 'Latin'],
+  ['msa', '말레이어', 'Bahasa Melayu', 'Latin'],
+  ['mya', '미얀마어', 'မြန်မာဘာသာ', 'Myanmar'],
+  ['nep', '네팔어', 'नेपाली', 'Devanagari'],
+  ['nld', '네덜란드어', 'Nederlands', 'Latin'],
+  ['nor', '노르웨이어', 'Norsk', 'Latin'],
+  ['oci', '오크어', 'Occitan', 'Latin'],
+  ['ori', '오리야어', 'ଓଡ଼ିଆ', 'Oriya'],
+  ['pan', '펀자브어', 'ਪੰਜਾਬੀ', 'Gurmukhi'],
+  ['pol', '폴란드어', 'Polski', 'Latin'],
+  ['por', '포르투갈어', 'Português', 'Latin'],
+  ['pus', '파슈토어', 'پښتو', 'Arabic', { rtl: true }],
+  ['que', '케추아어', 'Runa Simi', 'Latin'],
+  ['ron', '루마니아어', 'Română', 'Latin'],
+  ['rus', '러시아어', 'Русский', 'Cyrillic'],
+  ['san', '산스크리트어', 'संस्कृतम्', 'Devanagari'],
+  ['sin', '싱할라어', 'සිංහල', 'Sinhala'],
+  ['slk', '슬로바키아어', 'Slovenčina', 'Latin'],
+  ['slv', '슬로베니아어', 'Slovenščina', 'Latin'],
+  ['snd', '신디어', 'سنڌي', 'Arabic', { rtl: true }],
+  ['spa', '스페인어', 'Español', 'Latin'],
+  ['spa_old', '고대 스페인어', 'Español antiguo', 'Latin'],
+  ['sqi', '알바니아어', 'Shqip', 'Latin'],
+  ['srp', '세르비아어', 'Српски', 'Cyrillic'],
+  ['srp_latn', '세르비아어 (라틴)', 'Srpski', 'Latin'],
+  ['sun', '순다어', 'Basa Sunda', 'Latin'],
+  ['swa', '스와힐리어', 'Kiswahili', 'Latin'],
+  ['swe', '스웨덴어', 'Svenska', 'Latin'],
+  ['syr', '시리아어', 'ܣܘܪܝܝܐ', 'Syriac', { rtl: true }],
+  ['tam', '타밀어', 'தமிழ்', 'Tamil'],
+  ['tat', '타타르어', 'Татарча', 'Cyrillic'],
+  ['tel', '텔루구어', 'తెలుగు', 'Telugu'],
+  ['tgk', '타지크어', 'Тоҷикӣ', 'Cyrillic'],
+  ['tha', '태국어', 'ภาษาไทย', 'Thai'],
+  ['tir', '티그리냐어', 'ትግርኛ', 'Ethiopic'],
+  ['ton', '통가어', 'Lea faka-Tonga', 'Latin'],
+  ['tur', '터키어', 'Türkçe', 'Latin'],
+  ['uig', '위구르어', 'ئۇيغۇرچە', 'Arabic', { rtl: true }],
+  ['ukr', '우크라이나어', 'Українська', 'Cyrillic'],
+  ['urd', '우르두어', 'اردو', 'Arabic', { rtl: true }],
+  ['uzb', '우즈베크어', 'Oʻzbekcha', 'Latin'],
+  ['uzb_cyrl', '우즈베크어 (키릴)', 'Ўзбекча', 'Cyrillic'],
+  ['vie', '베트남어', 'Tiếng Việt', 'Latin'],
+  ['yid', '이디시어', 'ייִדיש', 'Hebrew', { rtl: true }],
+  ['yor', '요루바어', 'Yorùbá', 'Latin'],
+];
+
+/** @type {Language[]} */
+export const LANGUAGES = CATALOG.map(([code, name, nativeName, script, extra = {}]) => ({
+  code, name, nativeName, script, hint: nativeName, tag: LANG_TAGS[code] || code, ...extra,
+}));
+
+const byCode = new Map(LANGUAGES.map(lang => [lang.code, lang]));
+
+/**
+ * @param {string} code
+ * @returns {Language|null}
+ */
+export function getLanguage(code) {
+  return byCode.get(code) || null;
+}
+
+/**
+ * Catalog entries of a Tesseract language string, in order; unknown codes are dropped
+ * @param {string} lang - e.g. 'kor+eng'
+ * @returns {Language[]}
+ */
+export function parseLangs(lang) {
+  return [...new Set((lang || '').split('+'))].map(getLanguage).filter(Boolean);
+}
+
+/**
+ * Normalized language string, or null when nothing in it is a known language
+ * @param {string} lang
+ * @returns {string|null}
+ */
+export function normalizeLang(lang) {
+  if (lang === AUTO_LANG) return AUTO_LANG;
+  const langs = parseLangs(lang);
+  return langs.length ? langs.map(l => l.code).join('+') : null;
+}
+
+/**
+ * Languages named for AI prompts, the primary one first
+ * (e.g. 'kor+eng' → '한국어, English')
+ */
+export function langHint(lang) {
+  const langs = parseLangs(lang);
+  return langs.length ? langs.map(l => l.hint).join(', ') : 'English';
+}
+
+/**
+ * BCP 47 tag of the primary language (e.g. 'chi_tra+eng' → 'zh-Hant')
+ * @param {string} lang
+ * @returns {string}
+ */
+export function langTag(lang) {
+  return parseLangs(lang)[0]?.tag || 'en';
+}
+
+/**
+ * Short label for a language string (e.g. '한국어 + English')
+ * @param {string} lang
+ * @param {number} [max] - Names shown before the rest are counted
+ */
+export function langLabel(lang, max = 2) {
+  if (lang === AUTO_LANG) return '🧭 자동 감지';
+  const names = parseLangs(lang).map(l => l.nativeName);
+  if (names.length <= max) return names.join(' + ');
+  return `${names.slice(0, max).join(' + ')} 외 ${names.length - max}개`;
+}
+
+/**
+ * Language string last chosen in the picker
+ * @returns {string}
+ */
+export function getSavedLang() {
+  return normalizeLang(localStorage.getItem(STORAGE_KEY)) || DEFAULT_LANG;
+}
+
+/**
+ * @param {string} lang
+ */
+export function saveLang(lang) {
+  localStorage.setItem(STORAGE_KEY, lang);
+}
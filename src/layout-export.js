@@ -0,0 +1,199 @@
+/**
+ * Moon OCR Reader — Layout Export
+ * hOCR 1.2 and ALTO 4.2 serializers for the block → paragraph → line → word tree
+ */
+import { zipSync, strToU8 } from 'fflate';
+import { langTag } from './languages.js';
+import { escapeXml } from './escape.js';
+
+const SOFTWARE_NAME = 'Moon OCR Reader';
+
+/**
+ * @typedef {Object} LayoutPage
+ * @property {string} filename - Source image name
+ * @property {{width: number, height: number}} imageSize - Pixel size the bboxes refer to
+ * @property {string} lang - Tesseract language code(s)
+ * @property {Array} blocks - Normalized block tree from OcrEngine
+ */
+
+function bboxTitle({ x0, y0, x1, y1 }) {
+  return `bbox ${x0} ${y0} ${x1} ${y1}`;
+}
+
+/**
+ * hOCR baseline: slope and offset relative to the bottom-left corner of the line bbox
+ */
+function hocrBaseline(line) {
+  const b = line.baseline;
+  if (!b || b.x1 === b.x0) return '';
+  const slope = (b.y1 - b.y0) / (b.x1 - b.x0);
+  const yAtLeft = b.y0 + slope * (line.bbox.x0 - b.x0);
+  return `; baseline ${slope.toFixed(3)} ${Math.round(yAtLeft - line.bbox.y1)}`;
+}
+
+/**
+ * File-system friendly name for a page export (`scan.pdf#p3` → `scan.pdf_p3`)
+ */
+export function layoutFilename(filename, extension) {
+  const base = filename.replace(/#/g, '_').replace(/\.[a-z0-9]+$/i, '');
+  return `${base}.${extension}`;
+}
+
+// ============================================
+// hOCR
+// ============================================
+
+function hocrPage(page, pageIndex) {
+  const p = pageIndex + 1;
+  const { width, height } = page.imageSize;
+  let blockNo = 0, parNo = 0, lineNo = 0, wordNo = 0;
+
+  const blocks = page.blocks.map(block => {
+    blockNo++;
+    const pars = block.paragraphs.map(par => {
+      parNo++;
+      const lines = par.lines.map(line => {
+        lineNo++;
+        const words = line.words.map(word => {
+          wordNo++;
+          return `      <span class="ocrx_word" id="word_${p}_${wordNo}" title="${bboxTitle(word.bbox)}; x_wconf ${Math.round(word.confidence)}">${escapeXml(word.text)}</span>`;
+        }).join('\n');
+        const size = line.rowAttributes?.rowHeight ? `; x_size ${line.rowAttributes.rowHeight}` : '';
+        return `     <span class="ocr_line" id="line_${p}_${lineNo}" title="${bboxTitle(line.bbox)}${hocrBaseline(line)}${size}">\n${words}\n     </span>`;
+      }).join('\n');
+      const dir = par.is_ltr === false ? ' dir="rtl"' : '';
+      return `    <p class="ocr_par" id="par_${p}_${parNo}" lang="${escapeXml(langTag(page.lang))}"${dir} title="${bboxTitle(par.bbox)}">\n${lines}\n    </p>`;
+    }).join('\n');
+    return `   <div class="ocr_carea" id="block_${p}_${blockNo}" title="${bboxTitle(block.bbox)}">\n${pars}\n   </div>`;
+  }).join('\n');
+
+  return `  <div class="ocr_page" id="page_${p}" title="image &quot;${escapeXml(page.filename)}&quot;; bbox 0 0 ${width} ${height}; ppageno ${pageIndex}">\n${blocks}\n  </div>`;
+}
+
+/**
+ * Serialize pages to a single hOCR document
+ * @param {LayoutPage[]} pages
+ * @returns {string}
+ */
+export function toHocr(pages) {
+  const lang = escapeXml(langTag(pages[0]?.lang));
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="${lang}" lang="${lang}">
+ <head>
+  <title>${escapeXml(pages.length === 1 ? pages[0].filename : SOFTWARE_NAME)}</title>
+  <meta http-equiv="Content-Type" content="text/html;charset=utf-8" />
+  <meta name="ocr-system" content="${SOFTWARE_NAME} (tesseract.js)" />
+  <meta name="ocr-number-of-pages" content="${pages.length}" />
+  <meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word ocrp_wconf ocrp_lang" />
+ </head>
+ <body>
+${pages.map(hocrPage).join('\n')}
+ </body>
+</html>
+`;
+}
+
+// ============================================
+// ALTO
+// ============================================
+
+function altoPosition({ x0, y0, x1, y1 }) {
+  return `HPOS="${x0}" VPOS="${y0}" WIDTH="${x1 - x0}" HEIGHT="${y1 - y0}"`;
+}
+
+function altoPage(page, pageIndex) {
+  const p = pageIndex + 1;
+  const { width, height } = page.imageSize;
+  let blockNo = 0, parNo = 0, lineNo = 0, wordNo = 0;
+
+  // Tesseract blocks → ComposedBlock, paragraphs → TextBlock (ALTO has no paragraph level)
+  const blocks = page.blocks.map(block => {
+    blockNo++;
+    const textBlocks = block.paragraphs.map(par => {
+      parNo++;
+      // ALTO requires a TextLine to hold at least one String — skip lines without words
+      const lines = par.lines.filter(line => line.words?.length > 0).map(line => {
+        lineNo++;
+        const parts = [];
+        line.words.forEach((word, i) => {
+          wordNo++;
+          if (i > 0) {
+            const prev = line.words[i - 1].bbox;
+            parts.push(`            <SP WIDTH="${Math.max(0, word.bbox.x0 - prev.x1)}" HPOS="${prev.x1}" VPOS="${prev.y0}"/>`);
+          }
+          parts.push(`            <String ID="string_${p}_${wordNo}" ${altoPosition(word.bbox)} WC="${(word.confidence / 100).toFixed(2)}" CONTENT="${escapeXml(word.text)}"/>`);
+        });
+        const b = line.baseline;
+        const baseline = b ? ` BASELINE="${b.x0},${b.y0} ${b.x1},${b.y1}"` : '';
+        return `          <TextLine ID="line_${p}_${lineNo}" ${altoPosition(line.bbox)}${baseline}>\n${parts.join('\n')}\n          </TextLine>`;
+      }).join('\n');
+      return `        <TextBlock ID="block_${p}_${parNo}" ${altoPosition(par.bbox)} LANG="${escapeXml(langTag(page.lang))}">\n${lines}\n        </TextBlock>`;
+    }).join('\n');
+    return `        <ComposedBlock ID="cblock_${p}_${blockNo}" ${altoPosition(block.bbox)}>\n${textBlocks}\n        </ComposedBlock>`;
+  }).join('\n');
+
+  return `    <Page ID="page_${p}" PHYSICAL_IMG_NR="${p}" WIDTH="${width}" HEIGHT="${height}">
+      <PrintSpace HPOS="0" VPOS="0" WIDTH="${width}" HEIGHT="${height}">
+${blocks}
+      </PrintSpace>
+    </Page>`;
+}
+
+/**
+ * ALTO allows one fileName per document: the page's own name, or the shared
+ * source of multi-page documents (`scan.pdf#p1`, `scan.pdf#p2` → `scan.pdf`).
+ * Each page's name is kept in a fileIdentifier located at its Page ID.
+ */
+function altoSourceImage(pages) {
+  if (pages.length === 1) return `      <fileName>${escapeXml(pages[0].filename)}</fileName>`;
+  const sources = new Set(pages.map(page => page.filename.split('#')[0]));
+  const entries = pages.map((page, i) =>
+    `      <fileIdentifier fileIdentifierLocation="page_${i + 1}">${escapeXml(page.filename)}</fileIdentifier>`);
+  if (sources.size === 1) entries.unshift(`      <fileName>${escapeXml([...sources][0])}</fileName>`);
+  return entries.join('\n');
+}
+
+/**
+ * Serialize pages to a single ALTO 4.2 document
+ * @param {LayoutPage[]} pages
+ * @returns {string}
+ */
+export function toAlto(pages) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#" xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/alto/v4/alto-4-2.xsd">
+  <Description>
+    <MeasurementUnit>pixel</MeasurementUnit>
+    <sourceImageInformation>
+${altoSourceImage(pages)}
+    </sourceImageInformation>
+    <OCRProcessing ID="OCR_0">
+      <ocrProcessingStep>
+        <processingDateTime>${new Date().toISOString()}</processingDateTime>
+        <processingSoftware>
+          <softwareName>${SOFTWARE_NAME}</softwareName>
+        </processingSoftware>
+      </ocrProcessingStep>
+    </OCRProcessing>
+  </Description>
+  <Layout>
+${pages.map(altoPage).join('\n')}
+  </Layout>
+</alto>
+`;
+}
+
+/**
+ * One document per page, packed into a ZIP archive
+ * @param {LayoutPage[]} pages
+ * @param {'hocr'|'alto'} format
+ * @returns {Uint8Array} ZIP bytes
+ */
+export function zipLayoutPages(pages, format) {
+  const files = {};
+  for (const page of pages) {
+    const name = layoutFilename(page.filename, format === 'hocr' ? 'hocr' : 'alto.xml');
+    files[name] = strToU8(format === 'hocr' ? toHocr([page]) : toAlto([page]));
+  }
+  return zipSync(files);
+}
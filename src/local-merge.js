@@ -0,0 +1,86 @@
+/**
+ * Moon OCR Reader — Local Merge
+ * Offline alternative to the model merge: aligns OCR and Vision text word by
+ * word and settles each disagreement with Tesseract's confidence for the OCR
+ * words involved. Deterministic and free — the dual path then costs one API
+ * call per image.
+ */
+import { diffWords } from './text-diff.js';
+import { locateWords } from './word-review.js';
+
+// Tesseract word confidence (0-100) at or above which OCR wins a disagreement
+export const LOCAL_MERGE_THRESHOLD = 80;
+
+/**
+ * Confidence of every character of the OCR text, taken from the word it
+ * belongs to (NaN where no word matched, e.g. region labels)
+ * @param {string} ocrText
+ * @param {Array<{text: string, confidence: number}>} words - OCR words in reading order
+ * @returns {Float32Array}
+ */
+function charConfidences(ocrText, words) {
+  const conf = new Float32Array(ocrText.length).fill(NaN);
+  locateWords(ocrText, words).forEach((span, i) => {
+    if (span) conf.fill(words[i].confidence, span.start, span.end);
+  });
+  return conf;
+}
+
+function meanConfidence(conf, start, end, fallback) {
+  let sum = 0, count = 0;
+  for (let i = start; i < end; i++) {
+    if (!Number.isNaN(conf[i])) { sum += conf[i]; count++; }
+  }
+  return count > 0 ? sum / count : fallback;
+}
+
+/**
+ * Merge OCR and Vision text without a model.
+ * Agreed words are kept; in each disagreement OCR wins when its words are
+ * confident, Vision otherwise. Words only Vision saw are added; words only
+ * OCR saw are kept when confident. Without word confidences the page
+ * confidence decides.
+ * @param {string} ocrText
+ * @param {string} visionText
+ * @param {Object} options
+ * @param {Array<{words?: Array<{text: string, confidence: number}>}>} [options.lines] - OCR lines with word confidences
+ * @param {number} [options.confidence] - Page confidence, used where no word matched
+ * @param {number} [options.threshold]
+ * @returns {string}
+ */
+export function localMerge(ocrText, visionText, { lines = [], confidence = 0, threshold = LOCAL_MERGE_THRESHOLD } = {}) {
+  const ocr = ocrText || '', vision = visionText || '';
+  if (!vision.trim()) return ocr;
+  if (!ocr.trim()) return vision;
+
+  const conf = charConfidences(ocr, lines.flatMap(l => l.words || []));
+  let merged = '';
+  let pos = 0;
+  // Pending disagreement: OCR span [start, pos) against Vision text
+  let hunk = null;
+
+  const settle = () => {
+    if (!hunk) return;
+    const ocrPart = ocr.slice(hunk.start, pos);
+    const confident = meanConfidence(conf, hunk.start, pos, confidence) >= threshold;
+    if (!ocrPart.trim() && !hunk.vision.trim()) merged += ocrPart; // layout whitespace follows Tesseract
+    else if (!hunk.vision.trim()) merged += confident ? ocrPart : '';
+    else if (!ocrPart.trim()) merged += hunk.vision;
+    else merged += confident ? ocrPart : hunk.vision;
+    hunk = null;
+  };
+
+  for (const op of diffWords(ocr, vision)) {
+    if (op.type === 'equal') {
+      settle();
+      merged += op.text;
+      pos += op.text.length;
+      continue;
+    }
+    hunk ??= { start: pos, vision: '' };
+    if (op.type === 'delete') pos += op.text.length;
+    else hunk.vision += op.text;
+  }
+  settle();
+  return merged;
+}
@@ -2,22 +2,51 @@
  * Moon OCR Reader — Main Application
  */
 import './style.css';
-import { ocrEngine } from './ocr-engine.js';
-import { resizeForOcr, getFileHash } from './image-utils.js';
-import { isGeminiAvailable, geminiVisionRead, geminiMergeResults, setApiKey, clearApiKey, getApiKey } from './gemini-vision.js';
+import { ocrEngine, formatRegionText, OCR_ENGINE_VERSION, OCR_PROFILES, DEFAULT_OCR_PROFILE, getProfileKey, usesLegacyEngine, AUTO_FALLBACK_LANG } from './ocr-engine.js';
+import { resizeForOcr, cropImage, rotateImage, preprocessImage, getPreprocessKey, PREPROCESS_PRESETS } from './image-utils.js';
+import { preprocessPool } from './preprocess-pool.js';
+import { isPdfFile, rasterizePdf } from './pdf-utils.js';
+import { RegionEditor, regionLabel, regionToRect, getRegionsKey } from './region-editor.js';
+import { BboxViewer } from './bbox-viewer.js';
+import { diffWords, diffStats } from './text-diff.js';
+import { buildProvenance, resultProvenance, composeProvenance, segmentOptions, provenanceStats } from './merge-provenance.js';
+import { reviewItems, REVIEW_THRESHOLDS, DEFAULT_REVIEW_THRESHOLD } from './word-review.js';
+import { createRuleSet, getRuleSettings, saveRuleSettings, getRuleSetForLang, setRuleSetForLang, applyRules, applyRulesToLines, parseRulesText, formatRulesText, getRuleSetKey, buildRuleSetsJson, importRuleSetsJson } from './rule-sets.js';
+import { LANGUAGES, getLanguage, getSavedLang, saveLang, langLabel, parseLangs } from './languages.js';
+import { TESSERACT_PATHS, BUNDLED_LANG_PACKS, packUrl, listOfflinePacks, downloadPack, removePack, listOfflineFonts, downloadFont, removeFont, registerServiceWorker } from './offline.js';
+import { LanguagePicker } from './language-picker.js';
+import { CameraCapture } from './camera-capture.js';
+import { createSearchablePdf } from './pdf-export.js';
+import { toHocr, toAlto, zipLayoutPages } from './layout-export.js';
+import { buildResultsJson, parseResultsJson } from './result-json.js';
+import { detectTables, normalizeRows } from './table-detect.js';
+import { tableToCsv, createXlsx, zipCsvTables } from './table-export.js';
+import { escapeHtml } from './escape.js';
+import { AI_PROVIDERS, isAiAvailable, visionRead, readTables, mergeResults, getAiSettings, saveAiSettings, getAiModelId, getAiLabel, getMergeStrategy, MERGE_STRATEGIES, PROMPT_VERSION } from './ai-provider.js';
+import { aiQueue } from './ai-queue.js';
+import { BatchControl, InFlightLimit, ThroughputMeter, isAbortError, abortable } from './batch-control.js';
+import { resultCache } from './result-cache.js';
+import { sessionHistory } from './session-history.js';
 
 // ============================================
 // State
 // ============================================
 const state = {
-  images: [], // { id, file, url, name }
+  images: [], // { id, file, url, name, source?, regions? } — source groups PDF pages, regions limit OCR
   results: [], // { id, filename, text, confidence, ... }
   isProcessing: false,
-  aiEnabled: false, // Gemini dual-path toggle
+  batch: null, // BatchControl of the current run — cancels/pauses its OCR jobs and AI requests
+  aiEnabled: false, // AI dual-path toggle (provider chosen in settings)
+  session: null, // { id, name, createdAt, lang, aiMode, aiModel, mergeStrategy, preprocessPreset, ocrProfile, tableMode, ruleSet, ruleSets } of the current run (ruleSets: detected language → set, auto mode only)
+  preprocessPreset: 'none', // key of PREPROCESS_PRESETS applied to the whole batch
+  ocrProfile: DEFAULT_OCR_PROFILE, // key of OCR_PROFILES for images without their own
+  tableMode: false, // rebuild tables from word boxes (and ask the vision model when AI is on)
+  reviewThreshold: Number(localStorage.getItem('moon-ocr-review-threshold')) || DEFAULT_REVIEW_THRESHOLD, // words below this confidence are highlighted
 };
 
 let imageIdCounter = 0;
-const resultCache = new Map(); // SHA-256 hash -> OCR result
+const CACHE_ENTRY_VERSION = 2; // bump when cached entries gain a field results depend on (2: ocrInput)
+resultCache.setVersion(`${OCR_ENGINE_VERSION}|prompt-${PROMPT_VERSION}|entry-${CACHE_ENTRY_VERSION}`);
 
 // ============================================
 // DOM Refs
@@ -28,21 +57,50 @@ const $$ = (sel) => document.querySelectorAll(sel);
 const dom = {
   dropZone: $('#drop-zone'),
   fileInput: $('#file-input'),
-  langSelect: $('#language-select'),
+  languagePicker: $('#language-picker'),
+  ruleSetSelect: $('#rule-set-select'),
+  btnRuleSets: $('#btn-rule-sets'),
+  ruleSetModal: $('#rule-set-modal'),
+  ruleSetEditSelect: $('#rule-set-edit-select'),
+  ruleSetName: $('#rule-set-name'),
+  ruleSetWords: $('#rule-set-words'),
+  ruleSetPatterns: $('#rule-set-patterns'),
+  ruleSetRules: $('#rule-set-rules'),
+  ruleSetErrors: $('#rule-set-errors'),
+  ruleSetInput: $('#rule-set-input'),
+  btnRuleSetNew: $('#btn-rule-set-new'),
+  btnRuleSetDelete: $('#btn-rule-set-delete'),
+  btnRuleSetImport: $('#btn-rule-set-import'),
+  btnRuleSetExport: $('#btn-rule-set-export'),
+  btnRuleSetSave: $('#btn-rule-set-save'),
+  btnRuleSetClose: $('#btn-rule-set-close'),
+  preprocessSelect: $('#preprocess-select'),
+  ocrProfileSelect: $('#ocr-profile-select'),
+  tableModeToggle: $('#table-mode-toggle'),
   previewSection: $('#preview-section'),
   imageCount: $('#image-count'),
   imageGallery: $('#image-gallery'),
   btnClearAll: $('#btn-clear-all'),
   btnStartOcr: $('#btn-start-ocr'),
   progressSection: $('#progress-section'),
+  btnPauseBatch: $('#btn-pause-batch'),
+  btnCancelBatch: $('#btn-cancel-batch'),
   progressBar: $('#progress-bar'),
   progressStatus: $('#progress-status'),
   progressDetail: $('#progress-detail'),
+  progressStats: $('#progress-stats'),
   resultsSection: $('#results-section'),
   resultsContainer: $('#results-container'),
   btnCopyAll: $('#btn-copy-all'),
   btnDownloadTxt: $('#btn-download-txt'),
   btnDownloadMd: $('#btn-download-md'),
+  btnDownloadPdf: $('#btn-download-pdf'),
+  btnDownloadHocr: $('#btn-download-hocr'),
+  btnDownloadAlto: $('#btn-download-alto'),
+  btnDownloadJson: $('#btn-download-json'),
+  btnDownloadCsv: $('#btn-download-csv'),
+  btnDownloadXlsx: $('#btn-download-xlsx'),
+  layoutExportMode: $('#layout-export-mode'),
   toastContainer: $('#toast-container'),
   aiToggle: $('#ai-toggle'),
   aiStatus: $('#ai-status'),
@@ -53,8 +111,52 @@ const dom = {
   btnDeleteKey: $('#btn-delete-key'),
   btnModalClose: $('#btn-modal-close'),
   btnToggleKeyVis: $('#btn-toggle-key-visibility'),
+  aiProviderSelect: $('#ai-provider-select'),
+  aiModelInput: $('#ai-model-input'),
+  aiMergeStrategy: $('#ai-merge-strategy'),
+  aiModelOptions: $('#ai-model-options'),
+  aiConcurrencyInput: $('#ai-concurrency-input'),
+  aiRpmInput: $('#ai-rpm-input'),
+  aiBaseUrlField: $('#ai-base-url-field'),
+  aiBaseUrlInput: $('#ai-base-url-input'),
+  aiApiKeyField: $('#ai-api-key-field'),
+  aiKeyHelpLink: $('#ai-key-help-link'),
+  cacheStats: $('#cache-stats'),
+  btnClearCache: $('#btn-clear-cache'),
+  btnHistory: $('#btn-history'),
+  btnCamera: $('#btn-camera'),
+  cameraPanel: $('#camera-panel'),
+  btnOffline: $('#btn-offline'),
+  offlineModal: $('#offline-modal'),
+  btnOfflineClose: $('#btn-offline-close'),
+  offlineStatus: $('#offline-status'),
+  offlineLangList: $('#offline-lang-list'),
+  offlineLangSelect: $('#offline-lang-select'),
+  offlineFontList: $('#offline-font-list'),
+  btnOfflineDownload: $('#btn-offline-download'),
+  historyModal: $('#history-modal'),
+  reviewThreshold: $('#review-threshold'),
+  btnReview: $('#btn-review'),
+  reviewCount: $('#review-count'),
+  reviewModal: $('#review-modal'),
+  reviewPanel: $('#review-panel'),
+  reviewProgressBar: $('#review-progress-bar'),
+  reviewProgressText: $('#review-progress-text'),
+  btnReviewClose: $('#btn-review-close'),
+  historyList: $('#history-list'),
+  btnHistoryClose: $('#btn-history-close'),
+  btnImportJson: $('#btn-import-json'),
+  jsonInput: $('#json-input'),
+  regionModal: $('#region-modal'),
+  regionEditor: $('#region-editor'),
+  btnRegionClear: $('#btn-region-clear'),
+  btnRegionSave: $('#btn-region-save'),
+  btnRegionClose: $('#btn-region-close'),
 };
 
+let languagePicker = null; // LanguagePicker, created in setupEventListeners
+let camera = null; // CameraCapture while the camera panel is open
+
 // ============================================
 // Toast Notification
 // ============================================
@@ -74,10 +176,16 @@ function showToast(message, type = 'success') {
 // ============================================
 // Image Management
 // ============================================
-function addImages(files) {
+async function addImages(files) {
   const validTypes = ['image/png', 'image/jpeg', 'image/webp', 'image/bmp', 'image/gif', 'image/tiff'];
+  let addedCount = 0;
   
   for (const file of files) {
+    if (isPdfFile(file)) {
+      addedCount += await addPdfPages(file);
+      continue;
+    }
+    
     if (!validTypes.includes(file.type)) {
       showToast(`지원하지 않는 형식: ${file.name}`, 'error');
       continue;
@@ -86,20 +194,120 @@ function addImages(files) {
     const id = `img-${++imageIdCounter}`;
     const url = URL.createObjectURL(file);
     state.images.push({ id, file, url, name: file.name });
+    addedCount++;
   }
   
   renderGallery();
   
   if (state.images.length > 0) {
     dom.previewSection.classList.remove('hidden');
-    showToast(`${files.length}개 이미지가 추가되었습니다`);
   }
+  if (addedCount > 0) {
+    showToast(`${addedCount}개 이미지가 추가되었습니다`);
+  }
+}
+
+/**
+ * Rasterize a PDF and add each page as its own image entry.
+ * Pages share a `source` so the gallery can group them under the PDF.
+ * @returns {Promise<number>} number of pages added
+ */
+async function addPdfPages(file) {
+  const sourceId = `pdf-${++imageIdCounter}`;
+  
+  try {
+    showToast(`PDF 페이지 변환 중: ${file.name}`, 'info');
+    const pages = await rasterizePdf(file);
+    
+    for (const { file: pageFile, page, pageCount } of pages) {
+      const id = `img-${++imageIdCounter}`;
+      const url = URL.createObjectURL(pageFile);
+      state.images.push({
+        id,
+        file: pageFile,
+        url,
+        name: pageFile.name,
+        source: { id: sourceId, name: file.name, page, pageCount },
+      });
+    }
+    return pages.length;
+  } catch (err) {
+    console.error(`PDF rasterization failed for ${file.name}:`, err);
+    showToast(`PDF 변환 실패: ${file.name}`, 'error');
+    return 0;
+  }
+}
+
+/**
+ * Revoke the object URLs held by an image entry (original + preprocessing preview)
+ */
+function releaseImage(img) {
+  URL.revokeObjectURL(img.url);
+  if (img.preview) URL.revokeObjectURL(img.preview.url);
+  forgetOcrImage(img);
+}
+
+// The last few rebuilt OCR inputs, most recent last: id -> {blob, url}
+const ocrImages = new Map();
+const OCR_IMAGE_CACHE_SIZE = 6;
+
+/**
+ * The image Tesseract read, which bounding boxes refer to. Rebuilt from the
+ * original with the run's rotation and filters (`img.ocrInput`) when asked for,
+ * so a long batch doesn't keep a processed copy of every page.
+ * @returns {Promise<Blob>} the original file when OCR read it unchanged
+ */
+async function getOcrImage(img) {
+  if (!img.ocrInput) return img.file;
+  const cached = ocrImages.get(img.id);
+  if (cached) {
+    ocrImages.delete(img.id);
+    ocrImages.set(img.id, cached);
+    return cached.blob;
+  }
+  
+  const { degrees, options } = img.ocrInput;
+  let blob = await preprocessPool.run('resize', [img.file]);
+  if (degrees) blob = await preprocessPool.run('rotate', [blob, degrees]);
+  ({ file: blob } = await preprocessPool.run('preprocess', [blob, options]));
+  // Another caller may have built it meanwhile
+  if (ocrImages.has(img.id)) return ocrImages.get(img.id).blob;
+  
+  ocrImages.set(img.id, { blob, url: URL.createObjectURL(blob) });
+  for (const [id, entry] of ocrImages) {
+    if (ocrImages.size <= OCR_IMAGE_CACHE_SIZE) break;
+    URL.revokeObjectURL(entry.url);
+    ocrImages.delete(id);
+  }
+  return blob;
+}
+
+/**
+ * @returns {Promise<string>} object URL of the OCR input (the original's when unchanged)
+ */
+async function getOcrImageUrl(img) {
+  if (!img.ocrInput) return img.url;
+  await getOcrImage(img);
+  return ocrImages.get(img.id)?.url || img.url;
+}
+
+/**
+ * @returns {string|null} the OCR input's URL when it needs no rebuild
+ */
+function peekOcrImageUrl(img) {
+  return img.ocrInput ? ocrImages.get(img.id)?.url || null : img.url;
+}
+
+function forgetOcrImage(img) {
+  const cached = ocrImages.get(img.id);
+  if (cached) URL.revokeObjectURL(cached.url);
+  ocrImages.delete(img.id);
 }
 
 function removeImage(id) {
   const idx = state.images.findIndex(img => img.id === id);
   if (idx !== -1) {
-    URL.revokeObjectURL(state.images[idx].url);
+    releaseImage(state.images[idx]);
     state.images.splice(idx, 1);
   }
   
@@ -111,25 +319,102 @@ function removeImage(id) {
 }
 
 function clearAllImages() {
-  state.images.forEach(img => URL.revokeObjectURL(img.url));
+  stopBatch();
+  state.images.forEach(releaseImage);
   state.images = [];
   renderGallery();
   dom.previewSection.classList.add('hidden');
   dom.resultsSection.classList.add('hidden');
   state.results = [];
+  state.session = null;
 }
 
-function renderGallery() {
-  dom.imageCount.textContent = state.images.length;
-  dom.imageGallery.innerHTML = state.images.map(img => `
+function removeSourceGroup(sourceId) {
+  state.images
+    .filter(img => img.source?.id === sourceId)
+    .forEach(releaseImage);
+  state.images = state.images.filter(img => img.source?.id !== sourceId);
+  
+  renderGallery();
+  
+  if (state.images.length === 0) {
+    dom.previewSection.classList.add('hidden');
+  }
+}
+
+function renderImageCard(img) {
+  return `
     <div class="image-card" data-id="${img.id}" id="card-${img.id}">
       <img src="${img.url}" alt="${img.name}" loading="lazy" />
+      ${img.source ? `<span class="card-page-label">p${img.source.page}</span>` : ''}
+      ${img.regions?.length ? `<span class="card-region-count" title="선택 영역만 인식">▭ ${img.regions.length}</span>` : ''}
+      ${img.profile ? `<span class="card-profile-label" title="이 이미지의 인식 프로필">${OCR_PROFILES[img.profile].label}</span>` : ''}
+      ${img.osd ? renderOsdBadge(img.osd) : ''}
       <div class="card-overlay">
+        <select class="card-profile" data-profile="${img.id}" title="이 이미지의 인식 프로필">
+          <option value="">일괄 프로필 사용</option>
+          ${Object.entries(OCR_PROFILES).map(([key, p]) => `<option value="${key}" ${img.profile === key ? 'selected' : ''}>${p.label}</option>`).join('')}
+        </select>
         <span class="card-filename">${img.name}</span>
+        <button class="card-regions" data-regions="${img.id}" title="인식 영역 선택">▭</button>
+        <button class="card-compare" data-compare="${img.id}" title="전처리 전/후 비교">◐</button>
         <button class="card-remove" data-remove="${img.id}" title="삭제">✕</button>
       </div>
     </div>
-  `).join('');
+  `;
+}
+
+/**
+ * Detected orientation and script on a gallery card
+ */
+function renderOsdBadge(osd) {
+  const title = `방향 신뢰도 ${osd.orientationConfidence.toFixed(1)} · 문자 신뢰도 ${osd.scriptConfidence.toFixed(1)} → ${langLabel(osd.lang)}`;
+  return `<span class="card-osd-label" title="${title}">🧭 ${osd.degrees ? `↻${osd.degrees}°` : '정방향'} · ${osd.script || '?'}</span>`;
+}
+
+function setImageOsd(img, osd) {
+  img.osd = osd;
+  const card = document.getElementById(`card-${img.id}`);
+  card?.querySelector('.card-osd-label')?.remove();
+  if (card && osd) card.insertAdjacentHTML('beforeend', renderOsdBadge(osd));
+}
+
+/**
+ * Replace the status badge on a gallery card
+ */
+function setCardBadge(id, status, symbol, title = '') {
+  const card = document.getElementById(`card-${id}`);
+  if (!card) return;
+  card.querySelector('.card-status-badge')?.remove();
+  card.insertAdjacentHTML('afterbegin', `<div class="card-status-badge ${status}"${title ? ` title="${title}"` : ''}>${symbol}</div>`);
+}
+
+function renderGallery() {
+  dom.imageCount.textContent = state.images.length;
+  
+  // Collapse consecutive pages of the same PDF into one group
+  const groups = [];
+  for (const img of state.images) {
+    const last = groups[groups.length - 1];
+    if (img.source && last?.source?.id === img.source.id) {
+      last.images.push(img);
+    } else {
+      groups.push({ source: img.source || null, images: [img] });
+    }
+  }
+  
+  dom.imageGallery.innerHTML = groups.map(group => group.source ? `
+    <div class="gallery-group" data-source-id="${group.source.id}">
+      <div class="gallery-group-header">
+        <span class="gallery-group-title">${group.source.kind === 'camera' ? '📸' : '📄'} ${group.source.name}</span>
+        <span class="gallery-group-count">${group.images.length}/${group.source.pageCount}페이지</span>
+        <button class="btn-icon gallery-group-remove" data-remove-source="${group.source.id}" title="${group.source.kind === 'camera' ? '촬영' : 'PDF'} 전체 삭제">✕</button>
+      </div>
+      <div class="gallery-group-pages">
+        ${group.images.map(renderImageCard).join('')}
+      </div>
+    </div>
+  ` : renderImageCard(group.images[0])).join('');
   
   // Bind remove buttons
   dom.imageGallery.querySelectorAll('.card-remove').forEach(btn => {
@@ -138,6 +423,221 @@ function renderGallery() {
       removeImage(btn.dataset.remove);
     });
   });
+  
+  dom.imageGallery.querySelectorAll('[data-regions]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openRegionEditor(btn.dataset.regions);
+    });
+  });
+  
+  dom.imageGallery.querySelectorAll('[data-profile]').forEach(select => {
+    select.addEventListener('click', (e) => e.stopPropagation());
+    select.addEventListener('change', () => {
+      const img = state.images.find(i => i.id === select.dataset.profile);
+      if (img) img.profile = select.value || null;
+      renderGallery();
+    });
+  });
+  
+  dom.imageGallery.querySelectorAll('[data-compare]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      togglePreprocessPreview(btn.dataset.compare).catch(err => {
+        console.warn('Preprocess preview failed:', err);
+        showToast('전처리 미리보기 실패', 'error');
+      });
+    });
+  });
+  
+  dom.imageGallery.querySelectorAll('[data-remove-source]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      removeSourceGroup(btn.dataset.removeSource);
+    });
+  });
+}
+
+/**
+ * Swap a gallery card between the original and the preprocessed image
+ * for the batch preset. Previews are kept per preset until it changes.
+ */
+async function togglePreprocessPreview(id) {
+  const img = state.images.find(i => i.id === id);
+  const card = document.getElementById(`card-${id}`);
+  if (!img || !card) return;
+  
+  const imgEl = card.querySelector('img');
+  if (card.classList.contains('showing-processed')) {
+    card.classList.remove('showing-processed');
+    card.querySelector('.card-preview-label')?.remove();
+    imgEl.src = img.url;
+    return;
+  }
+  
+  const options = PREPROCESS_PRESETS[state.preprocessPreset];
+  const key = getPreprocessKey(options);
+  if (key === 'raw') {
+    showToast('비교하려면 전처리 프리셋을 먼저 선택하세요', 'info');
+    return;
+  }
+  
+  if (img.preview?.key !== key) {
+    if (img.preview) URL.revokeObjectURL(img.preview.url);
+    card.classList.add('previewing');
+    const resized = await resizeForOcr(img.file);
+    const { file, skewAngle } = await preprocessImage(resized, options);
+    img.preview = { key, url: URL.createObjectURL(file), skewAngle };
+    card.classList.remove('previewing');
+  }
+  
+  card.classList.add('showing-processed');
+  imgEl.src = img.preview.url;
+  const skew = Math.abs(img.preview.skewAngle) >= 0.25 ? ` · 기울기 ${img.preview.skewAngle.toFixed(1)}°` : '';
+  card.insertAdjacentHTML('beforeend', `<span class="card-preview-label">전처리 후${skew}</span>`);
+}
+
+// ============================================
+// Region Selection
+// ============================================
+let regionEditor = null;
+let regionEditorImageId = null;
+
+function openRegionEditor(id) {
+  const img = state.images.find(i => i.id === id);
+  if (!img) return;
+  
+  regionEditorImageId = id;
+  regionEditor = new RegionEditor(dom.regionEditor, img.url, img.regions || []);
+  dom.regionModal.classList.remove('hidden');
+}
+
+function closeRegionEditor() {
+  regionEditor?.destroy();
+  regionEditor = null;
+  regionEditorImageId = null;
+  dom.regionModal.classList.add('hidden');
+}
+
+function saveRegions() {
+  const img = state.images.find(i => i.id === regionEditorImageId);
+  if (img) {
+    img.regions = regionEditor.getRegions();
+    renderGallery();
+    showToast(img.regions.length > 0 ? `${img.regions.length}개 영역이 지정되었습니다` : '전체 이미지를 인식합니다');
+  }
+  closeRegionEditor();
+}
+
+/**
+ * Send each region crop to the vision model separately
+ * @returns {Promise<string[]>} one text per region ('' on failure)
+ */
+function visionReadRegions(file, regions, lang, request) {
+  return Promise.all(regions.map(region =>
+    cropImage(file, region)
+      .then(crop => visionRead(crop, lang, request))
+      .catch(err => {
+        console.warn(`Vision read failed for region ${region.id}:`, err);
+        return '';
+      })
+  ));
+}
+
+/**
+ * Resolve with the value and how long the promise took, for result provenance
+ * @returns {Promise<{value: *, ms: number}>}
+ */
+function timed(promise) {
+  const startedAt = performance.now();
+  return promise.then(value => ({ value, ms: Math.round(performance.now() - startedAt) }));
+}
+
+/**
+ * Path B for one image: whole-image read, or one read per region
+ * @param {string} id - Result id, for queue status on its card
+ * @param {Blob} file - Original image file
+ * @param {Array|null} regions - Region mode rectangles
+ * @param {AbortSignal} [signal] - Batch cancel
+ * @returns {Promise<{value: string | string[], ms: number}>} never rejects ('' on failure or cancel)
+ */
+function requestVision(id, file, regions, lang, signal) {
+  const request = { key: id, signal };
+  return timed(regions
+    ? visionReadRegions(file, regions, lang, request)
+    : visionRead(file, lang, request).catch(err => {
+      console.warn(`Vision read failed for ${id}:`, err);
+      return ''; // graceful fallback
+    }));
+}
+
+/**
+ * Table mode with AI: structured cells from the vision model
+ * @returns {Promise<Array<{rows: string[][]}>>} never rejects ([] on failure)
+ */
+function requestTables(id, file, lang, signal) {
+  return readTables(file, lang, { key: id, signal }).catch(err => {
+    console.warn(`Vision table read failed for ${id}:`, err);
+    return [];
+  });
+}
+
+/**
+ * OCR lines whose centre falls inside a pixel rectangle
+ */
+function linesInRect(lines, rect) {
+  return lines.filter(({ bbox }) => {
+    const cx = (bbox.x0 + bbox.x1) / 2, cy = (bbox.y0 + bbox.y1) / 2;
+    return cx >= rect.left && cx < rect.left + rect.width && cy >= rect.top && cy < rect.top + rect.height;
+  });
+}
+
+/**
+ * Merge OCR and vision text region by region so sections stay aligned
+ * @returns {Promise<string>} combined labeled text
+ */
+async function mergeRegionResults(regions, visionTexts, lang, request, lines = []) {
+  await Promise.all(regions.map(async (region, i) => {
+    region.ocrText = region.ocrText ?? region.text;
+    region.visionText = visionTexts[i] || '';
+    region.mergedText = region.visionText && region.ocrText
+      ? await mergeResults(region.ocrText, region.visionText, lang, { ...request, lines: linesInRect(lines, region.rect), confidence: region.confidence })
+      : region.visionText || region.ocrText;
+    region.text = region.mergedText;
+  }));
+  return formatRegionText(regions);
+}
+
+/**
+ * The session's correction rules for a result — in auto mode each detected
+ * language brings its own set
+ * @param {string} [lang] - The result's language
+ * @returns {import('./rule-sets.js').Rule[]|undefined}
+ */
+function sessionRules(lang) {
+  const session = state.session;
+  return session?.lang === 'auto' ? session.ruleSets?.[lang]?.rules : session?.ruleSet?.rules;
+}
+
+/**
+ * Apply the session's correction rules — per region when regions were
+ * selected, so each region's text stays a slice of the labeled whole
+ * @param {string} text
+ * @param {Array<{text: string}>|null} regions - Updated in place
+ * @param {string} [lang] - The result's language
+ * @returns {{text: string, count: number}}
+ */
+function applySessionRules(text, regions, lang) {
+  const rules = sessionRules(lang);
+  if (!rules?.length) return { text, count: 0 };
+  if (!regions?.length) return applyRules(text, rules);
+  let count = 0;
+  for (const region of regions) {
+    const corrected = applyRules(region.text, rules);
+    region.text = corrected.text;
+    count += corrected.count;
+  }
+  return { text: formatRegionText(regions), count };
 }
 
 // ============================================
@@ -146,156 +646,404 @@ function renderGallery() {
 async function startOcr() {
   if (state.images.length === 0 || state.isProcessing) return;
   
+  // Refinements still running for the previous results would only update discarded entries
+  stopBatch();
+  const batch = state.batch = new BatchControl();
   state.isProcessing = true;
   state.results = [];
+  updateBatchControls();
   
   dom.btnStartOcr.disabled = true;
   dom.progressSection.classList.remove('hidden');
   dom.resultsSection.classList.remove('hidden');
   dom.resultsContainer.innerHTML = '';
   
-  const lang = dom.langSelect.value;
-  const useAI = state.aiEnabled && isGeminiAvailable();
+  const lang = languagePicker.value;
+  const useAI = state.aiEnabled && isAiAvailable();
+  const aiModelId = useAI ? getAiModelId() : null;
+  const mergeStrategy = useAI ? getMergeStrategy() : null;
+  const preprocess = PREPROCESS_PRESETS[state.preprocessPreset];
+  const preprocessKey = getPreprocessKey(preprocess);
+  const tableMode = state.tableMode;
+  // Auto mode picks each page's set by its detected language; the cache key
+  // covers all of them because it is computed before detection
+  const ruleSet = lang === 'auto' ? null : getRuleSetForLang(lang);
+  const autoRuleSets = lang === 'auto'
+    ? Object.fromEntries(Object.keys(getRuleSettings().byLang).sort().map(l => [l, getRuleSetForLang(l)]).filter(([, set]) => set))
+    : {};
+  const ruleSetKey = lang === 'auto'
+    ? Object.entries(autoRuleSets).map(([l, set]) => `${l}-${getRuleSetKey(set)}`).join('_')
+    : getRuleSetKey(ruleSet);
+  const ruleSetSummary = (set) => ({ id: set.id, name: set.name, rules: set.rules });
+  
+  state.session = {
+    id: `session-${Date.now()}`,
+    name: `OCR ${new Date().toLocaleString('ko-KR')}`,
+    createdAt: Date.now(),
+    lang,
+    aiMode: useAI ? 'ai' : 'ocr',
+    aiModel: aiModelId,
+    mergeStrategy,
+    preprocessPreset: state.preprocessPreset,
+    ocrProfile: state.ocrProfile,
+    tableMode,
+    ruleSet: ruleSet ? ruleSetSummary(ruleSet) : null,
+    ...(lang === 'auto' ? { ruleSets: Object.fromEntries(Object.entries(autoRuleSets).map(([l, set]) => [l, ruleSetSummary(set)])) } : {}),
+  };
   
   try {
     // Phase 1: Initialize Tesseract engine
     updateProgress(0, 'OCR 엔진 초기화 중...', 'Tesseract.js 워커를 생성합니다');
     
-    await ocrEngine.initialize(lang, (progress, message) => {
-      updateProgress(progress * 0.1, message, '언어 모델을 다운로드하고 있습니다 (최초 1회)');
-    });
+    const legacy = state.images.some(img => usesLegacyEngine(OCR_PROFILES[img.profile || state.ocrProfile]));
+    const initLang = (engineLang, from, to) => ocrEngine.initialize(engineLang, (progress, message) => {
+      updateProgress(from + progress * (to - from), message, `${engineLang} 언어 모델을 불러오고 있습니다 (오프라인 저장본이 없으면 다운로드)`);
+    }, (lang === 'auto' ? autoRuleSets[engineLang] : ruleSet) || {}, { legacy });
+    if (lang === 'auto') {
+      // Recognition workers are created per detected language in Phase 3
+      updateProgress(0.05, '방향·문자 감지 모델 로딩 중...', 'Tesseract OSD 모델을 불러오고 있습니다 (오프라인 저장본이 없으면 다운로드)');
+      await ocrEngine.initializeOsd();
+    } else {
+      await initLang(lang, 0, 0.1);
+    }
     
-    // Phase 2: Pre-resize images and check cache
-    updateProgress(0.1, '이미지 전처리 중...', '고해상도 이미지를 최적화합니다');
+    // Phase 2: Hash, cache check and preprocessing run in the worker pool; each image
+    // goes on to OCR (Phase 3) as soon as it is ready instead of after the whole batch
+    const total = state.images.length;
+    // Backpressure: only this many images between the start of preprocessing and the end
+    // of their OCR — enough to keep the pool and the Tesseract workers busy, so a long
+    // batch never holds more decoded pages than that
+    const slots = new InFlightLimit(preprocessPool.size + ocrEngine.workerCount * 2);
+    const meter = new ThroughputMeter(() => batch.elapsed());
+    const prepared = new Map(); // id -> image ready for OCR, until its OCR finished
+    const visionPromises = new Map(); // id -> Promise<{value: string | string[], ms: number}> (array in region mode)
+    const tablePromises = new Map(); // id -> Promise<Array<{rows}>> (table mode with AI)
+    let cachedCount = 0;
+    let preparedCount = 0;
+    let finishedCount = 0;
+    let ocrDetail = '텍스트를 추출하는 중';
     
-    const imagesToProcess = [];
-    const cachedResults = [];
+    const reportProgress = () => {
+      if (batch.paused) return;
+      const done = cachedCount + finishedCount;
+      updateProgress(0.1 + (done / total) * 0.85, `이미지 ${done}/${total} 완료`, `전처리 ${cachedCount + preparedCount}/${total} · ${ocrDetail}`);
+      const rate = meter.perMinute();
+      dom.progressStats.textContent = rate
+        ? `⚡ 분당 ${rate.toFixed(1)}장 · ⏱ 남은 시간 ${formatDuration(meter.remaining(total - done))}`
+        : '⚡ 처리 속도 측정 중...';
+    };
+    updateProgress(0.1, '이미지 전처리 중...', '해시 계산과 이미지 최적화를 백그라운드에서 진행합니다');
     
-    for (const img of state.images) {
-      const hash = await getFileHash(img.file);
-      const cacheKey = `${hash}_${lang}_${useAI ? 'ai' : 'ocr'}`;
+    /**
+     * @returns {Promise<Object|null>} the image ready for OCR, null when the cached result was shown
+     */
+    const prepareImage = async (img) => {
+      const step = async (op, ...args) => {
+        const result = await preprocessPool.run(op, args, { signal: batch.signal });
+        batch.signal.throwIfAborted();
+        return result;
+      };
+      await batch.whenRunning();
+      batch.signal.throwIfAborted();
+      setCardBadge(img.id, 'preparing', '⚙', '전처리 중');
+      // Set again from the cache or this run — boxes must never be shown over the last run's input
+      forgetOcrImage(img);
+      img.ocrInput = null;
       
-      if (resultCache.has(cacheKey)) {
-        const cached = resultCache.get(cacheKey);
-        cachedResults.push({ ...cached, id: img.id, filename: img.file.name });
-      } else {
-        const resizedFile = await resizeForOcr(img.file);
-        imagesToProcess.push({ file: resizedFile, id: img.id, originalFile: img.file, hash, cacheKey });
+      const hash = await step('hash', img.file);
+      const regionsKey = getRegionsKey(img.regions);
+      const ocrProfile = img.profile || state.ocrProfile;
+      const profileKey = getProfileKey(OCR_PROFILES[ocrProfile]);
+      const cacheKey = `${hash}_${lang}_${useAI ? `ai@${aiModelId}${mergeStrategy === 'local' ? '+localmerge' : ''}` : 'ocr'}_${preprocessKey}${regionsKey ? `_${regionsKey}` : ''}${profileKey ? `_${profileKey}` : ''}${tableMode ? '_tables' : ''}${ruleSetKey ? `_${ruleSetKey}` : ''}`;
+      
+      const cached = await resultCache.get(cacheKey);
+      batch.signal.throwIfAborted();
+      if (cached) {
+        const entry = { ...cached, id: img.id, filename: img.file.name, hash, ocrProfile, fromCache: true };
+        setImageOsd(img, cached.osd ?? null);
+        img.ocrInput = cached.ocrInput ?? null;
+        state.results.push(entry);
+        appendSingleResult(entry);
+        document.getElementById(`card-${img.id}`)?.classList.add('done');
+        setCardBadge(img.id, 'done', '✓', '캐시 적중');
+        cachedCount++;
+        reportProgress();
+        return null;
       }
-    }
+      
+      let resizedFile = await step('resize', img.file);
+      let visionFile = img.file;
+      const hasRegions = img.regions?.length > 0;
+      
+      // Auto language: detect orientation and script first
+      let osd = null;
+      if (lang === 'auto') {
+        try {
+          osd = await abortable(ocrEngine.detectOrientation(resizedFile), batch.signal);
+        } catch (err) {
+          if (batch.cancelled) throw err;
+          console.warn(`Orientation detection failed for ${img.name}:`, err);
+        }
+        // Region coordinates refer to the image as uploaded — keep it unrotated
+        if (osd?.degrees && !hasRegions) {
+          [resizedFile, visionFile] = await Promise.all([step('rotate', resizedFile, osd.degrees), step('rotate', img.file, osd.degrees)]);
+        }
+      }
+      setImageOsd(img, osd);
+      const rotated = visionFile !== img.file;
+      
+      // Border removal and deskew move pixels — skip them so region coordinates stay valid
+      const options = hasRegions ? { ...preprocess, removeBorder: false, deskew: false } : preprocess;
+      // The vision model keeps reading the original — only Tesseract benefits from the filters
+      const { file: processedFile, size: imageSize } = await step('preprocess', resizedFile, options);
+      
+      // Bounding boxes refer to the OCR input — remember how to rebuild it for the box viewer
+      // when filters or rotation changed it, rather than keeping a copy of every page
+      img.ocrInput = preprocessKey !== 'raw' || rotated ? { degrees: rotated ? osd.degrees : 0, options } : null;
+      
+      const regions = hasRegions
+        ? img.regions.map((r, i) => ({ id: r.id, label: regionLabel(i), rect: regionToRect(r, imageSize) }))
+        : null;
+      const imageLang = lang === 'auto' ? osd?.lang || AUTO_FALLBACK_LANG : lang;
+      const imgData = { file: processedFile, id: img.id, originalFile: visionFile, hash, cacheKey, imageSize, regions, sourceRegions: img.regions, ocrProfile, lang: imageLang, osd, ocrInput: img.ocrInput };
+      prepared.set(img.id, imgData);
+      
+      // Path B (AI Vision) starts per image as soon as it is ready (non-blocking)
+      if (useAI) {
+        visionPromises.set(img.id, requestVision(img.id, visionFile, hasRegions ? img.regions : null, imageLang, batch.signal));
+      }
+      // Table mode with AI: the vision model also returns structured cells
+      if (useAI && tableMode) {
+        tablePromises.set(img.id, requestTables(img.id, visionFile, imageLang, batch.signal));
+      }
+      
+      setCardBadge(img.id, 'queued', '…', 'OCR 대기 중');
+      preparedCount++;
+      reportProgress();
+      return imgData;
+    };
     
-    // Render cached results immediately
-    for (const cached of cachedResults) {
-      state.results.push(cached);
-      appendSingleResult(cached);
-      const card = document.getElementById(`card-${cached.id}`);
+    // ── Phase 3: Dual-Path Processing ──────────────────
+    // Path A (Tesseract OCR) runs in parallel batch.
+    // Path B (AI Vision) fires per-image concurrently.
+    // Results merge after both complete for each image.
+    
+    const ocrStartedAt = new Map(); // id -> performance.now() at job submission
+    const filenameOf = (id) => state.images.find(img => img.id === id)?.file.name || 'unknown';
+    
+    const onImageStart = (id) => {
+      ocrStartedAt.set(id, performance.now());
+      document.getElementById(`card-${id}`)?.classList.add('processing');
+      setCardBadge(id, 'processing', '⏳');
+    };
+    
+    // Show each OCR result immediately, then refine in background
+    const onImageComplete = (id, result, idx, count, error) => {
+      const imgMeta = prepared.get(id);
+      if (imgMeta) {
+        // Its slot goes to the next image; the page blobs are no longer needed here
+        prepared.delete(id);
+        imgMeta.file = null;
+        imgMeta.originalFile = null;
+        slots.release();
+      }
+      finishedCount++;
+      if (!isAbortError(error)) meter.tick();
+      reportProgress();
+      if (!result && isAbortError(error)) {
+        addCancelledResult(id, filenameOf(id), imgMeta?.hash);
+        return;
+      }
+      
+      const card = document.getElementById(`card-${id}`);
       if (card) {
+        card.classList.remove('processing');
         card.classList.add('done');
-        card.insertAdjacentHTML('afterbegin', `<div class="card-status-badge done">✓</div>`);
       }
-    }
+      setCardBadge(id, 'done', result ? '✓' : '⚠');
+      
+      const timings = ocrStartedAt.has(id) ? { ocrMs: Math.round(performance.now() - ocrStartedAt.get(id)) } : {};
+      
+      if (!result) {
+        // Keep failed images in the results so exports can report them
+        const failedEntry = {
+          id,
+          filename: filenameOf(id),
+          hash: imgMeta?.hash,
+          text: '',
+          ocrText: '',
+          confidence: 0,
+          lines: [],
+          error: error?.message || 'OCR 실패',
+          aiStatus: 'disabled',
+          timings,
+        };
+        state.results.push(failedEntry);
+        appendSingleResult(failedEntry);
+      } else {
+        const corrected = applySessionRules(result.text, result.regions, imgMeta?.lang);
+        result.text = corrected.text;
+        applyRulesToLines(result.lines, sessionRules(imgMeta?.lang));
+        const resultEntry = {
+          id,
+          filename: filenameOf(id),
+          hash: imgMeta?.hash,
+          cacheKey: imgMeta?.cacheKey,
+          ...result,
+          ocrProfile: imgMeta?.ocrProfile,
+          lang: imgMeta?.lang,
+          osd: imgMeta?.osd ?? null,
+          ocrInput: imgMeta?.ocrInput ?? null,
+          ruleCounts: { ocr: corrected.count, merged: 0 },
+          imageSize: imgMeta?.imageSize,
+          ...(tableMode ? { tables: detectTables(result.lines) } : {}),
+          timings,
+          error: null,
+          ocrText: result.text, // preserve original OCR
+          visionText: null,     // will be filled by AI
+          mergedText: null,     // will be filled by merge
+          aiStatus: useAI ? 'pending' : 'disabled',
+        };
+        state.results.push(resultEntry);
+        appendSingleResult(resultEntry);
+        
+        // ── Background: AI Vision merge ──
+        if (useAI && visionPromises.has(id)) {
+          refineSingleResult(resultEntry, visionPromises.get(id), imgMeta.lang, { cacheKey: imgMeta?.cacheKey, tablesPromise: tablePromises.get(id), mergeStrategy, signal: batch.signal });
+        } else if (imgMeta) {
+          cacheResult(imgMeta.cacheKey, { text: result.text, confidence: result.confidence, lines: result.lines, words: result.words, paragraphs: result.paragraphs, blocks: result.blocks, regions: result.regions, imageSize: imgMeta.imageSize, tables: resultEntry.tables, ruleCounts: resultEntry.ruleCounts, lang: resultEntry.lang, osd: resultEntry.osd, ocrInput: resultEntry.ocrInput, timings });
+        }
+      }
+    };
     
-    if (cachedResults.length > 0) {
-      showToast(`${cachedResults.length}개 이미지 캐시 적중 ⚡`);
-    }
+    // An image holds its slot from preprocessing until onImageComplete; cache hits and
+    // failures before OCR give it back right away
+    const admitImage = async (img) => {
+      await slots.acquire(batch.signal);
+      try {
+        const imgData = await prepareImage(img);
+        if (!imgData) slots.release();
+        return imgData;
+      } catch (err) {
+        slots.release();
+        throw err;
+      }
+    };
     
-    updateProgress(0.15, '텍스트 추출 시작...', `${imagesToProcess.length}개 이미지 처리 예정`);
+    // Slots are granted in this order, so it must be the order OCR takes images in:
+    // the engine runs one profile at a time
+    const byProfile = new Map();
+    for (const img of state.images) {
+      const profile = OCR_PROFILES[img.profile || state.ocrProfile];
+      if (!byProfile.has(profile)) byProfile.set(profile, []);
+      byProfile.get(profile).push(img);
+    }
+    const items = [...byProfile].flatMap(([profile, imgs]) => imgs.map(img => {
+      const ready = admitImage(img);
+      ready.catch(() => {}); // failures reach onImageComplete through the engine
+      return { id: img.id, ready, profile };
+    }));
+    const batchOptions = { signal: batch.signal, whenRunning: () => batch.whenRunning() };
     
-    if (imagesToProcess.length > 0) {
-      // ── Phase 3: Dual-Path Processing ──────────────────
-      // Path A (Tesseract OCR) runs in parallel batch.
-      // Path B (Gemini Vision) fires per-image concurrently.
-      // Results merge after both complete for each image.
-      
-      // Kick off Gemini Vision for all images in parallel (non-blocking)
-      const visionPromises = new Map(); // id -> Promise<string>
-      if (useAI) {
-        for (const imgData of imagesToProcess) {
-          visionPromises.set(
-            imgData.id,
-            geminiVisionRead(imgData.originalFile, lang).catch(err => {
-              console.warn(`Vision read failed for ${imgData.id}:`, err);
-              return ''; // graceful fallback
-            })
-          );
+    if (lang !== 'auto') {
+      ocrDetail = `${lang} 모델로 텍스트를 추출하는 중`;
+      await ocrEngine.recognizeBatch(items, onImageStart, onImageComplete, undefined, batchOptions);
+    } else {
+      // Languages are known once detection finished. Detected images wait per language;
+      // when every slot is taken by a waiting image, one language group is recognized —
+      // the loaded one if it has images, otherwise the largest, to keep engine setups few
+      const langGroups = new Map();
+      let waiting = 0;
+      const recognizeGroup = async () => {
+        const groupLang = langGroups.has(ocrEngine.currentLang) && ocrEngine.isReady
+          ? ocrEngine.currentLang
+          : [...langGroups.keys()].reduce((a, b) => (langGroups.get(b).length > langGroups.get(a).length ? b : a));
+        const group = langGroups.get(groupLang);
+        langGroups.delete(groupLang);
+        waiting -= group.length;
+        ocrDetail = `${groupLang} 모델로 텍스트를 추출하는 중`;
+        const groupStart = 0.1 + ((cachedCount + finishedCount) / total) * 0.85;
+        if (!batch.cancelled) await initLang(groupLang, groupStart, groupStart);
+        await ocrEngine.recognizeBatch(group, onImageStart, onImageComplete, undefined, batchOptions);
+      };
+      for (const item of items) {
+        let imgData;
+        try {
+          imgData = await item.ready;
+        } catch (err) {
+          onImageComplete(item.id, null, 0, total, err);
+          continue;
         }
+        if (!imgData) continue; // cached
+        if (!langGroups.has(imgData.lang)) langGroups.set(imgData.lang, []);
+        langGroups.get(imgData.lang).push({ ...imgData, profile: item.profile });
+        waiting++;
+        if (waiting >= slots.limit) await recognizeGroup();
       }
-      
-      // Run Tesseract OCR batch (parallel workers)
-      const results = await ocrEngine.recognizeBatch(
-        imagesToProcess.map(img => ({ file: img.file, id: img.id })),
-        // onImageStart
-        (id, idx, total) => {
-          const card = document.getElementById(`card-${id}`);
-          if (card) {
-            card.classList.add('processing');
-            card.insertAdjacentHTML('afterbegin', `<div class="card-status-badge processing">⏳</div>`);
-          }
-        },
-        // onImageComplete — show OCR result immediately, then refine in background
-        (id, result, idx, total) => {
-          const card = document.getElementById(`card-${id}`);
-          if (card) {
-            card.classList.remove('processing');
-            card.classList.add('done');
-            const badge = card.querySelector('.card-status-badge');
-            if (badge) {
-              badge.classList.remove('processing');
-              badge.classList.add('done');
-              badge.textContent = '✓';
-            }
-          }
-          
-          if (result) {
-            const imgMeta = imagesToProcess.find(i => i.id === id);
-            const resultEntry = {
-              id,
-              filename: imgMeta?.originalFile?.name || 'unknown',
-              ...result,
-              error: null,
-              ocrText: result.text, // preserve original OCR
-              visionText: null,     // will be filled by AI
-              mergedText: null,     // will be filled by merge
-              aiStatus: useAI ? 'pending' : 'disabled',
-            };
-            state.results.push(resultEntry);
-            appendSingleResult(resultEntry);
-            
-            // ── Background: AI Vision merge ──
-            if (useAI && visionPromises.has(id)) {
-              refineSingleResult(resultEntry, visionPromises.get(id), lang, imgMeta?.cacheKey);
-            } else if (imgMeta) {
-              resultCache.set(imgMeta.cacheKey, { text: result.text, confidence: result.confidence, lines: result.lines, words: result.words, paragraphs: result.paragraphs, blocks: result.blocks });
-            }
-          }
-        },
-        // onProgress
-        (progress, message) => {
-          updateProgress(0.15 + progress * 0.75, message, `${lang} 모델로 텍스트를 추출하는 중`);
-        },
-      );
+      while (waiting > 0) await recognizeGroup();
     }
     
-    dom.progressSection.classList.add('hidden');
+    if (cachedCount > 0) {
+      showToast(`${cachedCount}개 이미지 캐시 적중 ⚡`);
+    }
+    
+    scheduleSessionSave();
     
     const totalChars = state.results.reduce((sum, r) => sum + (r.text?.length || 0), 0);
-    showToast(`${state.results.length}개 이미지에서 ${totalChars.toLocaleString()}자 추출 완료${useAI ? ' · AI 보정 진행 중...' : ''}`);
+    const cancelledCount = state.results.filter(r => r.cancelled).length;
+    if (cancelledCount > 0) {
+      showToast(`${cancelledCount}개 이미지 취소됨 · 완료된 ${state.results.length - cancelledCount}개 결과는 유지됩니다`);
+    } else {
+      showToast(`${state.results.length}개 이미지에서 ${totalChars.toLocaleString()}자 추출 완료${useAI ? ' · AI 보정 진행 중...' : ''}`);
+    }
     
   } catch (err) {
     console.error('OCR Error:', err);
     showToast(`오류 발생: ${err.message}`, 'error');
-    dom.progressSection.classList.add('hidden');
   } finally {
     state.isProcessing = false;
     dom.btnStartOcr.disabled = false;
+    dom.progressStats.textContent = '';
+    updateBatchControls();
+    // The picker may have left auto mode while this run still needed the OSD worker
+    if (languagePicker.value !== 'auto') ocrEngine.terminateOsd();
   }
 }
 
+/**
+ * Result entry for an image the user cancelled before OCR finished
+ */
+function addCancelledResult(id, filename, hash) {
+  document.getElementById(`card-${id}`)?.classList.remove('processing');
+  setCardBadge(id, 'cancelled', '⏹', '취소됨');
+  
+  const entry = {
+    id,
+    filename,
+    hash,
+    text: '',
+    ocrText: '',
+    confidence: 0,
+    lines: [],
+    error: '취소됨',
+    cancelled: true,
+    aiStatus: 'disabled',
+    timings: {},
+  };
+  state.results.push(entry);
+  appendSingleResult(entry);
+}
+
 /**
  * Background dual-path refinement for a single image.
- * Waits for Gemini Vision result, then merges with OCR.
+ * Waits for the AI Vision result, then merges with OCR.
+ * @param {Object} options
+ * @param {string} [options.cacheKey] - Where to cache the merged result
+ * @param {Promise} [options.tablesPromise] - Table mode: the vision model's tables
+ * @param {'ai'|'local'} options.mergeStrategy - Merge strategy of the session
+ * @param {AbortSignal} [options.signal] - Batch cancel
  */
-async function refineSingleResult(resultEntry, visionPromise, lang, cacheKey) {
+async function refineSingleResult(resultEntry, visionPromise, lang, { cacheKey, tablesPromise, mergeStrategy, signal } = {}) {
   const resultCard = dom.resultsContainer.querySelector(`[data-result-id="${resultEntry.id}"]`);
   
   try {
@@ -306,39 +1054,67 @@ async function refineSingleResult(resultEntry, visionPromise, lang, cacheKey) {
         <div class="ai-refine-banner" id="ai-banner-${resultEntry.id}">
           <div class="ai-refine-spinner"></div>
           <span>🤖 AI Vision 분석 + 교차 검증 중...</span>
+          <span class="ai-queue-status"></span>
         </div>
       `);
     }
     
-    // Wait for Gemini Vision result
-    const visionText = await visionPromise;
+    // Wait for the AI Vision result (one text per region in region mode)
+    const { value: vision, ms: visionMs } = await visionPromise;
+    const tables = tablesPromise ? await tablesPromise : null;
+    signal?.throwIfAborted();
+    resultEntry.timings = { ...resultEntry.timings, visionMs };
+    if (tables) applyVisionTables(resultEntry, tables);
+    const isRegional = Array.isArray(vision);
+    const visionText = isRegional
+      ? formatRegionText(resultEntry.regions.map((r, i) => ({ label: r.label, text: vision[i] || '' })))
+      : vision;
     resultEntry.visionText = visionText;
     
     if (visionText && resultEntry.ocrText) {
-      // Merge OCR + Vision via Gemini
+      // Merge OCR + Vision via the selected provider
       const banner = document.getElementById(`ai-banner-${resultEntry.id}`);
       if (banner) banner.querySelector('span').textContent = '🔀 OCR + Vision 병합 중...';
       
-      const mergedText = await geminiMergeResults(resultEntry.ocrText, visionText, lang);
+      const mergeStartedAt = performance.now();
+      const rawMerged = isRegional
+        ? await mergeRegionResults(resultEntry.regions, vision, lang, { key: resultEntry.id, signal, strategy: mergeStrategy }, resultEntry.lines)
+        : await mergeResults(resultEntry.ocrText, visionText, lang, { key: resultEntry.id, signal, strategy: mergeStrategy, lines: resultEntry.lines, confidence: resultEntry.confidence });
+      resultEntry.timings.mergeMs = Math.round(performance.now() - mergeStartedAt);
+      const { text: mergedText, count: mergedRuleCount } = applySessionRules(rawMerged, isRegional ? resultEntry.regions : null, resultEntry.lang);
+      if (isRegional) resultEntry.regions.forEach(r => { r.mergedText = r.text; });
+      resultEntry.ruleCounts = { ocr: resultEntry.ruleCounts?.ocr || 0, merged: mergedRuleCount };
       resultEntry.mergedText = mergedText;
       resultEntry.text = mergedText; // update main text to merged version
+      resultEntry.provenance = buildProvenance(resultEntry.ocrText, visionText, mergedText);
+      delete resultEntry.sourceChoices; // indices of an earlier merge
       resultEntry.aiStatus = 'done';
       
-      // Update the result card in-place
-      updateResultCardWithAI(resultEntry);
+      // Update the result card in-place — unless the user has already edited it
+      if (isResultEdited(resultEntry)) noteLateMerge(resultEntry);
+      else updateResultCardWithAI(resultEntry);
       
       // Cache the merged result
       if (cacheKey) {
-        resultCache.set(cacheKey, {
+        cacheResult(cacheKey, {
           text: mergedText,
           ocrText: resultEntry.ocrText,
           visionText: visionText,
           mergedText: mergedText,
+          provenance: resultEntry.provenance,
           confidence: resultEntry.confidence,
           lines: resultEntry.lines,
           words: resultEntry.words,
           paragraphs: resultEntry.paragraphs,
           blocks: resultEntry.blocks,
+          regions: resultEntry.regions,
+          imageSize: resultEntry.imageSize,
+          tables: resultEntry.tables,
+          ruleCounts: resultEntry.ruleCounts,
+          lang: resultEntry.lang,
+          osd: resultEntry.osd,
+          ocrInput: resultEntry.ocrInput,
+          timings: resultEntry.timings,
           aiStatus: 'done',
         });
       }
@@ -346,28 +1122,118 @@ async function refineSingleResult(resultEntry, visionPromise, lang, cacheKey) {
       showToast(`${resultEntry.filename} AI 보정 완료 ✨`);
     } else if (visionText && !resultEntry.ocrText) {
       // OCR failed but Vision succeeded — use vision text
-      resultEntry.text = visionText;
-      resultEntry.mergedText = visionText;
+      if (isRegional) resultEntry.regions.forEach((r, i) => { r.text = vision[i] || ''; });
+      const { text, count } = applySessionRules(visionText, isRegional ? resultEntry.regions : null, resultEntry.lang);
+      resultEntry.ruleCounts = { ocr: 0, merged: count };
+      resultEntry.text = text;
+      resultEntry.mergedText = text;
       resultEntry.aiStatus = 'done';
-      updateResultCardWithAI(resultEntry);
+      if (isResultEdited(resultEntry)) noteLateMerge(resultEntry);
+      else updateResultCardWithAI(resultEntry);
     } else {
       // Vision failed — keep OCR result
       resultEntry.aiStatus = 'failed';
-      const banner = document.getElementById(`ai-banner-${resultEntry.id}`);
-      if (banner) {
-        banner.innerHTML = '<span>⚠️ AI Vision 응답 없음 — OCR 결과 유지</span>';
-        banner.classList.add('ai-refine-failed');
-      }
+      resultEntry.aiError = 'AI Vision 응답 없음';
+      showRefineFailed(resultEntry, '⚠️ AI Vision 응답 없음 — OCR 결과 유지');
     }
   } catch (err) {
-    console.warn(`AI refinement failed for ${resultEntry.id}:`, err);
-    resultEntry.aiStatus = 'failed';
-    const banner = document.getElementById(`ai-banner-${resultEntry.id}`);
-    if (banner) {
-      banner.innerHTML = `<span>⚠️ AI 보정 실패 — OCR 결과 유지</span>`;
-      banner.classList.add('ai-refine-failed');
+    if (signal?.aborted) {
+      resultEntry.aiStatus = 'cancelled';
+      showRefineFailed(resultEntry, '⏹ AI 보정 취소됨 — OCR 결과 유지');
+    } else {
+      console.warn(`AI refinement failed for ${resultEntry.id}:`, err);
+      resultEntry.aiStatus = 'failed';
+      resultEntry.aiError = err.message;
+      showRefineFailed(resultEntry, '⚠️ AI 보정 실패 — OCR 결과 유지');
     }
+  } finally {
+    scheduleSessionSave();
+    updateBatchControls();
+  }
+}
+
+/**
+ * Turn the card's AI banner into a failure or cancel notice with a retry button
+ * (created when the card has none, e.g. a restored failed result)
+ */
+function showRefineFailed(resultEntry, message) {
+  const body = dom.resultsContainer.querySelector(`[data-result-id="${resultEntry.id}"] .result-card-body`);
+  if (!body) return;
+  let banner = document.getElementById(`ai-banner-${resultEntry.id}`);
+  if (!banner) {
+    body.insertAdjacentHTML('afterbegin', `<div class="ai-refine-banner" id="ai-banner-${resultEntry.id}"></div>`);
+    banner = body.firstElementChild;
+  }
+  const detail = resultEntry.aiError && !message.includes(resultEntry.aiError)
+    ? `<span class="ai-refine-error" title="${escapeHtml(resultEntry.aiError)}">${escapeHtml(resultEntry.aiError)}</span>`
+    : '';
+  banner.innerHTML = `
+    <span>${message}</span>
+    ${detail}
+    <button class="btn-ai-retry" data-retry-ai="${resultEntry.id}">다시 시도</button>
+  `;
+  banner.classList.add(resultEntry.aiStatus === 'cancelled' ? 'ai-refine-cancelled' : 'ai-refine-failed');
+}
+
+/**
+ * Run the AI refinement again for one card, e.g. after a rate limit or a
+ * provider change. The original image must still be loaded.
+ */
+async function retryRefinement(id) {
+  const resultEntry = state.results.find(r => r.id === id);
+  const img = state.images.find(i => i.id === id);
+  if (!resultEntry || resultEntry.aiStatus === 'pending') return;
+  if (!img) {
+    showToast('원본 이미지가 없어 다시 시도할 수 없습니다', 'error');
+    return;
+  }
+  if (!isAiAvailable()) {
+    openAiSettings();
+    return;
   }
+  
+  const lang = resultEntry.lang || state.session?.lang || languagePicker.value;
+  const regions = resultEntry.regions?.length && img.regions?.length ? img.regions : null;
+  // Send the page the way OCR read it — upright when auto detection rotated it
+  const file = resultEntry.osd?.degrees && !regions ? await rotateImage(img.file, resultEntry.osd.degrees) : img.file;
+  
+  resultEntry.aiStatus = 'pending';
+  resultEntry.aiError = null;
+  document.getElementById(`ai-banner-${id}`)?.remove();
+  
+  // A cancelled run can't carry new requests — retries after cancel get their own control
+  if (!state.batch || state.batch.cancelled) state.batch = new BatchControl();
+  const { signal } = state.batch;
+  updateBatchControls();
+  
+  const visionPromise = requestVision(id, file, regions, lang, signal);
+  const tablesPromise = state.session?.tableMode ? requestTables(id, file, lang, signal) : null;
+  // Retries merge the way the session did; the cached entry is only valid if the model is unchanged too
+  const mergeStrategy = state.session?.mergeStrategy ?? getMergeStrategy();
+  const cacheKey = getAiModelId() === state.session?.aiModel ? resultEntry.cacheKey : null;
+  refineSingleResult(resultEntry, visionPromise, lang, { cacheKey, tablesPromise, mergeStrategy, signal });
+}
+
+/**
+ * Queue position / backoff state on each pending card's AI banner
+ */
+let queueStatusFrame = null;
+function renderQueueStatus() {
+  if (queueStatusFrame) return;
+  queueStatusFrame = requestAnimationFrame(() => {
+    queueStatusFrame = null;
+    for (const result of state.results) {
+      if (result.aiStatus !== 'pending') continue;
+      const el = document.querySelector(`#ai-banner-${result.id} .ai-queue-status`);
+      if (!el) continue;
+      const status = aiQueue.getStatus(result.id);
+      if (status?.state === 'queued') el.textContent = `대기열 ${status.position}번째`;
+      else if (status?.state === 'paused') el.textContent = `일시정지됨 · 대기열 ${status.position}번째`;
+      else if (status?.state === 'retrying') el.textContent = `재시도 ${status.attempt}회차 · ${Math.ceil(status.waitMs / 1000)}초 후`;
+      else el.textContent = '';
+      el.title = status?.error || '';
+    }
+  });
 }
 
 /**
@@ -380,28 +1246,37 @@ function updateResultCardWithAI(resultEntry) {
   const body = resultCard.querySelector('.result-card-body');
   if (!body) return;
   
-  const hasText = resultEntry.text && resultEntry.text.length > 0;
+  const finalText = getFinalText(resultEntry);
+  const hasText = finalText && finalText.length > 0;
   
   body.innerHTML = hasText ? `
     <div class="ai-result-badge">✨ AI 보정 완료</div>
-    <div class="result-text">${escapeHtml(resultEntry.text)}</div>
+    ${renderResultText(resultEntry)}
+    ${renderEditDetails(resultEntry)}
     <details class="dual-source-details">
-      <summary>🔍 원본 비교 (OCR vs Vision)</summary>
+      <summary>🔍 출처 비교 (OCR · Vision · 병합)</summary>
+      ${renderProvenance(resultEntry)}
       <div class="dual-source-grid">
         <div class="dual-source-col">
           <div class="dual-source-label">📝 Tesseract OCR</div>
           <div class="dual-source-text">${escapeHtml(resultEntry.ocrText || '')}</div>
         </div>
         <div class="dual-source-col">
-          <div class="dual-source-label">🤖 Gemini Vision</div>
+          <div class="dual-source-label">🤖 AI Vision${state.session?.aiModel ? ` (${escapeHtml(state.session.aiModel)})` : ''}</div>
           <div class="dual-source-text">${escapeHtml(resultEntry.visionText || '')}</div>
         </div>
       </div>
     </details>
+    ${renderTables(resultEntry)}
+    ${renderBboxDetails(resultEntry)}
     <div class="result-meta">
       <div class="meta-item"><div class="meta-dot meta-dot-ai"></div>AI 보정됨</div>
       <div class="meta-item"><div class="meta-dot"></div>OCR 신뢰도: ${resultEntry.confidence?.toFixed(1) || 0}%</div>
-      <div class="meta-item"><div class="meta-dot"></div>글자: ${resultEntry.text.length.toLocaleString()}자</div>
+      <div class="meta-item"><div class="meta-dot"></div>글자: ${finalText.length.toLocaleString()}자</div>
+      ${renderOsdMeta(resultEntry)}
+      ${renderProfileMeta(resultEntry)}
+      ${renderRuleMeta(resultEntry)}
+      ${renderEditMeta(resultEntry)}
     </div>
   ` : `
     <div class="result-empty">텍스트를 감지하지 못했습니다</div>
@@ -413,15 +1288,88 @@ function updateResultCardWithAI(resultEntry) {
     const newBtn = copyBtn.cloneNode(true);
     copyBtn.parentNode.replaceChild(newBtn, copyBtn);
     newBtn.addEventListener('click', () => {
-      if (resultEntry.text) {
-        navigator.clipboard.writeText(resultEntry.text).then(() => {
-          showToast('AI 보정 텍스트가 복사되었습니다');
+      const textToCopy = getFinalText(resultEntry);
+      if (textToCopy) {
+        navigator.clipboard.writeText(textToCopy).then(() => {
+          showToast(resultEntry.editedText != null ? '편집한 텍스트가 복사되었습니다' : 'AI 보정 텍스트가 복사되었습니다');
         });
       }
     });
   }
 }
 
+const PROVENANCE_LABELS = { both: '일치', ocr: 'OCR', vision: 'Vision', model: '모델 수정' };
+
+/**
+ * Per-segment choices that produced the current text — none once the text
+ * was edited by hand (or never switched)
+ */
+function activeSourceChoices(result, segments) {
+  const choices = result.sourceChoices || {};
+  return result.editedText != null && result.editedText === composeProvenance(segments, choices) ? choices : {};
+}
+
+/**
+ * Merged text colored by where each segment came from; disagreements are
+ * buttons that cycle through the merge, the OCR reading and the Vision reading
+ */
+function renderProvenance(result) {
+  const segments = resultProvenance(result);
+  if (!segments) return '';
+  const choices = activeSourceChoices(result, segments);
+  const switchable = result.editedText == null || Object.keys(choices).length > 0;
+  const stats = provenanceStats(segments);
+  
+  const html = segments.map((seg, i) => {
+    if (seg.source === 'both') return escapeHtml(seg.text);
+    const choice = choices[i];
+    const text = choice ? seg[choice] : seg.text;
+    const classes = `prov-seg prov-${choice || seg.source}${choice ? ' prov-switched' : ''}${text.trim() ? '' : ' prov-empty'}`;
+    const title = `병합: ${seg.text.trim() || '(없음)'}\nOCR: ${seg.ocr.trim() || '(없음)'}\nVision: ${seg.vision.trim() || '(없음)'}`;
+    return switchable && segmentOptions(seg).length > 1
+      ? `<button type="button" class="${classes}" data-prov-id="${result.id}" data-prov-seg="${i}" title="${escapeHtml(`${title}\n클릭하여 전환`)}">${escapeHtml(text)}</button>`
+      : `<span class="${classes}" title="${escapeHtml(title)}">${escapeHtml(text)}</span>`;
+  }).join('');
+  
+  return `
+    <div class="prov-view">
+      <div class="prov-legend">
+        ${Object.entries(PROVENANCE_LABELS).map(([source, label]) => `<span class="prov-key prov-${source}">${label} ${stats[source]}</span>`).join('')}
+      </div>
+      <div class="prov-text">${html}</div>
+      ${switchable ? '' : '<div class="prov-note">직접 편집한 텍스트라 출처 전환을 사용할 수 없습니다</div>'}
+    </div>
+  `;
+}
+
+/**
+ * Switch one disagreement to its next reading; the result is kept as an edit
+ * so exports, the edit diff and late merges treat it like any correction
+ */
+function switchSegmentSource(id, index) {
+  const result = state.results.find(r => r.id === id);
+  const segments = result && resultProvenance(result);
+  const seg = segments?.[index];
+  if (!seg) return;
+  
+  const choices = { ...activeSourceChoices(result, segments) };
+  const options = segmentOptions(seg);
+  const next = options[(options.indexOf(choices[index] || 'merged') + 1) % options.length];
+  if (next === 'merged') delete choices[index];
+  else choices[index] = next;
+  
+  const text = composeProvenance(segments, choices);
+  result.sourceChoices = choices;
+  result.editedText = text === result.text ? null : text;
+  refreshResultCard(result);
+  
+  const card = dom.resultsContainer.querySelector(`[data-result-id="${id}"]`);
+  const details = card?.querySelector('.dual-source-details');
+  if (details) details.open = true;
+  card?.querySelector(`[data-prov-seg="${index}"]`)?.focus();
+  scheduleSessionSave();
+}
+
 function updateProgress(progress, status, detail) {
   const pct = Math.min(Math.max(progress * 100, 0), 100);
   dom.progressBar.style.width = `${pct}%`;
@@ -429,139 +1377,995 @@ function updateProgress(progress, status, detail) {
   dom.progressDetail.textContent = detail;
 }
 
-// ============================================
+/**
+ * @param {number} ms
+ * @returns {string} e.g. '약 3분 20초'
+ */
+function formatDuration(ms) {
+  const seconds = Math.max(1, Math.round(ms / 1000));
+  if (seconds < 60) return `약 ${seconds}초`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `약 ${minutes}분 ${seconds % 60}초`;
+  return `약 ${Math.floor(minutes / 60)}시간 ${minutes % 60}분`;
+}
+
+// ============================================
+// Batch Control (pause / cancel)
+// ============================================
+function hasPendingWork() {
+  return state.isProcessing || state.results.some(r => r.aiStatus === 'pending');
+}
+
+/**
+ * Keep the progress card up while OCR or AI refinements of the current batch
+ * are running — after OCR it tracks the remaining refinements
+ */
+function updateBatchControls() {
+  const batch = state.batch;
+  const active = !!batch && !batch.cancelled && hasPendingWork();
+  dom.progressSection.classList.toggle('hidden', !active);
+  if (!active) return;
+  
+  dom.progressSection.classList.toggle('paused', batch.paused);
+  dom.btnPauseBatch.textContent = batch.paused ? '▶ 계속' : '⏸ 일시정지';
+  if (batch.paused) {
+    dom.progressStatus.textContent = '⏸ 일시정지됨';
+    dom.progressDetail.textContent = '진행 중인 작업만 마무리하고 대기합니다';
+  } else if (!state.isProcessing) {
+    const aiResults = state.results.filter(r => r.aiStatus !== 'disabled');
+    const pending = aiResults.filter(r => r.aiStatus === 'pending').length;
+    updateProgress(1 - pending / aiResults.length, '🤖 AI 보정 진행 중...', `${pending}개 이미지 남음`);
+  }
+}
+
+function togglePause() {
+  const batch = state.batch;
+  if (!batch || batch.cancelled) return;
+  if (batch.paused) {
+    batch.resume();
+    aiQueue.resume();
+    if (state.isProcessing) dom.progressStatus.textContent = '재개하는 중...';
+  } else {
+    batch.pause();
+    aiQueue.pause();
+  }
+  updateBatchControls();
+}
+
+/**
+ * Cancel everything the current batch started; finished results stay
+ */
+function stopBatch() {
+  if (!state.batch) return;
+  state.batch.cancel();
+  aiQueue.resume(); // its pending jobs were dropped — don't leave later requests parked
+  updateBatchControls();
+}
+
+function cancelBatch() {
+  if (!state.batch || state.batch.cancelled || !hasPendingWork()) return;
+  stopBatch();
+  showToast('작업을 취소했습니다 · 완료된 결과는 유지됩니다');
+}
+
+// ============================================
 // Results Rendering
 // ============================================
 function renderResults() {
-  dom.resultsContainer.innerHTML = state.results.map((result, idx) => {
-    const img = state.images.find(i => i.id === result.id);
-    const thumbUrl = img ? img.url : '';
-    const hasText = result.text && result.text.length > 0;
-    
-    return `
-      <div class="result-card" data-result-id="${result.id}">
-        <div class="result-card-header">
-          <div class="result-card-title">
-            ${thumbUrl ? `<img src="${thumbUrl}" alt="" />` : ''}
-            <span>${result.filename}</span>
-          </div>
-          <div class="result-card-actions">
-            <button class="btn-icon" title="텍스트 복사" data-copy-id="${result.id}">
-              <svg width="16" height="16" viewBox="0 0 16 16" fill="none"><rect x="5.333" y="5.333" width="9.333" height="9.333" rx="1.333" stroke="currentColor" stroke-width="1.5"/><path d="M3.333 10.667H2.667A1.333 1.333 0 011.333 9.333V2.667A1.333 1.333 0 012.667 1.333h6.666A1.333 1.333 0 0110.667 2.667v.666" stroke="currentColor" stroke-width="1.5"/></svg>
-            </button>
-          </div>
+  dom.resultsContainer.innerHTML = '';
+  for (const result of state.results) {
+    appendSingleResult(result);
+    if (result.aiStatus === 'done') updateResultCardWithAI(result);
+  }
+}
+
+/**
+ * Append a single result card to the DOM in real-time (streaming pattern).
+ * Shows OCR result immediately; AI refinement updates the card in-place later.
+ */
+function appendSingleResult(result) {
+  const img = state.images.find(i => i.id === result.id);
+  const thumbUrl = img ? img.url : '';
+  const isAIPending = result.aiStatus === 'pending';
+  
+  const cardHtml = `
+    <div class="result-card ${isAIPending ? 'ai-pending' : ''}" data-result-id="${result.id}">
+      <div class="result-card-header">
+        <div class="result-card-title">
+          ${thumbUrl ? `<img src="${thumbUrl}" alt="" />` : ''}
+          <span>${escapeHtml(result.filename)}</span>
+          ${isAIPending ? '<span class="ai-label">🤖 AI 대기</span>' : ''}
         </div>
-        <div class="result-card-body">
-          ${hasText ? `
-            <div class="result-text">${escapeHtml(result.text)}</div>
-            <div class="result-meta">
-              <div class="meta-item"><div class="meta-dot"></div>신뢰도: ${result.confidence.toFixed(1)}%</div>
-              <div class="meta-item"><div class="meta-dot"></div>단어: ${result.words || 0}개</div>
-              <div class="meta-item"><div class="meta-dot"></div>글자: ${result.text.length.toLocaleString()}자</div>
-            </div>
-          ` : `
-            <div class="result-empty">텍스트를 감지하지 못했습니다</div>
-          `}
+        <div class="result-card-actions">
+          <button class="btn-icon" title="텍스트 편집" data-edit-id="${result.id}">
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none"><path d="M11.333 2a1.886 1.886 0 012.667 2.667L5 13.667l-3.333.666.666-3.333L11.333 2z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/></svg>
+          </button>
+          <button class="btn-icon" title="텍스트 복사" data-copy-id="${result.id}">
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none"><rect x="5.333" y="5.333" width="9.333" height="9.333" rx="1.333" stroke="currentColor" stroke-width="1.5"/><path d="M3.333 10.667H2.667A1.333 1.333 0 011.333 9.333V2.667A1.333 1.333 0 012.667 1.333h6.666A1.333 1.333 0 0110.667 2.667v.666" stroke="currentColor" stroke-width="1.5"/></svg>
+          </button>
         </div>
       </div>
-    `;
+      <div class="result-card-body">
+        ${renderOcrBody(result)}
+      </div>
+    </div>
+  `;
+  
+  dom.resultsContainer.insertAdjacentHTML('beforeend', cardHtml);
+  if (result.aiStatus === 'failed') showRefineFailed(result, '⚠️ AI 보정 실패 — OCR 결과 유지');
+  else if (result.aiStatus === 'cancelled') showRefineFailed(result, '⏹ AI 보정 취소됨 — OCR 결과 유지');
+  
+  // Bind the copy button
+  const newCard = dom.resultsContainer.querySelector(`[data-result-id="${result.id}"] [data-copy-id]`);
+  if (newCard) {
+    newCard.addEventListener('click', () => {
+      // Always copy the latest text (which may have been AI-merged or edited)
+      const current = state.results.find(r => r.id === result.id) || result;
+      const textToCopy = getFinalText(current);
+      if (textToCopy) {
+        navigator.clipboard.writeText(textToCopy).then(() => {
+          showToast('클립보드에 복사되었습니다');
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Card body for a plain OCR result (before or without AI refinement)
+ */
+function renderOcrBody(result) {
+  const finalText = getFinalText(result);
+  if (result.cancelled) {
+    return `<div class="result-empty">⏹ 취소되어 인식하지 않았습니다</div>`;
+  }
+  if (result.error) {
+    return `<div class="result-empty">OCR 실패: ${escapeHtml(result.error)}</div>`;
+  }
+  if (!finalText) {
+    return `<div class="result-empty">텍스트를 감지하지 못했습니다</div>`;
+  }
+  return `
+    ${renderResultText(result)}
+    ${renderEditDetails(result)}
+    ${renderTables(result)}
+    ${renderBboxDetails(result)}
+    <div class="result-meta">
+      <div class="meta-item"><div class="meta-dot"></div>신뢰도: ${result.confidence?.toFixed(1) || 0}%</div>
+      <div class="meta-item"><div class="meta-dot"></div>단어: ${result.words || 0}개</div>
+      <div class="meta-item"><div class="meta-dot"></div>글자: ${finalText.length.toLocaleString()}자</div>
+      ${renderOsdMeta(result)}
+      ${renderProfileMeta(result)}
+      ${renderRuleMeta(result)}
+      ${renderEditMeta(result)}
+    </div>
+  `;
+}
+
+/**
+ * Result text — the user's edit if any, otherwise one labeled section
+ * per region when regions were selected. Wrapped so the editor can swap it out.
+ */
+function renderResultText(result) {
+  const text = getFinalText(result) || '';
+  const marks = getReviewItems(result).filter(item => !item.reviewed && item.start !== null);
+  scheduleReviewCount();
+  
+  let inner;
+  if (result.editedText != null || !result.regions?.length) {
+    inner = `<div class="result-text">${highlightWords(result.id, text, marks)}</div>`;
+  } else {
+    // Region texts are consecutive slices of the labeled text — find each one's offset
+    const aligned = formatRegionText(result.regions) === text;
+    let offset = 0;
+    inner = result.regions.map(r => {
+      let html = '<span class="result-region-empty">텍스트 없음</span>';
+      if (r.text) {
+        const start = offset + `[${r.label}]\n`.length;
+        offset = start + r.text.length + 2;
+        html = aligned ? highlightWords(result.id, text, marks, start, start + r.text.length) : escapeHtml(r.text);
+      }
+      return `
+        <div class="result-region">
+          <div class="result-region-label">▭ ${escapeHtml(r.label)}</div>
+          <div class="result-text">${html}</div>
+        </div>
+      `;
+    }).join('');
+  }
+  return `<div class="result-text-area">${inner}</div>`;
+}
+
+/**
+ * Escaped `text[from, to)` with unreviewed low-confidence words marked
+ */
+function highlightWords(resultId, text, marks, from = 0, to = text.length) {
+  let html = '';
+  let pos = from;
+  for (const mark of marks) {
+    if (mark.start < pos || mark.end > to) continue;
+    html += escapeHtml(text.slice(pos, mark.start));
+    html += `<mark class="word-low" data-review-id="${resultId}" data-review-key="${mark.key}" title="신뢰도 ${Math.round(mark.confidence)}% — 클릭하여 검토">${escapeHtml(text.slice(mark.start, mark.end))}</mark>`;
+    pos = mark.end;
+  }
+  return html + escapeHtml(text.slice(pos, to));
+}
+
+/**
+ * Re-render a card body after its text changed (edit saved, etc.)
+ */
+function refreshResultCard(result) {
+  if (result.aiStatus === 'done') {
+    updateResultCardWithAI(result);
+    return;
+  }
+  const body = dom.resultsContainer.querySelector(`[data-result-id="${result.id}"] .result-card-body`);
+  if (!body) return;
+  // Keep a pending/failed AI banner in place
+  const banner = body.querySelector('.ai-refine-banner');
+  body.innerHTML = renderOcrBody(result);
+  if (banner) body.prepend(banner);
+}
+
+/**
+ * Detected tables as HTML tables, in a container that can be refreshed when
+ * the vision model's tables arrive
+ */
+function renderTables(result) {
+  return `<div class="result-tables" data-tables-id="${result.id}">${renderTableList(result.tables)}</div>`;
+}
+
+function renderTableList(tables) {
+  if (!tables?.length) return '';
+  const source = tables[0].source === 'vision' ? 'AI Vision' : '레이아웃 분석';
+  const body = tables.map((table, i) => `
+    <div class="result-table-wrap">
+      <table class="result-table">
+        <caption>표 ${i + 1} · ${table.rows.length}행 × ${table.rows[0]?.length || 0}열</caption>
+        <tbody>
+          ${table.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}
+        </tbody>
+      </table>
+    </div>
+  `).join('');
+  return `
+    <details class="table-details" open>
+      <summary>▦ 표 ${tables.length}개 (${source})</summary>
+      ${body}
+    </details>
+  `;
+}
+
+/**
+ * Prefer the vision model's cells over layout-derived ones when it found any
+ */
+function applyVisionTables(result, tables) {
+  const normalized = tables
+    .map(t => ({ rows: normalizeRows(t.rows), source: 'vision' }))
+    .filter(t => t.rows.length > 0);
+  if (normalized.length === 0) return;
+  
+  result.tables = normalized;
+  const container = dom.resultsContainer.querySelector(`[data-tables-id="${result.id}"]`);
+  if (container) container.innerHTML = renderTableList(result.tables);
+}
+
+/**
+ * Collapsible box viewer; the viewer itself is built lazily on first open
+ */
+function renderBboxDetails(result) {
+  if (!result.lines?.length || !result.imageSize) return '';
+  return `
+    <details class="bbox-details" data-bbox-id="${result.id}">
+      <summary>🔲 인식 박스 보기 (${result.lines.length}줄)</summary>
+      <div class="bbox-viewer"></div>
+    </details>
+  `;
+}
+
+async function openBboxViewer(details) {
+  const container = details.querySelector('.bbox-viewer');
+  if (!details.open || container.childElementCount > 0 || container.dataset.loading) return;
+  
+  const result = state.results.find(r => r.id === details.dataset.bboxId);
+  const img = state.images.find(i => i.id === details.dataset.bboxId);
+  if (!result || !img) return;
+  
+  container.dataset.loading = 'true';
+  let imageUrl;
+  try {
+    imageUrl = await getOcrImageUrl(img);
+  } finally {
+    delete container.dataset.loading;
+  }
+  new BboxViewer(container, {
+    imageUrl,
+    imageSize: result.imageSize,
+    lines: result.lines,
+  });
+}
+
+// ============================================
+// Word Review
+// ============================================
+let reviewQueue = []; // ReviewItem & {resultId}, across the whole batch
+let reviewIndex = 0;
+let reviewCountFrame = null;
+// result -> {inputs, items, pending}: reviewItems aligns whole texts, so reuse its
+// answer until the text, threshold, readings or reviewed words change
+const reviewMemo = new WeakMap();
+
+/**
+ * @returns {{items: ReviewItem[], pending: number}}
+ */
+function reviewState(result) {
+  const text = getFinalText(result) || '';
+  const inputs = [text, state.reviewThreshold, result.ocrText, result.text, result.visionText, result.lines, result.reviewedWords];
+  const memo = reviewMemo.get(result);
+  if (memo && memo.inputs.every((value, i) => value === inputs[i])) return memo;
+  
+  const items = reviewItems(result, text, state.reviewThreshold);
+  const entry = { inputs, items, pending: items.filter(item => !item.reviewed).length };
+  reviewMemo.set(result, entry);
+  return entry;
+}
+
+function getReviewItems(result) {
+  return reviewState(result).items;
+}
+
+function buildReviewQueue() {
+  return state.results.flatMap(result => getReviewItems(result).map(item => ({ ...item, resultId: result.id })));
+}
+
+/**
+ * Unreviewed word count on the review button, once per frame however many cards
+ * render — only results whose inputs changed are aligned again
+ */
+function scheduleReviewCount() {
+  if (reviewCountFrame) return;
+  reviewCountFrame = requestAnimationFrame(() => {
+    reviewCountFrame = null;
+    const pending = state.results.reduce((sum, result) => sum + reviewState(result).pending, 0);
+    dom.reviewCount.textContent = pending > 0 ? pending : '';
+  });
+}
+
+function setReviewThreshold(threshold) {
+  state.reviewThreshold = threshold;
+  localStorage.setItem('moon-ocr-review-threshold', String(threshold));
+  for (const result of state.results) {
+    if (!dom.resultsContainer.querySelector(`[data-result-id="${result.id}"].editing`)) refreshResultCard(result);
+  }
+  scheduleReviewCount();
+}
+
+/**
+ * Open the review queue at a word, or at the first unreviewed one
+ */
+function openReview(resultId, key) {
+  reviewQueue = buildReviewQueue();
+  if (reviewQueue.length === 0) {
+    showToast(`신뢰도 ${state.reviewThreshold}% 미만인 단어가 없습니다`);
+    return;
+  }
+  const target = key ? reviewQueue.findIndex(item => item.resultId === resultId && item.key === key) : -1;
+  const firstOpen = reviewQueue.findIndex(item => !item.reviewed);
+  reviewIndex = target !== -1 ? target : Math.max(0, firstOpen);
+  dom.reviewModal.classList.remove('hidden');
+  renderReviewItem();
+}
+
+function closeReview() {
+  dom.reviewModal.classList.add('hidden');
+  reviewQueue = [];
+}
+
+/**
+ * The word's box cut out of the image Tesseract read, with some surrounding context
+ */
+function renderWordCrop(imageUrl, imageSize, bbox) {
+  const padY = Math.max(6, (bbox.y1 - bbox.y0) * 0.8);
+  const padX = padY * 3;
+  const x = Math.max(0, bbox.x0 - padX);
+  const y = Math.max(0, bbox.y0 - padY);
+  const width = Math.min(imageSize.width, bbox.x1 + padX) - x;
+  const height = Math.min(imageSize.height, bbox.y1 + padY) - y;
+  return `
+    <svg viewBox="${x} ${y} ${width} ${height}" preserveAspectRatio="xMidYMid meet">
+      <image href="${imageUrl}" width="${imageSize.width}" height="${imageSize.height}" preserveAspectRatio="none" />
+      <rect class="review-crop-box" x="${bbox.x0}" y="${bbox.y0}" width="${bbox.x1 - bbox.x0}" height="${bbox.y1 - bbox.y0}" />
+    </svg>
+  `;
+}
+
+function renderReviewItem() {
+  const item = reviewQueue[reviewIndex];
+  const result = state.results.find(r => r.id === item.resultId);
+  const img = state.images.find(i => i.id === item.resultId);
+  const cropUrl = img && peekOcrImageUrl(img);
+  
+  const done = reviewQueue.filter(i => i.reviewed).length;
+  dom.reviewProgressBar.style.width = `${(done / reviewQueue.length) * 100}%`;
+  dom.reviewProgressText.textContent = `${done} / ${reviewQueue.length} 검토 완료`;
+  
+  const wordAt = item.lineText.indexOf(item.text);
+  const context = wordAt === -1
+    ? escapeHtml(item.lineText)
+    : `${escapeHtml(item.lineText.slice(0, wordAt))}<mark>${escapeHtml(item.text)}</mark>${escapeHtml(item.lineText.slice(wordAt + item.text.length))}`;
+  const vision = item.vision
+    ? `🤖 Vision: <button class="btn btn-ghost btn-sm" data-review-action="vision">${escapeHtml(item.vision)}</button>`
+    : `🤖 ${result.visionText ? 'Vision 제안 없음' : 'Vision 결과 없음'}`;
+  
+  dom.reviewPanel.innerHTML = `
+    <div class="review-meta">
+      <span>${escapeHtml(result.filename)}</span>
+      <span>${reviewIndex + 1} / ${reviewQueue.length}${item.reviewed ? ' · ✓ 검토됨' : ''}</span>
+    </div>
+    <div class="review-crop">
+      ${!img || !result.imageSize ? '<span class="review-no-image">원본 이미지 없음</span>'
+        : cropUrl ? renderWordCrop(cropUrl, result.imageSize, item.bbox) : '<span class="review-no-image">이미지 준비 중...</span>'}
+    </div>
+    <div class="review-word">
+      <span class="review-word-text">${escapeHtml(item.text)}</span>
+      <span class="review-confidence">신뢰도 ${Math.round(item.confidence)}%</span>
+    </div>
+    <div class="review-context">${context}</div>
+    <div class="review-vision">${vision}</div>
+    ${item.start === null
+      ? '<div class="review-changed">현재 텍스트에서 이미 바뀐 단어입니다</div>'
+      : `<input type="text" id="review-input" class="api-key-input review-input" value="${escapeHtml(item.text)}" spellcheck="false" autocomplete="off" />`}
+    <div class="review-actions">
+      <button class="btn btn-ghost btn-sm" data-review-action="prev" ${reviewIndex === 0 ? 'disabled' : ''}>← 이전</button>
+      <button class="btn btn-primary btn-sm" data-review-action="accept">✓ 승인</button>
+      <button class="btn btn-ghost btn-sm" data-review-action="next" ${reviewIndex === reviewQueue.length - 1 ? 'disabled' : ''}>다음 →</button>
+    </div>
+  `;
+  
+  if (img && result.imageSize && !cropUrl) {
+    getOcrImageUrl(img).then((url) => {
+      const crop = dom.reviewPanel.querySelector('.review-crop');
+      if (reviewQueue[reviewIndex] === item && crop) crop.innerHTML = renderWordCrop(url, result.imageSize, item.bbox);
+    }).catch(err => console.warn('OCR image rebuild failed:', err));
+  }
+}
+
+function moveReview(step) {
+  const next = reviewIndex + step;
+  if (next < 0 || next >= reviewQueue.length) return;
+  reviewIndex = next;
+  renderReviewItem();
+}
+
+/**
+ * Accept the current word as `value` (unchanged = approve), then move to the next unreviewed word
+ */
+function resolveReviewItem(value) {
+  const item = reviewQueue[reviewIndex];
+  const result = state.results.find(r => r.id === item.resultId);
+  if (!result) return;
+  
+  if (item.start !== null && value !== item.text) {
+    if (dom.resultsContainer.querySelector(`[data-result-id="${result.id}"].editing`)) {
+      showToast('편집 중인 결과입니다 — 편집을 먼저 저장하거나 취소하세요', 'error');
+      return;
+    }
+    const text = getFinalText(result);
+    const corrected = text.slice(0, item.start) + value + text.slice(item.end);
+    result.editedText = corrected === result.text ? null : corrected;
+  }
+  result.reviewedWords = [...new Set([...(result.reviewedWords || []), item.key])];
+  refreshResultCard(result);
+  scheduleSessionSave();
+  
+  // Spans after a correction moved — rebuild, then continue after this word
+  reviewQueue = buildReviewQueue();
+  const current = reviewQueue.findIndex(i => i.resultId === item.resultId && i.key === item.key);
+  const after = reviewQueue.findIndex((i, index) => index > current && !i.reviewed);
+  const anyOpen = reviewQueue.findIndex(i => !i.reviewed);
+  if (anyOpen === -1) showToast('모든 단어를 검토했습니다 ✨');
+  reviewIndex = after !== -1 ? after : anyOpen !== -1 ? anyOpen : Math.max(0, current);
+  renderReviewItem();
+}
+
+function handleReviewKeydown(e) {
+  if (dom.reviewModal.classList.contains('hidden') || reviewQueue.length === 0) return;
+  const item = reviewQueue[reviewIndex];
+  const input = document.getElementById('review-input');
+  
+  if (input && e.target === input) {
+    if (e.key === 'Enter' && !e.isComposing) {
+      e.preventDefault();
+      resolveReviewItem(input.value);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      input.value = item.text;
+      input.blur();
+    }
+    return;
+  }
+  
+  // Letter keys by physical key so they work with the Korean IME on
+  if (e.key === 'ArrowRight' || e.code === 'KeyJ') moveReview(1);
+  else if (e.key === 'ArrowLeft' || e.code === 'KeyK') moveReview(-1);
+  else if (e.key === 'Enter') resolveReviewItem(item.text);
+  else if ((e.code === 'KeyE' || e.key === 'F2') && input) {
+    input.focus();
+    input.select();
+  } else if (e.code === 'KeyV' && item.vision) resolveReviewItem(item.vision);
+  else if (e.key === 'Escape') closeReview();
+  else return;
+  e.preventDefault();
+}
+
+// ============================================
+// Result Editing
+// ============================================
+const EDIT_GROUP_MS = 600; // keystrokes closer than this form one undo step
+
+/**
+ * Text shown, copied and exported — the user's edit wins over machine output
+ */
+function getFinalText(result) {
+  return result.editedText ?? result.text;
+}
+
+function isResultEdited(result) {
+  if (result.editedText != null) return true;
+  return !!dom.resultsContainer.querySelector(`[data-result-id="${result.id}"].editing`);
+}
+
+/**
+ * A late AI merge landed on an edited card: keep the edit, say so on the banner
+ */
+function noteLateMerge(result) {
+  const banner = document.getElementById(`ai-banner-${result.id}`);
+  if (banner) {
+    banner.innerHTML = '<span>✨ AI 보정 결과 도착 — 편집한 텍스트를 유지합니다</span>';
+    banner.classList.add('ai-refine-kept');
+  }
+}
+
+function renderEditDetails(result) {
+  if (result.editedText == null) return '';
+  const ops = diffWords(result.text || '', result.editedText);
+  const diffHtml = ops.map(op => {
+    const text = escapeHtml(op.text);
+    if (op.type === 'insert') return `<ins>${text}</ins>`;
+    if (op.type === 'delete') return `<del>${text}</del>`;
+    return text;
   }).join('');
+  return `
+    <details class="edit-diff-details">
+      <summary>✏️ 변경 내용 (기계 인식 대비)</summary>
+      <div class="edit-diff">${diffHtml}</div>
+    </details>
+  `;
+}
+
+function renderOsdMeta(result) {
+  if (!result.osd) return '';
+  const { degrees, script, lang } = result.osd;
+  return `<div class="meta-item"><div class="meta-dot"></div>🧭 ${degrees ? `${degrees}° 회전` : '정방향'} · ${script || '문자 미확인'} → ${lang}</div>`;
+}
+
+function renderProfileMeta(result) {
+  const profile = OCR_PROFILES[result.ocrProfile];
+  if (!profile || result.ocrProfile === DEFAULT_OCR_PROFILE) return '';
+  return `<div class="meta-item"><div class="meta-dot"></div>프로필: ${profile.label}</div>`;
+}
+
+function renderRuleMeta(result) {
+  const { ocr = 0, merged = 0 } = result.ruleCounts || {};
+  if (ocr + merged === 0) return '';
+  const parts = [ocr && `OCR ${ocr}`, merged && `병합 ${merged}`].filter(Boolean).join(' · ');
+  return `<div class="meta-item"><div class="meta-dot meta-dot-rule"></div>교정 규칙 ${parts}회</div>`;
+}
+
+function renderEditMeta(result) {
+  if (result.editedText == null) return '';
+  const { inserted, deleted } = diffStats(diffWords(result.text || '', result.editedText));
+  return `<div class="meta-item"><div class="meta-dot meta-dot-edit"></div>편집됨 (+${inserted} / −${deleted} 단어)</div>`;
+}
+
+function startEditing(id) {
+  const result = state.results.find(r => r.id === id);
+  const card = dom.resultsContainer.querySelector(`[data-result-id="${id}"]`);
+  const area = card?.querySelector('.result-text-area');
+  if (!result || !area || card.classList.contains('editing')) return;
+  
+  const initial = getFinalText(result) || '';
+  const session = { stack: [initial], index: 0, lastPush: 0 }; // undo history, lives as long as the editor
+  card.classList.add('editing');
+  
+  area.innerHTML = `
+    <textarea class="result-editor" spellcheck="false"></textarea>
+    <div class="result-editor-toolbar">
+      <button class="btn btn-ghost btn-sm" data-edit-action="undo" title="실행 취소 (Ctrl+Z)">↶ 실행 취소</button>
+      <button class="btn btn-ghost btn-sm" data-edit-action="redo" title="다시 실행 (Ctrl+Shift+Z)">↷ 다시 실행</button>
+      <button class="btn btn-ghost btn-sm" data-edit-action="revert" title="기계 인식 결과로 되돌리기">원본으로</button>
+      <span class="result-editor-spacer"></span>
+      <button class="btn btn-ghost btn-sm" data-edit-action="cancel" title="취소 (Esc)">취소</button>
+      <button class="btn btn-primary btn-sm" data-edit-action="save" title="저장 (Ctrl+Enter)">저장</button>
+    </div>
+  `;
+  
+  const textarea = area.querySelector('.result-editor');
+  textarea.value = initial;
+  textarea.style.height = `${Math.min(Math.max(textarea.scrollHeight, 160), 480)}px`;
+  textarea.focus();
+  
+  const updateButtons = () => {
+    area.querySelector('[data-edit-action="undo"]').disabled = session.index === 0;
+    area.querySelector('[data-edit-action="redo"]').disabled = session.index === session.stack.length - 1;
+  };
+  
+  const pushState = (value, forceNewStep = false) => {
+    const now = Date.now();
+    session.stack.length = session.index + 1; // drop redo branch
+    if (!forceNewStep && session.index > 0 && now - session.lastPush < EDIT_GROUP_MS) {
+      session.stack[session.index] = value;
+    } else {
+      session.stack.push(value);
+      session.index++;
+    }
+    session.lastPush = now;
+    updateButtons();
+  };
+  
+  const step = (delta) => {
+    const next = session.index + delta;
+    if (next < 0 || next >= session.stack.length) return;
+    session.index = next;
+    session.lastPush = 0;
+    textarea.value = session.stack[next];
+    updateButtons();
+  };
+  
+  textarea.addEventListener('input', () => pushState(textarea.value));
+  textarea.addEventListener('keydown', (e) => {
+    const mod = e.ctrlKey || e.metaKey;
+    if (mod && e.key.toLowerCase() === 'z') {
+      e.preventDefault();
+      step(e.shiftKey ? 1 : -1);
+    } else if (mod && e.key.toLowerCase() === 'y') {
+      e.preventDefault();
+      step(1);
+    } else if (mod && e.key === 'Enter') {
+      e.preventDefault();
+      finishEditing(id, true);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      finishEditing(id, false);
+    }
+  });
+  
+  area.querySelectorAll('[data-edit-action]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const action = btn.dataset.editAction;
+      if (action === 'undo') step(-1);
+      else if (action === 'redo') step(1);
+      else if (action === 'revert') {
+        textarea.value = result.text || '';
+        pushState(textarea.value, true);
+      }
+      else finishEditing(id, action === 'save');
+    });
+  });
+  
+  updateButtons();
+}
+
+function finishEditing(id, save) {
+  const result = state.results.find(r => r.id === id);
+  const card = dom.resultsContainer.querySelector(`[data-result-id="${id}"]`);
+  if (!result || !card) return;
+  
+  if (save) {
+    const value = card.querySelector('.result-editor').value;
+    // Saving the machine text verbatim clears the edit
+    result.editedText = value === result.text ? null : value;
+    result.editedAt = result.editedText != null ? Date.now() : null;
+    scheduleSessionSave();
+    showToast(result.editedText != null ? '편집 내용이 저장되었습니다' : '기계 인식 결과로 되돌렸습니다');
+  }
+  
+  card.classList.remove('editing');
+  refreshResultCard(result);
+}
+
+// ============================================
+// Result Cache
+// ============================================
+
+/**
+ * Persist a result without blocking the UI; cache failures are non-fatal.
+ */
+function cacheResult(cacheKey, value) {
+  resultCache.set(cacheKey, value)
+    .then(refreshCacheStats)
+    .catch(err => console.warn('Cache write failed:', err));
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes}B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+async function refreshCacheStats() {
+  if (!dom.cacheStats) return;
+  try {
+    const stats = await resultCache.getStats();
+    dom.cacheStats.textContent = `캐시 ${stats.count}/${stats.maxEntries}개 · ${formatBytes(stats.bytes)} / ${formatBytes(stats.maxBytes)}`;
+  } catch (err) {
+    console.warn('Cache stats unavailable:', err);
+    dom.cacheStats.textContent = '캐시 사용 불가';
+  }
+}
+
+async function clearResultCache() {
+  try {
+    await resultCache.clear();
+    showToast('결과 캐시를 비웠습니다');
+  } catch (err) {
+    console.error('Cache clear failed:', err);
+    showToast(`캐시를 비우지 못했습니다: ${err.message}`, 'error');
+  } finally {
+    await refreshCacheStats();
+  }
+}
+
+// ============================================
+// Session History
+// ============================================
+let sessionSaveTimer = null;
+
+/**
+ * Debounced save — AI refinements finish one by one after the batch.
+ */
+function scheduleSessionSave() {
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(saveCurrentSession, 800);
+}
+
+async function saveCurrentSession() {
+  if (!state.session || state.results.length === 0) return;
+  
+  try {
+    await sessionHistory.save({
+      ...state.session,
+      images: state.images.map(img => ({ id: img.id, name: img.name, blob: img.file, source: img.source || null, regions: img.regions || [], profile: img.profile || null, ocrInput: img.ocrInput || null })),
+      results: getOrderedResults(),
+    });
+    if (!dom.historyModal.classList.contains('hidden')) renderHistoryList();
+  } catch (err) {
+    console.warn('Session save failed:', err);
+  }
+}
+
+/**
+ * Restore a saved session into the gallery and result view
+ * without re-running Tesseract or the AI provider.
+ */
+async function openSession(id) {
+  if (state.isProcessing) {
+    showToast('처리 중에는 기록을 열 수 없습니다', 'error');
+    return;
+  }
+  
+  const session = await sessionHistory.load(id);
+  if (!session) {
+    showToast('기록을 찾을 수 없습니다', 'error');
+    return;
+  }
+  
+  stopBatch();
+  state.images.forEach(releaseImage);
+  state.images = session.images.map(img => {
+    const file = img.blob instanceof File ? img.blob : new File([img.blob], img.name, { type: img.blob.type });
+    return {
+      id: img.id,
+      file,
+      url: URL.createObjectURL(file),
+      name: img.name,
+      ...(img.source ? { source: img.source } : {}),
+      ...(img.regions?.length ? { regions: img.regions } : {}),
+      ...(img.profile ? { profile: img.profile } : {}),
+      ...(img.ocrInput ? { ocrInput: img.ocrInput } : {}),
+    };
+  });
+  // Interrupted AI refinements cannot resume — show them as OCR-only
+  state.results = session.results.map(r => ({ ...r, aiStatus: r.aiStatus === 'pending' ? 'failed' : r.aiStatus }));
+  state.session = { id: session.id, name: session.name, createdAt: session.createdAt, lang: session.lang, aiMode: session.aiMode, aiModel: session.aiModel, mergeStrategy: session.mergeStrategy, preprocessPreset: session.preprocessPreset, ocrProfile: session.ocrProfile, tableMode: session.tableMode, ruleSet: session.ruleSet, ruleSets: session.ruleSets };
+  
+  // Keep newly added images from colliding with restored ids
+  const idNumbers = session.images
+    .flatMap(img => [img.id, img.source?.id])
+    .map(id => Number(id?.match(/-(\d+)$/)?.[1] || 0));
+  imageIdCounter = Math.max(imageIdCounter, ...idNumbers);
+  
+  languagePicker.value = session.lang;
+  renderRuleSetSelect();
+  renderGallery();
+  dom.previewSection.classList.toggle('hidden', state.images.length === 0);
+  
+  showRestoredResults();
+  dom.historyModal.classList.add('hidden');
+  showToast(`"${session.name}" 기록을 불러왔습니다`);
+}
+
+/**
+ * Render results that were loaded rather than recognized, marking their gallery cards done
+ */
+function showRestoredResults() {
+  dom.resultsSection.classList.remove('hidden');
+  renderResults();
+  for (const result of state.results) {
+    const card = document.getElementById(`card-${result.id}`);
+    if (card) {
+      card.classList.add('done');
+      card.insertAdjacentHTML('afterbegin', `<div class="card-status-badge done">✓</div>`);
+    }
+  }
+}
+
+/**
+ * Load a JSON export into the result view. Results are re-attached to gallery
+ * images with the same SHA-256; the rest are shown without a source image.
+ */
+async function importResultsJson(file) {
+  if (state.isProcessing) {
+    showToast('처리 중에는 가져올 수 없습니다', 'error');
+    return;
+  }
+  
+  const { session, results } = parseResultsJson(await file.text());
+  stopBatch();
+  
+  const idsByHash = new Map();
+  const hashes = await Promise.all(state.images.map(img => preprocessPool.run('hash', [img.file])));
+  state.images.forEach((img, i) => idsByHash.set(hashes[i], img.id));
+  let matched = 0;
+  state.results = results.map((r, i) => {
+    const id = r.hash && idsByHash.get(r.hash);
+    if (!id) return { ...r, id: `imported-${i + 1}` };
+    idsByHash.delete(r.hash); // one result per image
+    matched++;
+    return { ...r, id };
+  });
+  state.session = { id: `session-${Date.now()}`, ...session };
+  
+  languagePicker.value = session.lang; // ignored when no language in it is known
+  renderRuleSetSelect();
+  showRestoredResults();
+  dom.historyModal.classList.add('hidden');
+  scheduleSessionSave();
+  showToast(`${results.length}개 결과를 가져왔습니다${state.images.length ? ` · ${matched}개 이미지 연결` : ''}`);
+}
+
+async function renameSession(id, currentName) {
+  const name = prompt('새 이름을 입력하세요', currentName);
+  if (!name || !name.trim()) return;
+  
+  await sessionHistory.rename(id, name.trim());
+  if (state.session?.id === id) state.session.name = name.trim();
+  renderHistoryList();
+}
+
+async function deleteSession(id, name) {
+  if (!confirm(`"${name}" 기록을 삭제할까요?`)) return;
+  
+  await sessionHistory.remove(id);
+  if (state.session?.id === id) state.session = null;
+  renderHistoryList();
+  showToast('기록이 삭제되었습니다');
+}
+
+async function exportSession(id, format) {
+  const session = await sessionHistory.load(id);
+  if (!session) return;
   
-  // Bind copy buttons
-  dom.resultsContainer.querySelectorAll('[data-copy-id]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const resultId = btn.dataset.copyId;
-      const result = state.results.find(r => r.id === resultId);
-      if (result && result.text) {
-        navigator.clipboard.writeText(result.text).then(() => {
-          showToast('클립보드에 복사되었습니다');
-        });
-      }
-    });
-  });
+  const date = new Date(session.createdAt).toISOString().slice(0, 10);
+  if (format === 'json') {
+    downloadFile(getResultsJson(session, session.results), `moon-ocr-${date}.json`, 'application/json');
+  } else if (format === 'md') {
+    const body = getAllTextMarkdown(session.results);
+    if (!body) { showToast('다운로드할 텍스트가 없습니다', 'error'); return; }
+    downloadFile(`# ${session.name}\n\n> 추출일: ${new Date(session.createdAt).toLocaleString('ko-KR')}\n\n${body}`, `moon-ocr-${date}.md`);
+  } else {
+    const text = getAllText(session.results);
+    if (!text) { showToast('다운로드할 텍스트가 없습니다', 'error'); return; }
+    downloadFile(text, `moon-ocr-${date}.txt`);
+  }
 }
 
-/**
- * Append a single result card to the DOM in real-time (streaming pattern).
- * Shows OCR result immediately; AI refinement updates the card in-place later.
- */
-function appendSingleResult(result) {
-  const img = state.images.find(i => i.id === result.id);
-  const thumbUrl = img ? img.url : '';
-  const hasText = result.text && result.text.length > 0;
-  const isAIPending = result.aiStatus === 'pending';
+async function renderHistoryList() {
+  let sessions;
+  try {
+    sessions = await sessionHistory.list();
+  } catch (err) {
+    console.warn('History unavailable:', err);
+    dom.historyList.innerHTML = '<div class="result-empty">이 브라우저에서는 기록을 사용할 수 없습니다</div>';
+    return;
+  }
   
-  const cardHtml = `
-    <div class="result-card ${isAIPending ? 'ai-pending' : ''}" data-result-id="${result.id}">
-      <div class="result-card-header">
-        <div class="result-card-title">
-          ${thumbUrl ? `<img src="${thumbUrl}" alt="" />` : ''}
-          <span>${result.filename}</span>
-          ${isAIPending ? '<span class="ai-label">🤖 AI 대기</span>' : ''}
-        </div>
-        <div class="result-card-actions">
-          <button class="btn-icon" title="텍스트 복사" data-copy-id="${result.id}">
-            <svg width="16" height="16" viewBox="0 0 16 16" fill="none"><rect x="5.333" y="5.333" width="9.333" height="9.333" rx="1.333" stroke="currentColor" stroke-width="1.5"/><path d="M3.333 10.667H2.667A1.333 1.333 0 011.333 9.333V2.667A1.333 1.333 0 012.667 1.333h6.666A1.333 1.333 0 0110.667 2.667v.666" stroke="currentColor" stroke-width="1.5"/></svg>
-          </button>
+  if (sessions.length === 0) {
+    dom.historyList.innerHTML = '<div class="result-empty">저장된 작업이 없습니다</div>';
+    return;
+  }
+  
+  dom.historyList.innerHTML = sessions.map(s => `
+    <div class="history-item ${state.session?.id === s.id ? 'current' : ''}" data-session-id="${s.id}">
+      <div class="history-item-info">
+        <div class="history-item-name">${escapeHtml(s.name)}</div>
+        <div class="history-item-meta">
+          ${new Date(s.updatedAt).toLocaleString('ko-KR')} · ${s.imageCount}개 이미지 · ${s.charCount.toLocaleString()}자 · ${escapeHtml(langLabel(s.lang))}${s.aiMode === 'ai' ? ' · 🤖 AI' : ''}
         </div>
       </div>
-      <div class="result-card-body">
-        ${hasText ? `
-          <div class="result-text">${escapeHtml(result.text)}</div>
-          <div class="result-meta">
-            <div class="meta-item"><div class="meta-dot"></div>신뢰도: ${result.confidence?.toFixed(1) || 0}%</div>
-            <div class="meta-item"><div class="meta-dot"></div>단어: ${result.words || 0}개</div>
-            <div class="meta-item"><div class="meta-dot"></div>글자: ${result.text.length.toLocaleString()}자</div>
-          </div>
-        ` : `
-          <div class="result-empty">텍스트를 감지하지 못했습니다</div>
-        `}
+      <div class="history-item-actions">
+        <button class="btn btn-ghost btn-sm" data-history-action="open">열기</button>
+        <button class="btn btn-ghost btn-sm" data-history-action="rename">이름 변경</button>
+        <button class="btn btn-ghost btn-sm" data-history-action="txt">TXT</button>
+        <button class="btn btn-ghost btn-sm" data-history-action="md">MD</button>
+        <button class="btn btn-ghost btn-sm" data-history-action="json">JSON</button>
+        <button class="btn btn-danger btn-sm" data-history-action="delete">삭제</button>
       </div>
     </div>
-  `;
-  
-  dom.resultsContainer.insertAdjacentHTML('beforeend', cardHtml);
+  `).join('');
   
-  // Bind the copy button
-  const newCard = dom.resultsContainer.querySelector(`[data-result-id="${result.id}"] [data-copy-id]`);
-  if (newCard) {
-    newCard.addEventListener('click', () => {
-      // Always copy the latest text (which may have been AI-merged)
-      const current = state.results.find(r => r.id === result.id);
-      const textToCopy = current?.text || result.text;
-      if (textToCopy) {
-        navigator.clipboard.writeText(textToCopy).then(() => {
-          showToast('클립보드에 복사되었습니다');
-        });
-      }
+  dom.historyList.querySelectorAll('[data-history-action]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const id = btn.closest('[data-session-id]').dataset.sessionId;
+      const summary = sessions.find(s => s.id === id);
+      const action = btn.dataset.historyAction;
+      
+      const task = action === 'open' ? openSession(id)
+        : action === 'rename' ? renameSession(id, summary.name)
+        : action === 'delete' ? deleteSession(id, summary.name)
+        : exportSession(id, action);
+      
+      task.catch(err => {
+        console.error('History action failed:', err);
+        showToast(`기록 작업 실패: ${err.message}`, 'error');
+      });
     });
-  }
-}
-
-function escapeHtml(str) {
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+  });
 }
 
 // ============================================
 // Export Functions
 // ============================================
-function getAllText() {
-  return state.results
-    .filter(r => r.text)
+
+/**
+ * Results in gallery order. Batch OCR finishes out of order, so exports
+ * re-sort by image position to keep PDF pages in sequence.
+ */
+function getOrderedResults() {
+  const order = new Map(state.images.map((img, idx) => [img.id, idx]));
+  return [...state.results].sort((a, b) => (order.get(a.id) ?? Infinity) - (order.get(b.id) ?? Infinity));
+}
+
+function getAllText(results = getOrderedResults()) {
+  return results
+    .filter(r => getFinalText(r))
     .map((r, i) => {
       const header = `=== ${r.filename} ===`;
-      return `${header}\n${r.text}`;
+      return `${header}\n${getFinalText(r)}`;
     })
     .join('\n\n');
 }
 
-function getAllTextMarkdown() {
-  return state.results
-    .filter(r => r.text)
+function getAllTextMarkdown(results = getOrderedResults()) {
+  return results
+    .filter(r => getFinalText(r))
     .map((r, i) => {
-      return `## ${r.filename}\n\n> 신뢰도: ${r.confidence.toFixed(1)}% | 단어: ${r.words || 0}개 | 글자: ${r.text.length.toLocaleString()}자\n\n${r.text}`;
+      const finalText = getFinalText(r);
+      const body = r.editedText == null && r.regions?.length
+        ? r.regions.map(region => `### ${region.label}\n\n${region.text || '_(텍스트 없음)_'}`).join('\n\n')
+        : finalText;
+      const edited = r.editedText != null ? ' | ✏️ 편집됨' : '';
+      return `## ${r.filename}\n\n> 신뢰도: ${r.confidence.toFixed(1)}% | 단어: ${r.words || 0}개 | 글자: ${finalText.length.toLocaleString()}자${edited}\n\n${body}`;
     })
     .join('\n\n---\n\n');
 }
@@ -578,7 +2382,8 @@ function copyAllText() {
 }
 
 function downloadFile(content, filename, mimeType = 'text/plain') {
-  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const type = mimeType.startsWith('text/') ? `${mimeType};charset=utf-8` : mimeType;
+  const blob = new Blob([content], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -602,6 +2407,104 @@ function downloadMd() {
   downloadFile(md, `moon-ocr-${timestamp}.md`);
 }
 
+/**
+ * Searchable PDF: every image as a page with the OCR words as an invisible text layer.
+ * The layer follows Tesseract's word boxes, so it reflects OCR output rather than edits.
+ */
+async function downloadPdf() {
+  const results = getOrderedResults().filter(r => state.images.some(i => i.id === r.id));
+  if (results.length === 0) { showToast('다운로드할 결과가 없습니다', 'error'); return; }
+  
+  dom.btnDownloadPdf.disabled = true;
+  try {
+    const pages = await Promise.all(results.map(async (r) => {
+      const img = state.images.find(i => i.id === r.id);
+      // Prefer the exact OCR input so boxes line up even after deskew/cropping
+      const image = await getOcrImage(img);
+      return { image, imageSize: r.imageSize, lines: r.lines || [] };
+    }));
+    
+    // Auto language: every detected language, so the text layer gets a CJK font if any page needs one
+    const lang = [...new Set(results.map(r => r.lang || state.session?.lang || languagePicker.value))].join('+');
+    const bytes = await createSearchablePdf(pages, { lang, title: state.session?.name || 'Moon OCR' }, (done, total) => {
+      dom.btnDownloadPdf.title = `PDF 생성 중 (${done}/${total})`;
+    });
+    
+    const timestamp = new Date().toISOString().slice(0, 10);
+    downloadFile(bytes, `moon-ocr-${timestamp}.pdf`, 'application/pdf');
+  } catch (err) {
+    console.error('PDF export failed:', err);
+    showToast(`PDF 생성 실패: ${err.message}`, 'error');
+  } finally {
+    dom.btnDownloadPdf.disabled = false;
+    dom.btnDownloadPdf.title = '검색 가능한 PDF 다운로드';
+  }
+}
+
+/**
+ * Machine-readable export with per-result provenance (schema: results.schema.json)
+ */
+function getResultsJson(session, results) {
+  const engine = { ocrEngine: OCR_ENGINE_VERSION, aiModel: session.aiModel ?? null, promptVersion: PROMPT_VERSION };
+  return JSON.stringify(buildResultsJson(session, results, engine, getFinalText), null, 2);
+}
+
+function downloadJson() {
+  if (!state.session || state.results.length === 0) { showToast('다운로드할 결과가 없습니다', 'error'); return; }
+  const timestamp = new Date().toISOString().slice(0, 10);
+  downloadFile(getResultsJson(state.session, getOrderedResults()), `moon-ocr-${timestamp}.json`, 'application/json');
+}
+
+/**
+ * Every detected table in gallery order, named after its image
+ */
+function getAllTables() {
+  return getOrderedResults().flatMap(r => (r.tables || []).map((table, i) => ({
+    name: `${r.filename} 표${i + 1}`,
+    rows: table.rows,
+  })));
+}
+
+function downloadCsv() {
+  const tables = getAllTables();
+  if (tables.length === 0) { showToast('감지된 표가 없습니다', 'error'); return; }
+  const timestamp = new Date().toISOString().slice(0, 10);
+  if (tables.length === 1) {
+    downloadFile(tableToCsv(tables[0].rows), `moon-ocr-${timestamp}.csv`, 'text/csv');
+  } else {
+    downloadFile(zipCsvTables(tables), `moon-ocr-${timestamp}-csv.zip`, 'application/zip');
+  }
+}
+
+function downloadXlsx() {
+  const tables = getAllTables();
+  if (tables.length === 0) { showToast('감지된 표가 없습니다', 'error'); return; }
+  const timestamp = new Date().toISOString().slice(0, 10);
+  downloadFile(createXlsx(tables), `moon-ocr-${timestamp}.xlsx`, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+}
+
+/**
+ * hOCR / ALTO: the full block → paragraph → line → word layout, bundled into one
+ * document or as one file per image in a ZIP. Like the PDF, this is OCR output, not edits.
+ * @param {'hocr'|'alto'} format
+ */
+function downloadLayout(format) {
+  const lang = state.session?.lang || languagePicker.value;
+  const pages = getOrderedResults()
+    .filter(r => r.blocks?.length && r.imageSize)
+    .map(r => ({ filename: r.filename, imageSize: r.imageSize, lang: r.lang || lang, blocks: r.blocks }));
+  if (pages.length === 0) { showToast('레이아웃 정보가 있는 결과가 없습니다', 'error'); return; }
+
+  const timestamp = new Date().toISOString().slice(0, 10);
+  if (dom.layoutExportMode.value === 'zip') {
+    downloadFile(zipLayoutPages(pages, format), `moon-ocr-${timestamp}-${format}.zip`, 'application/zip');
+  } else if (format === 'hocr') {
+    downloadFile(toHocr(pages), `moon-ocr-${timestamp}.hocr`, 'text/html');
+  } else {
+    downloadFile(toAlto(pages), `moon-ocr-${timestamp}.alto.xml`, 'application/xml');
+  }
+}
+
 // ============================================
 // Event Handlers
 // ============================================
@@ -645,7 +2548,7 @@ function setupEventListeners() {
   // Paste from clipboard
   document.addEventListener('paste', (e) => {
     const items = Array.from(e.clipboardData?.items || []);
-    const imageItems = items.filter(item => item.type.startsWith('image/'));
+    const imageItems = items.filter(item => item.type.startsWith('image/') || item.type === 'application/pdf');
     
     if (imageItems.length > 0) {
       e.preventDefault();
@@ -659,59 +2562,615 @@ function setupEventListeners() {
     }
   });
   
+  // Edit buttons — delegated because AI refinement re-renders card bodies
+  dom.resultsContainer.addEventListener('click', (e) => {
+    const editBtn = e.target.closest('[data-edit-id]');
+    if (editBtn) startEditing(editBtn.dataset.editId);
+    const retryBtn = e.target.closest('[data-retry-ai]');
+    if (retryBtn) {
+      retryRefinement(retryBtn.dataset.retryAi).catch((err) => {
+        console.error('AI retry failed:', err);
+        showToast(`다시 시도하지 못했습니다: ${err.message}`, 'error');
+      });
+    }
+    const segBtn = e.target.closest('[data-prov-seg]');
+    if (segBtn) switchSegmentSource(segBtn.dataset.provId, Number(segBtn.dataset.provSeg));
+    const lowWord = e.target.closest('[data-review-key]');
+    if (lowWord && !lowWord.closest('.editing')) openReview(lowWord.dataset.reviewId, lowWord.dataset.reviewKey);
+  });
+  
+  aiQueue.subscribe(renderQueueStatus);
+  
+  // Box viewers open lazily — `toggle` does not bubble, so listen in the capture phase
+  dom.resultsContainer.addEventListener('toggle', (e) => {
+    if (e.target.matches?.('.bbox-details')) openBboxViewer(e.target).catch(err => console.warn('OCR image rebuild failed:', err));
+  }, true);
+  
   // Buttons
   dom.btnClearAll.addEventListener('click', clearAllImages);
   dom.btnStartOcr.addEventListener('click', startOcr);
+  dom.btnPauseBatch.addEventListener('click', togglePause);
+  dom.btnCancelBatch.addEventListener('click', cancelBatch);
   dom.btnCopyAll.addEventListener('click', copyAllText);
   dom.btnDownloadTxt.addEventListener('click', downloadTxt);
   dom.btnDownloadMd.addEventListener('click', downloadMd);
+  dom.btnDownloadPdf?.addEventListener('click', downloadPdf);
+  dom.btnDownloadHocr?.addEventListener('click', () => downloadLayout('hocr'));
+  dom.btnDownloadAlto?.addEventListener('click', () => downloadLayout('alto'));
+  dom.btnDownloadJson?.addEventListener('click', downloadJson);
+  dom.btnDownloadCsv?.addEventListener('click', downloadCsv);
+  dom.btnDownloadXlsx?.addEventListener('click', downloadXlsx);
+  dom.btnImportJson?.addEventListener('click', () => dom.jsonInput.click());
+  dom.jsonInput?.addEventListener('change', (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    importResultsJson(file).catch(err => {
+      console.error('JSON import failed:', err);
+      showToast(`가져오기 실패: ${err.message}`, 'error');
+    });
+  });
+  dom.btnClearCache?.addEventListener('click', clearResultCache);
+  
+  // Rule sets (chosen per OCR language)
+  languagePicker = new LanguagePicker(dom.languagePicker, {
+    value: getSavedLang(),
+    onChange: (lang) => {
+      saveLang(lang);
+      renderRuleSetSelect();
+      // Only auto mode detects orientation and script — free the OSD worker's memory
+      if (lang !== 'auto' && !state.isProcessing) ocrEngine.terminateOsd();
+    },
+  });
+  renderRuleSetSelect();
+  dom.ruleSetSelect.addEventListener('change', (e) => setRuleSetForLang(languagePicker.value, e.target.value || null));
+  dom.btnRuleSets.addEventListener('click', openRuleSets);
+  dom.btnRuleSetClose.addEventListener('click', () => dom.ruleSetModal.classList.add('hidden'));
+  dom.ruleSetModal.addEventListener('click', (e) => {
+    if (e.target === dom.ruleSetModal) dom.ruleSetModal.classList.add('hidden');
+  });
+  dom.ruleSetEditSelect.addEventListener('change', (e) => switchEditedRuleSet(e.target.value));
+  dom.btnRuleSetNew.addEventListener('click', addRuleSet);
+  dom.btnRuleSetDelete.addEventListener('click', deleteRuleSet);
+  dom.btnRuleSetSave.addEventListener('click', saveRuleSetsFromModal);
+  dom.btnRuleSetExport.addEventListener('click', exportRuleSets);
+  dom.btnRuleSetImport.addEventListener('click', () => dom.ruleSetInput.click());
+  dom.ruleSetInput.addEventListener('change', (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    importRuleSets(file).catch(err => {
+      console.error('Rule set import failed:', err);
+      showToast(`가져오기 실패: ${err.message}`, 'error');
+    });
+  });
+  
+  // Preprocessing preset (applies to the whole batch)
+  if (dom.preprocessSelect) {
+    dom.preprocessSelect.innerHTML = Object.entries(PREPROCESS_PRESETS)
+      .map(([key, preset]) => `<option value="${key}">${preset.label}</option>`)
+      .join('');
+    dom.preprocessSelect.value = state.preprocessPreset;
+    dom.preprocessSelect.addEventListener('change', (e) => {
+      state.preprocessPreset = e.target.value;
+      renderGallery(); // drop stale before/after previews
+    });
+  }
+  
+  // Recognition profile for images without their own
+  if (dom.ocrProfileSelect) {
+    dom.ocrProfileSelect.innerHTML = Object.entries(OCR_PROFILES)
+      .map(([key, profile]) => `<option value="${key}">${profile.label}</option>`)
+      .join('');
+    dom.ocrProfileSelect.value = state.ocrProfile;
+    dom.ocrProfileSelect.addEventListener('change', (e) => {
+      state.ocrProfile = e.target.value;
+    });
+  }
+  
+  dom.tableModeToggle?.addEventListener('change', (e) => {
+    state.tableMode = e.target.checked;
+  });
+  
+  // Region editor modal
+  dom.btnRegionSave?.addEventListener('click', saveRegions);
+  dom.btnRegionClear?.addEventListener('click', () => regionEditor?.clear());
+  dom.btnRegionClose?.addEventListener('click', closeRegionEditor);
+  dom.regionModal?.addEventListener('click', (e) => {
+    if (e.target === dom.regionModal) closeRegionEditor();
+  });
+  
+  // History modal
+  dom.btnHistory?.addEventListener('click', () => {
+    dom.historyModal.classList.remove('hidden');
+    renderHistoryList();
+  });
+  dom.btnHistoryClose?.addEventListener('click', () => {
+    dom.historyModal.classList.add('hidden');
+  });
+  
+  // Camera
+  dom.btnCamera.addEventListener('click', (e) => {
+    e.stopPropagation(); // the drop zone would open the file dialog
+    if (camera) closeCamera();
+    else openCamera();
+  });
+  
+  // Offline modal
+  dom.btnOffline.addEventListener('click', openOffline);
+  dom.btnOfflineClose.addEventListener('click', () => dom.offlineModal.classList.add('hidden'));
+  dom.offlineModal.addEventListener('click', (e) => {
+    if (e.target === dom.offlineModal) dom.offlineModal.classList.add('hidden');
+  });
+  dom.offlineLangList.addEventListener('click', (e) => {
+    handleOfflineAction(e).catch(err => {
+      console.error('Offline action failed:', err);
+      showToast(err.message, 'error');
+    });
+  });
+  dom.btnOfflineDownload.addEventListener('click', () => downloadOfflinePack(dom.btnOfflineDownload, dom.offlineLangSelect.value, false));
+  dom.offlineFontList.addEventListener('click', (e) => {
+    handleOfflineFontAction(e).catch(err => {
+      console.error('Offline font action failed:', err);
+      showToast(err.message, 'error');
+    });
+  });
+  // Word review
+  dom.reviewThreshold.innerHTML = REVIEW_THRESHOLDS
+    .map(t => `<option value="${t}">신뢰도 &lt; ${t}% 강조</option>`)
+    .join('');
+  dom.reviewThreshold.value = String(state.reviewThreshold);
+  dom.reviewThreshold.addEventListener('change', (e) => setReviewThreshold(Number(e.target.value)));
+  dom.btnReview.addEventListener('click', () => openReview());
+  dom.btnReviewClose.addEventListener('click', closeReview);
+  dom.reviewModal.addEventListener('click', (e) => {
+    if (e.target === dom.reviewModal) return closeReview();
+    const action = e.target.closest('[data-review-action]')?.dataset.reviewAction;
+    const item = reviewQueue[reviewIndex];
+    if (action === 'prev') moveReview(-1);
+    else if (action === 'next') moveReview(1);
+    else if (action === 'accept') resolveReviewItem(document.getElementById('review-input')?.value ?? item.text);
+    else if (action === 'vision') resolveReviewItem(item.vision);
+  });
+  document.addEventListener('keydown', handleReviewKeydown);
+  
+  dom.historyModal?.addEventListener('click', (e) => {
+    if (e.target === dom.historyModal) dom.historyModal.classList.add('hidden');
+  });
 }
 
 // ============================================
-// Initialize
+// Rule Sets
+// ============================================
+let ruleSetDraft = null; // edited copy of the rule settings while the modal is open
+let editingRuleSetId = null;
+
+/**
+ * Header select: the rule set used for the selected OCR language
+ */
+function renderRuleSetSelect() {
+  const { sets, byLang } = getRuleSettings();
+  dom.ruleSetSelect.innerHTML = [
+    '<option value="">📖 규칙 없음</option>',
+    ...sets.map(set => `<option value="${escapeHtml(set.id)}">📖 ${escapeHtml(set.name)}</option>`),
+  ].join('');
+  dom.ruleSetSelect.value = byLang[languagePicker.value] || '';
+  // Auto detection applies the set chosen for each detected language
+  const auto = languagePicker.value === 'auto';
+  dom.ruleSetSelect.disabled = auto;
+  dom.ruleSetSelect.title = auto ? '자동 감지에서는 감지된 언어마다 그 언어의 규칙이 적용됩니다' : '이 언어에 적용할 사전 · 교정 규칙';
+}
+
+function openRuleSets() {
+  ruleSetDraft = getRuleSettings();
+  if (ruleSetDraft.sets.length === 0) ruleSetDraft.sets.push(createRuleSet());
+  const current = ruleSetDraft.byLang[languagePicker.value];
+  editingRuleSetId = ruleSetDraft.sets.some(set => set.id === current) ? current : ruleSetDraft.sets[0].id;
+  renderRuleSetEditor();
+  dom.ruleSetModal.classList.remove('hidden');
+}
+
+function renderRuleSetEditor() {
+  const set = ruleSetDraft.sets.find(s => s.id === editingRuleSetId);
+  dom.ruleSetEditSelect.innerHTML = ruleSetDraft.sets
+    .map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)}</option>`)
+    .join('');
+  dom.ruleSetEditSelect.value = set.id;
+  dom.ruleSetName.value = set.name;
+  dom.ruleSetWords.value = set.words.join('\n');
+  dom.ruleSetPatterns.value = set.patterns.join('\n');
+  dom.ruleSetRules.value = formatRulesText(set.rules);
+  dom.ruleSetErrors.classList.add('hidden');
+}
+
+/**
+ * Copy the fields into the draft set
+ * @returns {boolean} false when a rule does not parse (the errors are shown)
+ */
+function readRuleSetEditor() {
+  const set = ruleSetDraft.sets.find(s => s.id === editingRuleSetId);
+  const { rules, errors } = parseRulesText(dom.ruleSetRules.value);
+  dom.ruleSetErrors.classList.toggle('hidden', errors.length === 0);
+  dom.ruleSetErrors.innerHTML = errors.map(e => `<div>⚠️ ${escapeHtml(e)}</div>`).join('');
+  if (errors.length > 0) return false;
+  
+  const list = (text) => text.split('\n').map(l => l.trim()).filter(Boolean);
+  set.name = dom.ruleSetName.value.trim() || set.name;
+  set.words = list(dom.ruleSetWords.value);
+  set.patterns = list(dom.ruleSetPatterns.value);
+  set.rules = rules;
+  return true;
+}
+
+function switchEditedRuleSet(id) {
+  if (!readRuleSetEditor()) {
+    dom.ruleSetEditSelect.value = editingRuleSetId;
+    return;
+  }
+  editingRuleSetId = id;
+  renderRuleSetEditor();
+}
+
+function addRuleSet() {
+  if (!readRuleSetEditor()) return;
+  const set = createRuleSet();
+  ruleSetDraft.sets.push(set);
+  editingRuleSetId = set.id;
+  renderRuleSetEditor();
+  dom.ruleSetName.select();
+}
+
+function deleteRuleSet() {
+  const set = ruleSetDraft.sets.find(s => s.id === editingRuleSetId);
+  if (!confirm(`"${set.name}" 규칙 세트를 삭제할까요? (저장해야 반영됩니다)`)) return;
+  ruleSetDraft.sets = ruleSetDraft.sets.filter(s => s.id !== set.id);
+  if (ruleSetDraft.sets.length === 0) ruleSetDraft.sets.push(createRuleSet());
+  editingRuleSetId = ruleSetDraft.sets[0].id;
+  renderRuleSetEditor();
+}
+
+function saveRuleSetsFromModal() {
+  if (!readRuleSetEditor()) return;
+  saveRuleSettings(ruleSetDraft);
+  renderRuleSetSelect();
+  dom.ruleSetModal.classList.add('hidden');
+  showToast(dom.ruleSetSelect.value
+    ? '규칙 세트가 저장되었습니다 — 다음 추출부터 적용됩니다'
+    : '규칙 세트가 저장되었습니다 — 헤더에서 언어별 세트를 선택하세요');
+}
+
+function exportRuleSets() {
+  if (!readRuleSetEditor()) return;
+  downloadFile(JSON.stringify(buildRuleSetsJson(ruleSetDraft), null, 2), 'moon-ocr-rule-sets.json', 'application/json');
+}
+
+async function importRuleSets(file) {
+  if (!readRuleSetEditor()) return;
+  const { settings, imported } = importRuleSetsJson(await file.text(), ruleSetDraft);
+  ruleSetDraft = settings;
+  if (!ruleSetDraft.sets.some(s => s.id === editingRuleSetId)) editingRuleSetId = ruleSetDraft.sets[0].id;
+  renderRuleSetEditor();
+  showToast(`${imported}개 규칙 세트를 가져왔습니다 — 저장하면 반영됩니다`);
+}
+
+// ============================================
+// Camera
+// ============================================
+let cameraSource = null; // gallery group of the pages taken since the camera was opened
+
+// `?fake-camera` swaps the device for a synthetic page stream (manual and automated testing)
+const useFakeCamera = new URLSearchParams(location.search).has('fake-camera');
+
+function openCamera() {
+  cameraSource = {
+    id: `camera-${++imageIdCounter}`,
+    name: `카메라 촬영 ${new Date().toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit' })}`,
+    kind: 'camera',
+    pageCount: 0,
+  };
+  dom.cameraPanel.classList.remove('hidden');
+  dom.btnCamera.classList.add('active');
+  camera = new CameraCapture(dom.cameraPanel, {
+    onCapture: addCameraPage,
+    onClose: closeCamera,
+    // Only fetched with ?fake-camera — regular sessions never load it
+    getStream: useFakeCamera ? async () => (await import('./fake-camera.js')).createFakeDocumentStream() : undefined,
+  });
+  camera.start().catch((err) => {
+    console.error('Camera failed to start:', err);
+    showToast(`카메라를 열 수 없습니다: ${err.message}`, 'error');
+    closeCamera();
+  });
+}
+
+function closeCamera() {
+  camera?.destroy();
+  camera = null;
+  dom.cameraPanel.classList.add('hidden');
+  dom.btnCamera.classList.remove('active');
+}
+
+/**
+ * Add a capture as the next page of the camera group
+ * @param {File} file
+ */
+function addCameraPage(file) {
+  const page = ++cameraSource.pageCount;
+  for (const img of state.images) {
+    if (img.source?.id === cameraSource.id) img.source.pageCount = page;
+  }
+  state.images.push({
+    id: `img-${++imageIdCounter}`,
+    file,
+    url: URL.createObjectURL(file),
+    name: file.name,
+    source: { id: cameraSource.id, name: cameraSource.name, kind: 'camera', page, pageCount: page },
+  });
+  renderGallery();
+  dom.previewSection.classList.remove('hidden');
+}
+
+// ============================================
+// Offline
+// ============================================
+
+/**
+ * Language packs the current choice needs: auto detection uses the OSD model
+ * and the fallback languages, legacy profiles the packs with the legacy model
+ */
+function wantedPacks() {
+  const lang = languagePicker.value;
+  const legacy = usesLegacyEngine(OCR_PROFILES[state.ocrProfile]);
+  if (lang === 'auto') return [{ code: 'osd', legacy: true }, ...AUTO_FALLBACK_LANG.split('+').map(code => ({ code, legacy }))];
+  return lang.split('+').map(code => ({ code, legacy }));
+}
+
+// Languages each PDF export font covers (`cjkFont` keys in languages.js)
+const CJK_FONT_LABELS = { KR: '한국어', JP: '일본어', SC: '중국어 (간체)', TC: '중국어 (번체)' };
+
+function offlineStatusText() {
+  if (!('serviceWorker' in navigator)) return '⚠️ 이 브라우저는 서비스 워커를 지원하지 않아 오프라인으로 실행할 수 없습니다';
+  if (!import.meta.env.PROD) return '🛠 개발 서버에서는 서비스 워커가 꺼져 있습니다 — 빌드한 앱에서 사용하세요';
+  if (navigator.serviceWorker.controller) return '✅ 앱과 OCR 엔진이 저장되어 네트워크 없이 실행됩니다';
+  return '⏳ 앱을 저장하는 중입니다 — 새로고침하면 오프라인 사용이 준비됩니다';
+}
+
+async function renderOfflineModal() {
+  let storage = '';
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    storage = ` · 저장 공간 ${formatBytes(usage)} / ${formatBytes(quota)}`;
+  } catch {
+    // estimate() is missing on older browsers — leave it out
+  }
+  const source = TESSERACT_PATHS.langPath || `앱에 포함 (${BUNDLED_LANG_PACKS.join(', ') || '없음'}) · 그 외 jsDelivr CDN`;
+  dom.offlineStatus.innerHTML = `
+    <div>${offlineStatusText()}</div>
+    <div class="offline-source">언어 팩 위치: ${escapeHtml(source)}${storage}</div>
+  `;
+
+  let saved = [];
+  try {
+    saved = await listOfflinePacks();
+  } catch (err) {
+    console.warn('Offline packs unavailable:', err);
+  }
+  const wanted = wantedPacks().map(pack => ({ ...pack, url: packUrl(pack.code, pack.legacy) }));
+  const rows = [
+    ...saved.map(pack => ({ ...pack, saved: true, wanted: wanted.some(w => w.url === pack.url) })),
+    ...wanted.filter(pack => !saved.some(s => s.url === pack.url)).map(pack => ({ ...pack, saved: false, wanted: true })),
+  ];
+
+  dom.offlineLangList.innerHTML = rows.length === 0
+    ? '<div class="result-empty">저장된 언어 팩이 없습니다</div>'
+    : rows.map(row => `
+      <div class="offline-lang-item ${row.saved ? 'saved' : ''}">
+        <div class="offline-lang-info">
+          <div class="offline-lang-name">${row.saved ? '💾' : '☁️'} ${escapeHtml(row.code === 'osd' ? '방향 · 문자 감지' : getLanguage(row.code)?.nativeName || row.code)}${row.wanted ? ' <span class="offline-lang-current">현재 선택</span>' : ''}</div>
+          <div class="offline-lang-meta">${row.code}${row.legacy ? ' · 레거시 엔진용' : ''} · ${row.saved ? formatBytes(row.size) : '저장 안 됨'}</div>
+        </div>
+        ${row.saved
+          ? `<button class="btn btn-danger btn-sm" data-offline-action="remove" data-url="${escapeHtml(row.url)}">삭제</button>`
+          : `<button class="btn btn-ghost btn-sm" data-offline-action="download" data-code="${row.code}" data-legacy="${row.legacy}">받기</button>`}
+      </div>
+    `).join('');
+
+  await renderOfflineFonts();
+}
+
+async function renderOfflineFonts() {
+  let fonts = [];
+  try {
+    fonts = await listOfflineFonts();
+  } catch (err) {
+    console.warn('Offline fonts unavailable:', err);
+  }
+  const wanted = parseLangs(languagePicker.value).find(l => l.cjkFont)?.cjkFont;
+  dom.offlineFontList.innerHTML = fonts.map(font => `
+    <div class="offline-lang-item ${font.saved ? 'saved' : ''}">
+      <div class="offline-lang-info">
+        <div class="offline-lang-name">${font.saved ? '💾' : '☁️'} ${CJK_FONT_LABELS[font.key] || font.key} PDF 폰트${font.key === wanted ? ' <span class="offline-lang-current">현재 선택</span>' : ''}</div>
+        <div class="offline-lang-meta">Noto Sans ${font.key} · ${font.saved ? formatBytes(font.size) : '저장 안 됨'}</div>
+      </div>
+      ${font.saved
+        ? `<button class="btn btn-danger btn-sm" data-offline-action="remove" data-url="${escapeHtml(font.url)}">삭제</button>`
+        : `<button class="btn btn-ghost btn-sm" data-offline-action="download" data-font="${font.key}">받기</button>`}
+    </div>
+  `).join('');
+}
+
+function openOffline() {
+  dom.offlineLangSelect.innerHTML = LANGUAGES
+    .map(lang => `<option value="${lang.code}">${escapeHtml(lang.nativeName)} (${escapeHtml(lang.name)})</option>`)
+    .join('');
+  dom.offlineModal.classList.remove('hidden');
+  renderOfflineModal();
+}
+
+async function downloadOfflinePack(button, code, legacy) {
+  button.disabled = true;
+  button.textContent = '받는 중...';
+  try {
+    await downloadPack(code, legacy);
+    showToast(`${getLanguage(code)?.nativeName || code} 언어 팩을 저장했습니다`);
+  } catch (err) {
+    console.error('Language pack download failed:', err);
+    showToast(err.message, 'error');
+  }
+  await renderOfflineModal();
+}
+
+async function handleOfflineAction(e) {
+  const button = e.target.closest('[data-offline-action]');
+  if (!button) return;
+  if (button.dataset.offlineAction === 'download') {
+    await downloadOfflinePack(button, button.dataset.code, button.dataset.legacy === 'true');
+    return;
+  }
+  await removePack(button.dataset.url);
+  await renderOfflineModal();
+}
+
+async function handleOfflineFontAction(e) {
+  const button = e.target.closest('[data-offline-action]');
+  if (!button) return;
+  if (button.dataset.offlineAction === 'download') {
+    button.disabled = true;
+    button.textContent = '받는 중...';
+    try {
+      await downloadFont(button.dataset.font);
+      showToast(`${CJK_FONT_LABELS[button.dataset.font]} PDF 폰트를 저장했습니다`);
+    } catch (err) {
+      console.error('Font download failed:', err);
+      showToast(err.message, 'error');
+    }
+  } else {
+    await removeFont(button.dataset.url);
+  }
+  await renderOfflineFonts();
+}
+
+// ============================================
+// AI Provider Settings
 // ============================================
 function updateAIStatus() {
-  const ready = isGeminiAvailable();
+  const ready = isAiAvailable();
   if (dom.aiStatus) {
     dom.aiStatus.classList.remove('ai-ready', 'ai-not-ready');
     dom.aiStatus.classList.add(ready ? 'ai-ready' : 'ai-not-ready');
-    dom.aiStatus.title = ready ? 'Gemini API 연결됨' : 'API 키 미설정';
+    dom.aiStatus.title = ready ? `${getAiLabel()}${getMergeStrategy() === 'local' ? ' · 로컬 병합' : ''} 연결됨` : 'AI 공급자 미설정';
   }
   return ready;
 }
 
+let aiSettingsDraft = null; // edited copy of the settings while the modal is open; `provider` is the one shown
+
+function openAiSettings() {
+  aiSettingsDraft = getAiSettings();
+  dom.aiProviderSelect.innerHTML = Object.values(AI_PROVIDERS)
+    .map(p => `<option value="${p.id}">${escapeHtml(p.label)}</option>`)
+    .join('');
+  dom.aiProviderSelect.value = aiSettingsDraft.provider;
+  dom.aiMergeStrategy.innerHTML = Object.entries(MERGE_STRATEGIES)
+    .map(([id, label]) => `<option value="${id}">${escapeHtml(label)}</option>`)
+    .join('');
+  dom.aiMergeStrategy.value = aiSettingsDraft.mergeStrategy;
+  renderAiProviderFields();
+  dom.apiKeyModal?.classList.remove('hidden');
+}
+
+/**
+ * Show the fields the selected provider uses, filled from the draft
+ */
+function renderAiProviderFields() {
+  const provider = AI_PROVIDERS[aiSettingsDraft.provider];
+  const config = aiSettingsDraft.providers[provider.id];
+  
+  dom.aiModelInput.value = config.model;
+  dom.aiModelOptions.innerHTML = provider.suggestedModels.map(m => `<option value="${escapeHtml(m)}"></option>`).join('');
+  dom.aiConcurrencyInput.value = config.concurrency;
+  dom.aiRpmInput.value = config.requestsPerMinute;
+  dom.aiBaseUrlField.classList.toggle('hidden', !provider.usesBaseUrl);
+  dom.aiBaseUrlInput.value = config.baseUrl || '';
+  dom.aiBaseUrlInput.placeholder = provider.defaultBaseUrl || '';
+  dom.aiApiKeyField.classList.toggle('hidden', !provider.usesApiKey);
+  dom.apiKeyInput.value = config.apiKey || '';
+  dom.apiKeyInput.type = 'password';
+  dom.apiKeyInput.placeholder = provider.usesBaseUrl ? '선택 사항 (로컬 서버는 보통 불필요)' : 'AIza...로 시작하는 API 키';
+  dom.aiKeyHelpLink.classList.toggle('hidden', !provider.keyHelpUrl);
+  if (provider.keyHelpUrl) dom.aiKeyHelpLink.href = provider.keyHelpUrl;
+  dom.btnDeleteKey.classList.toggle('hidden', !provider.usesApiKey);
+}
+
+/**
+ * Copy the visible fields into the draft before switching provider or saving
+ */
+function readAiProviderFields() {
+  const provider = AI_PROVIDERS[aiSettingsDraft.provider];
+  const config = aiSettingsDraft.providers[provider.id];
+  config.model = dom.aiModelInput.value.trim() || provider.defaultModel;
+  const concurrency = parseInt(dom.aiConcurrencyInput.value, 10);
+  const requestsPerMinute = parseInt(dom.aiRpmInput.value, 10);
+  config.concurrency = concurrency > 0 ? concurrency : provider.defaultLimits.concurrency;
+  config.requestsPerMinute = requestsPerMinute >= 0 ? requestsPerMinute : provider.defaultLimits.requestsPerMinute;
+  if (provider.usesBaseUrl) config.baseUrl = dom.aiBaseUrlInput.value.trim() || provider.defaultBaseUrl;
+  if (provider.usesApiKey) config.apiKey = dom.apiKeyInput.value.trim();
+}
+
+function saveAiSettingsFromModal() {
+  readAiProviderFields();
+  aiSettingsDraft.mergeStrategy = dom.aiMergeStrategy.value;
+  const provider = AI_PROVIDERS[aiSettingsDraft.provider];
+  if (!provider.isConfigured(aiSettingsDraft.providers[provider.id])) {
+    showToast(provider.usesBaseUrl ? 'Base URL과 모델을 입력하세요' : 'API 키를 입력하세요', 'error');
+    return;
+  }
+  
+  saveAiSettings(aiSettingsDraft);
+  updateAIStatus();
+  dom.aiToggle.checked = true;
+  state.aiEnabled = true;
+  dom.apiKeyModal.classList.add('hidden');
+  showToast(`${getAiLabel()} 설정이 저장되었습니다 ✨`);
+}
+
+// ============================================
+// Initialize
+// ============================================
 function init() {
   setupEventListeners();
+  refreshCacheStats();
+  registerServiceWorker().catch(err => console.warn('Service worker registration failed:', err));
+  // Pages kept in the back/forward cache keep their workers for when they are shown again
+  window.addEventListener('pagehide', (e) => {
+    if (!e.persisted) ocrEngine.terminate();
+  });
   
   // AI toggle
-  const geminiReady = updateAIStatus();
+  const aiReady = updateAIStatus();
   if (dom.aiToggle) {
     dom.aiToggle.addEventListener('change', (e) => {
       state.aiEnabled = e.target.checked;
-      if (e.target.checked && !isGeminiAvailable()) {
+      if (e.target.checked && !isAiAvailable()) {
         // Open settings modal instead of just showing error
         e.target.checked = false;
         state.aiEnabled = false;
-        dom.apiKeyModal?.classList.remove('hidden');
+        openAiSettings();
       }
     });
-    if (geminiReady) {
+    if (aiReady) {
       dom.aiToggle.checked = true;
       state.aiEnabled = true;
     }
   }
   
-  // API Key Modal
-  dom.btnAiSettings?.addEventListener('click', () => {
-    // Pre-fill with masked key if exists
-    const existing = getApiKey();
-    if (existing) {
-      dom.apiKeyInput.value = existing;
-      dom.apiKeyInput.type = 'password';
-    } else {
-      dom.apiKeyInput.value = '';
-    }
-    dom.apiKeyModal?.classList.remove('hidden');
+  // AI provider settings modal
+  dom.btnAiSettings?.addEventListener('click', openAiSettings);
+  
+  dom.aiProviderSelect?.addEventListener('change', () => {
+    readAiProviderFields(); // keep what was typed for the previous provider
+    aiSettingsDraft.provider = dom.aiProviderSelect.value;
+    renderAiProviderFields();
   });
   
   dom.btnModalClose?.addEventListener('click', () => {
@@ -727,27 +3186,20 @@ function init() {
     input.type = input.type === 'password' ? 'text' : 'password';
   });
   
-  dom.btnSaveKey?.addEventListener('click', () => {
-    const key = dom.apiKeyInput.value.trim();
-    if (!key) {
-      showToast('API 키를 입력하세요', 'error');
-      return;
-    }
-    setApiKey(key);
-    updateAIStatus();
-    dom.aiToggle.checked = true;
-    state.aiEnabled = true;
-    dom.apiKeyModal.classList.add('hidden');
-    showToast('Gemini API 키가 저장되었습니다 ✨');
-  });
+  dom.btnSaveKey?.addEventListener('click', saveAiSettingsFromModal);
   
   dom.btnDeleteKey?.addEventListener('click', () => {
-    clearApiKey();
+    const settings = getAiSettings();
+    const providerId = aiSettingsDraft.provider;
+    settings.providers[providerId].apiKey = '';
+    saveAiSettings(settings);
+    aiSettingsDraft.providers[providerId].apiKey = '';
     dom.apiKeyInput.value = '';
-    updateAIStatus();
-    dom.aiToggle.checked = false;
-    state.aiEnabled = false;
-    dom.apiKeyModal.classList.add('hidden');
+    const ready = updateAIStatus();
+    if (!ready) {
+      dom.aiToggle.checked = false;
+      state.aiEnabled = false;
+    }
     showToast('API 키가 삭제되었습니다');
   });
 }
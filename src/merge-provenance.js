@@ -0,0 +1,118 @@
+/**
+ * Moon OCR Reader — Merge Provenance
+ * Splits the merged text into segments by where they came from: both sources
+ * agree, OCR only, Vision only, or rewritten by the model. Each disagreement
+ * keeps what the two sources said so the reviewer can switch to either.
+ */
+import { alignChars } from './text-diff.js';
+
+/**
+ * @typedef {Object} ProvenanceSegment
+ * @property {'both'|'ocr'|'vision'|'model'} source
+ * @property {string} text - Merged text of the segment (segments join back to the merged text)
+ * @property {string} [ocr] - What OCR read here (disagreements only)
+ * @property {string} [vision] - What Vision read here (disagreements only)
+ */
+
+const squash = (text) => text.replace(/\s+/g, ' ').trim();
+
+function classify(text, ocr, vision) {
+  const m = squash(text), o = squash(ocr), v = squash(vision);
+  if (m === o && m === v) return 'both';
+  if (m === o) return 'ocr';
+  if (m === v) return 'vision';
+  return 'model';
+}
+
+/**
+ * Characters both sources kept unchanged anchor the alignment; the stretch
+ * between two anchors maps to one span in each source.
+ * @param {string} ocrText
+ * @param {string} visionText
+ * @param {string} mergedText
+ * @returns {ProvenanceSegment[]}
+ */
+export function buildProvenance(ocrText, visionText, mergedText) {
+  const ocr = ocrText || '', vision = visionText || '', merged = mergedText || '';
+  const toOcr = alignChars(ocr, merged);
+  const toVision = alignChars(vision, merged);
+
+  const segments = [];
+  const push = (source, text, alt) => {
+    const last = segments[segments.length - 1];
+    if (source === 'both' && last?.source === 'both') last.text += text;
+    else if (source === 'both') segments.push({ source, text });
+    else if (text || squash(alt.ocr) || squash(alt.vision)) segments.push({ source, text, ...alt });
+  };
+
+  // Previous anchor positions in merged / ocr / vision (-1 = start of text)
+  let prevM = -1, prevO = -1, prevV = -1;
+  const closeGap = (m, o, v) => {
+    if (m > prevM + 1 || o > prevO + 1 || v > prevV + 1) {
+      const text = merged.slice(prevM + 1, m);
+      const alt = { ocr: ocr.slice(prevO + 1, o), vision: vision.slice(prevV + 1, v) };
+      const source = classify(text, alt.ocr, alt.vision);
+      if (source === 'both') push('both', text);
+      else push(source, text, alt);
+    }
+  };
+
+  for (let i = 0; i < merged.length; i++) {
+    if (toOcr[i] === -1 || toVision[i] === -1) continue;
+    closeGap(i, toOcr[i], toVision[i]);
+    push('both', merged[i]);
+    prevM = i;
+    prevO = toOcr[i];
+    prevV = toVision[i];
+  }
+  closeGap(merged.length, ocr.length, vision.length);
+
+  return segments;
+}
+
+/**
+ * Stored provenance of a refined result, rebuilt from its texts for results
+ * saved before provenance was recorded
+ * @param {{ocrText?: string, visionText?: string, mergedText?: string, provenance?: ProvenanceSegment[]}} result
+ * @returns {ProvenanceSegment[]|null} null unless both sources and a merge exist
+ */
+export function resultProvenance(result) {
+  if (result.provenance) return result.provenance;
+  if (!result.ocrText || !result.visionText || !result.mergedText) return null;
+  return buildProvenance(result.ocrText, result.visionText, result.mergedText);
+}
+
+/**
+ * Text with the reviewer's per-segment choices applied
+ * @param {ProvenanceSegment[]} segments
+ * @param {Object<number, 'ocr'|'vision'>} [choices] - Segment index → source to use instead of the merge
+ * @returns {string}
+ */
+export function composeProvenance(segments, choices = {}) {
+  return segments.map((seg, i) => (choices[i] ? seg[choices[i]] : seg.text)).join('');
+}
+
+/**
+ * Alternatives a segment can switch between, in cycle order: the merge first,
+ * then each source that reads differently
+ * @param {ProvenanceSegment} segment
+ * @returns {Array<'merged'|'ocr'|'vision'>}
+ */
+export function segmentOptions(segment) {
+  if (segment.source === 'both') return [];
+  const options = ['merged'];
+  if (squash(segment.ocr) !== squash(segment.text)) options.push('ocr');
+  if (squash(segment.vision) !== squash(segment.text) && squash(segment.vision) !== squash(segment.ocr)) options.push('vision');
+  return options;
+}
+
+/**
+ * Word counts per source, for the legend
+ * @param {ProvenanceSegment[]} segments
+ * @returns {{both: number, ocr: number, vision: number, model: number}}
+ */
+export function provenanceStats(segments) {
+  const stats = { both: 0, ocr: 0, vision: 0, model: 0 };
+  for (const seg of segments) stats[seg.source] += (seg.text.match(/\S+/g) || []).length;
+  return stats;
+}
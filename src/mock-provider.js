@@ -0,0 +1,70 @@
+/**
+ * Moon OCR Reader — Mock Provider
+ * Offline stand-in for the vision/merge model so the dual-path flow (pending
+ * banners, merge, cache, late merges on edited cards) can be exercised without
+ * network access or API keys.
+ *
+ * Models:
+ * - `mock-echo`: vision returns a marker text, merge keeps the OCR text
+ * - `mock-fail`: every call rejects, to exercise the OCR-only fallback
+ * - `mock-flaky`: every other call is rate limited (429), to exercise queue retries
+ */
+
+const LATENCY_MS = 400;
+
+let overrides = {};
+let callCount = 0;
+
+/**
+ * Replace mock responses from a test harness that imports this module
+ * (it is not exposed globally):
+ * `setMockResponses({ readText: (file) => 'expected text' })`
+ * @param {{readText?: Function, readTables?: Function, merge?: Function}} responses
+ */
+export function setMockResponses(responses = {}) {
+  overrides = { ...responses };
+}
+
+function respond(config, produce, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      if (config.model === 'mock-fail') reject(new Error('모의 공급자 실패 (mock-fail)'));
+      else if (config.model === 'mock-flaky' && ++callCount % 2 === 1) {
+        reject(Object.assign(new Error('모의 공급자 요청 한도 초과 (429)'), { status: 429, retryAfterMs: 1000 }));
+      } else Promise.resolve().then(produce).then(resolve, reject);
+    }, LATENCY_MS);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/** @type {import('./ai-provider.js').AiProvider} */
+export const mockProvider = {
+  id: 'mock',
+  label: '모의 공급자 (오프라인 테스트)',
+  defaultModel: 'mock-echo',
+  suggestedModels: ['mock-echo', 'mock-fail', 'mock-flaky'],
+  defaultLimits: { concurrency: 4, requestsPerMinute: 0 },
+  usesApiKey: false,
+  usesBaseUrl: false,
+
+  isConfigured() {
+    return true;
+  },
+
+  readText(imageFile, lang, config, { signal } = {}) {
+    return respond(config, () => overrides.readText?.(imageFile, lang) ?? `[모의 Vision] ${imageFile.name || 'image'}`, signal);
+  },
+
+  readTables(imageFile, lang, config, { signal } = {}) {
+    return respond(config, () => overrides.readTables?.(imageFile, lang) ?? [], signal);
+  },
+
+  merge(ocrText, visionText, lang, config, { signal } = {}) {
+    return respond(config, () => overrides.merge?.(ocrText, visionText, lang) ?? ocrText, signal);
+  },
+};
@@ -3,12 +3,114 @@
  * Wraps Tesseract.js for multi-language OCR with progress callbacks
  */
 import Tesseract from 'tesseract.js';
+import { abortable, isAbortError } from './batch-control.js';
+import { SCRIPT_LANGS } from './languages.js';
+import { tesseractOptions } from './offline.js';
+
+// Bump when recognition output changes so persisted cache entries are invalidated
+export const OCR_ENGINE_VERSION = 'tesseract.js@7-layout1';
+
+const { PSM, OEM } = Tesseract;
+
+/**
+ * Named recognition profiles: page segmentation, engine and character
+ * constraints for a kind of document
+ */
+export const OCR_PROFILES = {
+  document: {
+    label: '일반 문서',
+    psm: PSM.AUTO, oem: OEM.LSTM_ONLY, whitelist: '', blacklist: '', preserveSpaces: false, dpi: 0,
+  },
+  block: {
+    label: '단일 텍스트 블록',
+    psm: PSM.SINGLE_BLOCK, oem: OEM.LSTM_ONLY, whitelist: '', blacklist: '', preserveSpaces: false, dpi: 0,
+  },
+  receipt: {
+    label: '영수증 (단일 열)',
+    psm: PSM.SINGLE_COLUMN, oem: OEM.LSTM_ONLY, whitelist: '', blacklist: '', preserveSpaces: true, dpi: 0,
+  },
+  line: {
+    label: '한 줄',
+    psm: PSM.SINGLE_LINE, oem: OEM.LSTM_ONLY, whitelist: '', blacklist: '', preserveSpaces: false, dpi: 0,
+  },
+  sparse: {
+    label: '흩어진 텍스트 (라벨·도면)',
+    psm: PSM.SPARSE_TEXT, oem: OEM.LSTM_ONLY, whitelist: '', blacklist: '', preserveSpaces: false, dpi: 0,
+  },
+  digits: {
+    label: '숫자만 (양식·번호)',
+    psm: PSM.SINGLE_BLOCK, oem: OEM.LSTM_ONLY, whitelist: '0123456789.,-/:() ', blacklist: '', preserveSpaces: true, dpi: 0,
+  },
+  lowRes: {
+    label: '저해상도 스캔 (150 DPI)',
+    psm: PSM.AUTO, oem: OEM.LSTM_ONLY, whitelist: '', blacklist: '', preserveSpaces: false, dpi: 150,
+  },
+  legacy: {
+    label: '레거시 엔진 (고정폭 인쇄)',
+    psm: PSM.SINGLE_BLOCK, oem: OEM.TESSERACT_ONLY, whitelist: '', blacklist: '|', preserveSpaces: true, dpi: 0,
+  },
+};
+
+export const DEFAULT_OCR_PROFILE = 'document';
+
+/**
+ * Stable string for a profile's settings, used as part of the result cache key
+ * @param {Object} profile - See OCR_PROFILES
+ * @returns {string} '' for the default document settings
+ */
+export function getProfileKey(profile) {
+  const base = OCR_PROFILES[DEFAULT_OCR_PROFILE];
+  if (!profile) return '';
+  const parts = [
+    profile.psm !== base.psm && `psm${profile.psm}`,
+    profile.oem !== base.oem && `oem${profile.oem}`,
+    profile.whitelist && `w-${encodeURIComponent(profile.whitelist)}`,
+    profile.blacklist && `b-${encodeURIComponent(profile.blacklist)}`,
+    profile.preserveSpaces && 'sp',
+    profile.dpi && `dpi${profile.dpi}`,
+  ].filter(Boolean);
+  return parts.join('-');
+}
+
+/**
+ * @param {Object} profile - See OCR_PROFILES
+ * @returns {boolean} the profile needs workers initialized with the legacy engine
+ */
+export function usesLegacyEngine(profile) {
+  return profile.oem !== OEM.LSTM_ONLY;
+}
+
+function profileParameters(profile) {
+  return {
+    tessedit_pageseg_mode: profile.psm,
+    tessedit_char_whitelist: profile.whitelist,
+    tessedit_char_blacklist: profile.blacklist,
+    preserve_interword_spaces: profile.preserveSpaces ? '1' : '0',
+    user_defined_dpi: String(profile.dpi || 0),
+  };
+}
+
+// Used when the script is unknown or detection is unsure
+export const AUTO_FALLBACK_LANG = 'eng+kor';
+
+// OSD confidences below this are guesses (Tesseract prints them as-is; text-rich pages score well above)
+const OSD_MIN_CONFIDENCE = 2;
+
+// Paths in the worker's in-memory file system
+const USER_WORDS_FILE = '/user-words';
+const USER_PATTERNS_FILE = '/user-patterns';
 
 class OcrEngine {
   constructor() {
     this.scheduler = null;
+    this.osdWorker = null; // Promise<Worker> — OSD needs the legacy engine, so it gets a worker of its own
+    this.workers = []; // same workers as the scheduler's — profiles are set on each
     this.isReady = false;
     this.currentLang = 'kor';
+    this.currentDictionary = '';
+    this.dictionaryConfig = {}; // passed on every re-initialization — an init without it drops the user dictionaries
+    this.currentProfile = OCR_PROFILES[DEFAULT_OCR_PROFILE];
+    this.legacy = false;
     this.workerCount = navigator.hardwareConcurrency ? Math.min(navigator.hardwareConcurrency, 4) : 2;
   }
 
@@ -16,29 +118,47 @@ class OcrEngine {
    * Initialize the OCR engine with the specified language
    * @param {string} lang - Language code (e.g., 'eng', 'kor', 'eng+kor')
    * @param {Function} onProgress - Progress callback (0-1)
+   * @param {Object} dictionary - Rule set entries Tesseract should prefer
+   * @param {string[]} [dictionary.words] - User words
+   * @param {string[]} [dictionary.patterns] - User patterns
+   * @param {Object} options
+   * @param {boolean} [options.legacy] - Load the legacy engine too (a profile in the batch uses it)
    */
-  async initialize(lang = 'kor', onProgress = () => {}) {
-    // If already initialized with the same language, reuse
-    if (this.isReady && this.currentLang === lang) {
+  async initialize(lang = 'kor', onProgress = () => {}, { words = [], patterns = [] } = {}, { legacy = false } = {}) {
+    const dictionaryKey = JSON.stringify([words, patterns]);
+    // If already initialized with the same language and dictionary, reuse
+    // (workers with the legacy engine serve LSTM-only batches as well)
+    if (this.isReady && this.currentLang === lang && this.currentDictionary === dictionaryKey && (this.legacy || !legacy)) {
       return;
     }
 
-    // Terminate any existing scheduler
-    await this.terminate();
+    // Terminate any existing scheduler (the OSD worker serves every language)
+    await this.terminateWorkers();
 
     this.currentLang = lang;
+    this.currentDictionary = dictionaryKey;
+    this.dictionaryConfig = words.length || patterns.length
+      ? { user_words_file: USER_WORDS_FILE, user_patterns_file: USER_PATTERNS_FILE }
+      : {};
+    this.currentProfile = OCR_PROFILES[DEFAULT_OCR_PROFILE];
+    this.legacy = legacy;
     
     onProgress(0, '엔진 초기화 중...');
     
     this.scheduler = Tesseract.createScheduler();
 
     // Create workers
-    const workerCount = lang.includes('+') ? Math.min(this.workerCount, 2) : Math.min(this.workerCount, 4);
+    // Every worker loads every pack — fewer workers for combined languages
+    const packs = lang.split('+').length;
+    const workerCount = Math.min(this.workerCount, packs > 2 ? 1 : packs > 1 ? 2 : 4);
     
     for (let i = 0; i < workerCount; i++) {
       onProgress((i + 1) / (workerCount + 1), `언어 모델 로딩 중 (${i + 1}/${workerCount})...`);
       
-      const worker = await Tesseract.createWorker(lang, 1, {
+      const worker = await Tesseract.createWorker(lang, OEM.LSTM_ONLY, {
+        ...tesseractOptions(lang, legacy),
+        // The legacy engine needs its own core build and traineddata that includes the legacy model
+        ...(legacy ? { legacyCore: true, legacyLang: true } : {}),
         logger: (m) => {
           if (m.status === 'recognizing text') {
             // We'll handle this per-image in recognizeImage
@@ -46,39 +166,102 @@ class OcrEngine {
         },
       });
       
+      // Dictionaries are only read at initialization — write them into the worker's file system and init again
+      if (words.length || patterns.length) {
+        await worker.writeText(USER_WORDS_FILE, `${words.join('\n')}\n`);
+        await worker.writeText(USER_PATTERNS_FILE, `${patterns.join('\n')}\n`);
+        await worker.reinitialize(lang, OEM.LSTM_ONLY, this.dictionaryConfig);
+      }
+      
       this.scheduler.addWorker(worker);
+      this.workers.push(worker);
     }
 
     this.isReady = true;
     onProgress(1, '엔진 준비 완료');
   }
 
+  /**
+   * Load the orientation and script detection model (once)
+   * @returns {Promise<Object>} the OSD worker
+   */
+  initializeOsd() {
+    this.osdWorker ??= Tesseract.createWorker('osd', OEM.TESSERACT_ONLY, { ...tesseractOptions('osd', true), legacyCore: true, legacyLang: true })
+      .catch((err) => {
+        this.osdWorker = null;
+        throw err;
+      });
+    return this.osdWorker;
+  }
+
+  /**
+   * Detect which way up a page is and the script it is written in
+   * @param {File|Blob} image
+   * @returns {Promise<{degrees: number, orientationConfidence: number, script: string|null, scriptConfidence: number, lang: string}>}
+   *   `degrees` is the clockwise rotation (0/90/180/270) that turns the page upright;
+   *   `lang` is the language pack for the script, AUTO_FALLBACK_LANG when unsure
+   */
+  async detectOrientation(image) {
+    const worker = await this.initializeOsd();
+    const { data } = await worker.detect(image);
+    const orientationConfidence = data.orientation_confidence ?? 0;
+    const scriptConfidence = data.script_confidence ?? 0;
+    const confidentScript = scriptConfidence >= OSD_MIN_CONFIDENCE ? data.script : null;
+    return {
+      degrees: orientationConfidence >= OSD_MIN_CONFIDENCE ? data.orientation_degrees ?? 0 : 0,
+      orientationConfidence,
+      script: data.script ?? null,
+      scriptConfidence,
+      lang: SCRIPT_LANGS[confidentScript] || AUTO_FALLBACK_LANG,
+    };
+  }
+
+  /**
+   * Switch every worker to a recognition profile. The engine mode is only read
+   * at initialization, so changing it re-initializes the workers.
+   * @param {Object} profile - See OCR_PROFILES
+   */
+  async setProfile(profile) {
+    if (profile === this.currentProfile) return;
+    if (usesLegacyEngine(profile) && !this.legacy) {
+      throw new Error('레거시 엔진이 로드되지 않았습니다. initialize()에 legacy 옵션을 지정하세요.');
+    }
+    const reinit = profile.oem !== this.currentProfile.oem;
+    await Promise.all(this.workers.map(async (worker) => {
+      if (reinit) await worker.reinitialize(this.currentLang, profile.oem, this.dictionaryConfig);
+      await worker.setParameters(profileParameters(profile));
+    }));
+    this.currentProfile = profile;
+  }
+
   /**
    * Recognize text from a single image
    * @param {File|Blob|string} image - Image source
    * @param {Function} onProgress - Progress callback
-   * @returns {Promise<{text: string, confidence: number, blocks: Array}>}
+   * @param {Object} options
+   * @param {{left: number, top: number, width: number, height: number}} [options.rectangle] - Only recognize this pixel area
+   * @returns {Promise<{text: string, confidence: number, lines: Array, words: number, paragraphs: number, blocks: Array}>}
+   *   `blocks` is the block → paragraph → line → word tree (see normalizeBlocks);
+   *   `lines` is the flattened line list of that tree
    */
-  async recognizeImage(image, onProgress = () => {}) {
+  async recognizeImage(image, onProgress = () => {}, { rectangle } = {}) {
     if (!this.isReady || !this.scheduler) {
       throw new Error('OCR 엔진이 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
     }
 
-    const result = await this.scheduler.addJob('recognize', image);
+    // Since tesseract.js v6 the layout tree is only returned when `blocks` output is requested
+    const result = await this.scheduler.addJob('recognize', image, rectangle ? { rectangle } : {}, { blocks: true });
 
     const text = result.data.text.trim();
     const confidence = result.data.confidence;
-    const blocks = result.data.blocks || [];
+    const blocks = normalizeBlocks(result.data.blocks || []);
     
-    // Extract structured data
-    const lines = (result.data.lines || []).map(l => ({
-      text: l.text.trim(),
-      confidence: l.confidence,
-      bbox: l.bbox,
-    })).filter(l => l.text.length > 0);
+    // Flat line list for viewers and exports that don't need the hierarchy
+    const paragraphList = blocks.flatMap(b => b.paragraphs);
+    const lines = paragraphList.flatMap(p => p.lines).filter(l => l.text.length > 0);
 
-    const words = (result.data.words || []).length;
-    const paragraphs = (result.data.paragraphs || []).length;
+    const words = lines.reduce((sum, l) => sum + l.words.length, 0);
+    const paragraphs = paragraphList.length;
 
     return {
       text,
@@ -90,51 +273,212 @@ class OcrEngine {
     };
   }
 
+  /**
+   * Recognize several rectangles of one image separately.
+   * Line bboxes stay in full-image coordinates.
+   * @param {File|Blob|string} image - Image source
+   * @param {Array<{id: string, label: string, rect: Object}>} regions - Pixel rectangles
+   * @returns {Promise<Object>} combined result with a per-region `regions` array
+   */
+  async recognizeRegions(image, regions) {
+    const parts = await Promise.all(
+      regions.map(region => this.recognizeImage(image, () => {}, { rectangle: region.rect }))
+    );
+
+    const regionResults = regions.map((region, i) => ({
+      id: region.id,
+      label: region.label,
+      rect: region.rect,
+      text: parts[i].text,
+      confidence: parts[i].confidence,
+    }));
+
+    // Confidence weighted by recognized text length
+    const totalChars = parts.reduce((sum, p) => sum + p.text.length, 0);
+    const confidence = totalChars > 0
+      ? parts.reduce((sum, p) => sum + p.confidence * p.text.length, 0) / totalChars
+      : 0;
+
+    return {
+      text: formatRegionText(regionResults),
+      confidence,
+      lines: parts.flatMap(p => p.lines),
+      words: parts.reduce((sum, p) => sum + p.words, 0),
+      paragraphs: parts.reduce((sum, p) => sum + p.paragraphs, 0),
+      blocks: parts.flatMap(p => p.blocks),
+      regions: regionResults,
+    };
+  }
+
   /**
    * Batch recognize multiple images
-   * @param {Array<{file: File, id: string}>} images
+   * @param {Array<{file?: File, id: string, regions?: Array, profile?: Object, ready?: Promise<{file: File, regions?: Array}|null>}>} images -
+   *   `regions` limits OCR to pixel rectangles; `profile` is one of OCR_PROFILES (default: document).
+   *   Images still being prepared pass `ready` instead of `file`/`regions` and are recognized as soon as
+   *   it resolves; null means the caller handled the image (e.g. cached) and it is skipped.
    * @param {Function} onImageStart - Called when starting each image
-   * @param {Function} onImageComplete - Called when each image is done
+   * @param {Function} onImageComplete - Called when each image is done (result is null and the error follows on failure or cancel)
    * @param {Function} onProgress - Overall progress
+   * @param {Object} options
+   * @param {AbortSignal} [options.signal] - Stops the batch; images not finished complete with an AbortError
+   * @param {() => Promise<void>} [options.whenRunning] - Awaited before each image is handed to a worker (pause gate)
    * @returns {Promise<Array>}
    */
-  async recognizeBatch(images, onImageStart = () => {}, onImageComplete = () => {}, onProgress = () => {}) {
+  async recognizeBatch(images, onImageStart = () => {}, onImageComplete = () => {}, onProgress = () => {}, { signal, whenRunning } = {}) {
     const total = images.length;
+    const results = new Array(total);
     let completed = 0;
 
-    // Submit all jobs to the scheduler simultaneously for parallel processing.
-    // The scheduler automatically distributes work across available workers.
-    const promises = images.map(({ file, id }, i) => {
-      onImageStart(id, i, total);
-
-      return this.recognizeImage(file)
-        .then(result => {
-          completed++;
-          onProgress(completed / total, `이미지 ${completed}/${total} 완료`);
-          onImageComplete(id, result, i, total);
-          return { id, filename: file.name, ...result, error: null };
-        })
-        .catch(err => {
-          completed++;
-          onProgress(completed / total, `이미지 ${completed}/${total} 완료`);
-          onImageComplete(id, null, i, total);
-          return { id, filename: file.name, text: '', confidence: 0, error: err.message };
-        });
+    // Workers busy on a cancelled image can't be interrupted — drop them, the next run re-initializes
+    const onAbort = () => this.terminateWorkers();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const finish = (i, result, err) => {
+      const { id } = images[i];
+      completed++;
+      onProgress(completed / total, `이미지 ${completed}/${total} 완료`);
+      onImageComplete(id, result, i, total, err);
+      results[i] = result
+        ? { id, ...result, error: null }
+        : { id, text: '', confidence: 0, error: err.message, cancelled: isAbortError(err) };
+    };
+    const skip = (i) => {
+      completed++;
+      onProgress(completed / total, `이미지 ${completed}/${total} 완료`);
+      results[i] = null;
+    };
+
+    // Parameters apply to whole workers — run the images of one profile at a time
+    const groups = new Map();
+    images.forEach((img, i) => {
+      const profile = img.profile || OCR_PROFILES[DEFAULT_OCR_PROFILE];
+      if (!groups.has(profile)) groups.set(profile, []);
+      groups.get(profile).push(i);
     });
 
-    return Promise.all(promises);
+    const queue = [];
+    for (const [profile, indices] of groups) {
+      if (signal?.aborted) {
+        queue.push(...indices);
+        continue;
+      }
+      try {
+        await abortable(this.setProfile(profile), signal);
+      } catch (err) {
+        // The profile could not be applied — its images fail, the others still run
+        indices.forEach(i => finish(i, null, err));
+        continue;
+      }
+      queue.push(...indices);
+
+      // Hand out one image per worker at a time so pause and cancel take effect between images.
+      // The scheduler distributes the jobs across its idle workers.
+      const lane = async () => {
+        while (queue.length > 0) {
+          await whenRunning?.();
+          if (signal?.aborted) return;
+          const i = queue.shift();
+          try {
+            const input = images[i].ready ? await abortable(images[i].ready, signal) : images[i];
+            if (!input) {
+              skip(i);
+              continue;
+            }
+            onImageStart(images[i].id, i, total);
+            const job = input.regions?.length ? this.recognizeRegions(input.file, input.regions) : this.recognizeImage(input.file);
+            finish(i, await abortable(job, signal));
+          } catch (err) {
+            finish(i, null, err);
+          }
+        }
+      };
+      const lanes = Math.min(indices.length, this.scheduler?.getNumWorkers() || this.workerCount);
+      await Promise.all(Array.from({ length: lanes }, lane));
+    }
+
+    // Images never handed out — let those still being prepared settle, the caller may have handled them
+    for (const i of queue.splice(0)) {
+      const input = images[i].ready ? await images[i].ready.catch(() => undefined) : images[i];
+      if (input === null) skip(i);
+      else finish(i, null, signal.reason);
+    }
+
+    signal?.removeEventListener('abort', onAbort);
+    return results;
   }
 
   /**
-   * Terminate all workers and cleanup
+   * Terminate the recognition workers
    */
-  async terminate() {
+  async terminateWorkers() {
     if (this.scheduler) {
       await this.scheduler.terminate();
       this.scheduler = null;
     }
+    this.workers = [];
     this.isReady = false;
   }
+
+  /**
+   * Terminate the OSD worker (only auto language detection uses it)
+   */
+  async terminateOsd() {
+    const osdWorker = this.osdWorker;
+    this.osdWorker = null;
+    // A worker that failed to load has already cleared itself
+    await osdWorker?.then(worker => worker.terminate(), () => {});
+  }
+
+  /**
+   * Terminate all workers and cleanup
+   */
+  async terminate() {
+    await Promise.all([this.terminateWorkers(), this.terminateOsd()]);
+  }
+}
+
+/**
+ * Reduce Tesseract's block tree to what exports need: bboxes, baselines,
+ * confidences and text at every level (symbols and choices are dropped).
+ * @param {Array} rawBlocks - `data.blocks` from a recognize job
+ * @returns {Array<{bbox, confidence, blocktype, paragraphs: Array<{bbox, confidence, is_ltr, lines: Array<{text, bbox, baseline, confidence, rowAttributes, words: Array<{text, bbox, confidence, font_name}>}>}>}>}
+ */
+export function normalizeBlocks(rawBlocks) {
+  return rawBlocks.map(block => ({
+    bbox: block.bbox,
+    confidence: block.confidence,
+    blocktype: block.blocktype,
+    paragraphs: (block.paragraphs || []).map(par => ({
+      bbox: par.bbox,
+      confidence: par.confidence,
+      is_ltr: par.is_ltr,
+      lines: (par.lines || []).map(line => ({
+        text: line.text.trim(),
+        bbox: line.bbox,
+        baseline: line.baseline,
+        confidence: line.confidence,
+        rowAttributes: line.rowAttributes,
+        words: (line.words || []).map(word => ({
+          text: word.text,
+          bbox: word.bbox,
+          confidence: word.confidence,
+          font_name: word.font_name,
+        })),
+      })),
+    })),
+  }));
+}
+
+/**
+ * Join per-region texts into one labeled document
+ * @param {Array<{label: string, text: string}>} regions
+ * @returns {string}
+ */
+export function formatRegionText(regions) {
+  return regions
+    .filter(r => r.text)
+    .map(r => `[${r.label}]\n${r.text}`)
+    .join('\n\n');
 }
 
 // Singleton export
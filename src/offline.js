@@ -0,0 +1,176 @@
+/**
+ * Moon OCR Reader — Offline Assets
+ * Where Tesseract loads its worker, core and language packs from, where PDF
+ * export loads its CJK fonts from, and the packs and fonts kept for offline use.
+ * The worker and core are served from the app's origin (see vite.config.js),
+ * and so are the language packs of the @tesseract.js-data dependencies; other
+ * languages come from the jsDelivr CDN. VITE_TESSERACT_LANG_PATH points every
+ * language at one folder instead — e.g. `/tessdata` with `<code>.traineddata.gz`
+ * files in public/tessdata for air-gapped installs. Any path can be overridden
+ * with VITE_TESSERACT_WORKER_PATH / VITE_TESSERACT_CORE_PATH / VITE_TESSERACT_LANG_PATH.
+ */
+
+// Caches the service worker serves language packs and fonts from (see service-worker.js)
+export const TESSDATA_CACHE = 'moon-ocr-tessdata';
+export const FONT_CACHE = 'moon-ocr-fonts';
+
+const env = import.meta.env;
+const absolute = (path) => new URL(path, new URL(env.BASE_URL, location.href)).href;
+
+export const TESSERACT_PATHS = {
+  workerPath: absolute(env.VITE_TESSERACT_WORKER_PATH || __TESSERACT_WORKER_PATH__),
+  corePath: absolute(env.VITE_TESSERACT_CORE_PATH || __TESSERACT_CORE_PATH__),
+  // null: the packs bundled with the app, the CDN for other languages
+  langPath: env.VITE_TESSERACT_LANG_PATH ? absolute(env.VITE_TESSERACT_LANG_PATH) : null,
+};
+
+// Language codes whose packs the app serves itself
+export const BUNDLED_LANG_PACKS = __TESSERACT_LANG_PACKS__;
+
+/**
+ * Fonts with glyph coverage for CJK PDF text layers (the text is invisible, so
+ * only the character → glyph mapping matters), by `cjkFont` key in languages.js
+ */
+export const CJK_FONT_URLS = Object.fromEntries(Object.entries(__CJK_FONT_PATHS__)
+  .map(([key, path]) => [key, absolute(path)]));
+
+/**
+ * Folder Tesseract loads a language string's packs from — null for the CDN
+ * @param {string} lang - e.g. 'kor', 'eng+kor'
+ * @param {boolean} [legacy]
+ */
+function langPathFor(lang, legacy = false) {
+  if (TESSERACT_PATHS.langPath) return TESSERACT_PATHS.langPath;
+  // One worker reads all its packs from one folder
+  if (!lang.split('+').every(code => BUNDLED_LANG_PACKS.includes(code))) return null;
+  return absolute(`${__TESSERACT_LANG_PATH__}/${legacy ? '4.0.0' : '4.0.0_best_int'}`);
+}
+
+/**
+ * Asset options for `Tesseract.createWorker`
+ * @param {string} lang - Languages the worker loads
+ * @param {boolean} [legacy] - Packs with the legacy model
+ */
+export function tesseractOptions(lang, legacy = false) {
+  const { workerPath, corePath } = TESSERACT_PATHS;
+  const langPath = langPathFor(lang, legacy);
+  return {
+    workerPath,
+    corePath,
+    ...(langPath ? { langPath } : {}),
+    // Started from its own URL rather than a blob, the worker is in the service worker's scope
+    workerBlobURL: new URL(workerPath).origin !== location.origin,
+    // With the service worker caching packs, Tesseract's IndexedDB copy would only double them
+    ...(navigator.serviceWorker?.controller ? { cacheMethod: 'none' } : {}),
+  };
+}
+
+/**
+ * URL Tesseract fetches a language pack from. The bundled packs and the CDN
+ * have separate packs with the legacy model; a VITE_TESSERACT_LANG_PATH
+ * folder holds one pack per language.
+ * @param {string} code - Traineddata name ('kor', 'osd', ...)
+ * @param {boolean} [legacy] - Pack for the legacy engine (OSD, legacy profile)
+ */
+export function packUrl(code, legacy = false) {
+  const base = langPathFor(code, legacy) || `https://cdn.jsdelivr.net/npm/@tesseract.js-data/${code}/${legacy ? '4.0.0' : '4.0.0_best_int'}`;
+  return `${base.replace(/\/$/, '')}/${code}.traineddata.gz`;
+}
+
+/**
+ * @typedef {Object} OfflinePack
+ * @property {string} code
+ * @property {boolean} legacy - Pack with the legacy model (always false with VITE_TESSERACT_LANG_PATH)
+ * @property {string} url
+ * @property {number} size - Bytes
+ */
+
+/**
+ * Language packs in the offline cache
+ * @returns {Promise<OfflinePack[]>}
+ */
+export async function listOfflinePacks() {
+  if (!('caches' in window)) return [];
+  const cache = await caches.open(TESSDATA_CACHE);
+  const packs = [];
+  for (const request of await cache.keys()) {
+    const { url } = request;
+    const code = url.match(/([^/]+)\.traineddata(\.gz)?$/)?.[1];
+    if (!code) continue;
+    const response = await cache.match(request);
+    const size = Number(response.headers.get('Content-Length')) || (await response.blob()).size;
+    packs.push({ code, legacy: !TESSERACT_PATHS.langPath && url.includes('/4.0.0/'), url, size });
+  }
+  return packs.sort((a, b) => a.code.localeCompare(b.code) || a.legacy - b.legacy);
+}
+
+/**
+ * Fetch a language pack into the offline cache
+ * @param {string} code
+ * @param {boolean} [legacy]
+ */
+export async function downloadPack(code, legacy = false) {
+  const url = packUrl(code, legacy);
+  const response = await fetch(url, { cache: 'reload' });
+  if (!response.ok) throw new Error(`${code} 언어 팩을 받지 못했습니다 (${response.status})`);
+  const cache = await caches.open(TESSDATA_CACHE);
+  await cache.put(url, response);
+}
+
+/**
+ * @param {string} url - OfflinePack url
+ */
+export async function removePack(url) {
+  const cache = await caches.open(TESSDATA_CACHE);
+  await cache.delete(url);
+}
+
+/**
+ * @typedef {Object} OfflineFont
+ * @property {string} key - `cjkFont` key ('KR', 'JP', 'SC', 'TC')
+ * @property {string} url
+ * @property {boolean} saved - In the offline cache
+ * @property {number} size - Bytes (0 when not saved)
+ */
+
+/**
+ * Every CJK font, and which of them are in the offline cache
+ * @returns {Promise<OfflineFont[]>}
+ */
+export async function listOfflineFonts() {
+  const cache = 'caches' in window ? await caches.open(FONT_CACHE) : null;
+  return Promise.all(Object.entries(CJK_FONT_URLS).map(async ([key, url]) => {
+    const response = await cache?.match(url);
+    const size = response ? Number(response.headers.get('Content-Length')) || (await response.blob()).size : 0;
+    return { key, url, saved: Boolean(response), size };
+  }));
+}
+
+/**
+ * Fetch a CJK font into the offline cache
+ * @param {string} key
+ */
+export async function downloadFont(key) {
+  const url = CJK_FONT_URLS[key];
+  const response = await fetch(url, { cache: 'reload' });
+  if (!response.ok) throw new Error(`${key} 폰트를 받지 못했습니다 (${response.status})`);
+  const cache = await caches.open(FONT_CACHE);
+  await cache.put(url, response);
+}
+
+/**
+ * @param {string} url - OfflineFont url
+ */
+export async function removeFont(url) {
+  const cache = await caches.open(FONT_CACHE);
+  await cache.delete(url);
+}
+
+/**
+ * Register sw.js (production builds only — dev serves modules the shell cache would pin)
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+  if (!env.PROD || !('serviceWorker' in navigator)) return null;
+  return navigator.serviceWorker.register(`${env.BASE_URL}sw.js`);
+}
@@ -0,0 +1,79 @@
+/**
+ * Moon OCR Reader — OpenAI-Compatible Provider
+ * Talks to any `/v1/chat/completions` endpoint with image input — Ollama,
+ * llama.cpp server, vLLM, LM Studio — so confidential documents can stay on
+ * a self-hosted model.
+ */
+import { fileToBase64 } from './image-utils.js';
+import { visionPrompt, tablePrompt, mergePrompt, parseTablesResponse } from './ai-prompts.js';
+import { parseRetryAfter } from './ai-queue.js';
+
+/**
+ * POST a chat completion and return the first message's text
+ * @param {Object} config - `{baseUrl, apiKey, model}`
+ * @param {Array} content - User message content parts
+ * @param {Object} options
+ * @param {boolean} [options.json] - Ask for a JSON object response
+ * @param {AbortSignal} [options.signal]
+ */
+async function chat(config, content, { json = false, signal } = {}) {
+  const url = `${config.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const response = await fetch(url, {
+    method: 'POST',
+    signal,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+    },
+    body: JSON.stringify({
+      model: config.model,
+      messages: [{ role: 'user', content }],
+      temperature: 0,
+      ...(json ? { response_format: { type: 'json_object' } } : {}),
+    }),
+  });
+
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 200);
+    throw Object.assign(new Error(`${config.baseUrl} 응답 오류 ${response.status}${detail ? `: ${detail}` : ''}`), {
+      status: response.status,
+      retryAfterMs: parseRetryAfter(response.headers.get('Retry-After')),
+    });
+  }
+  const data = await response.json();
+  return data.choices?.[0]?.message?.content?.trim() || '';
+}
+
+async function imagePart(file) {
+  const { mimeType, data } = await fileToBase64(file);
+  return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } };
+}
+
+/** @type {import('./ai-provider.js').AiProvider} */
+export const openAiCompatibleProvider = {
+  id: 'openai',
+  label: 'OpenAI 호환 (Ollama · llama.cpp)',
+  defaultModel: 'qwen2.5vl:7b',
+  suggestedModels: ['qwen2.5vl:7b', 'llama3.2-vision', 'gemma3:12b', 'gpt-4o-mini'],
+  defaultLimits: { concurrency: 1, requestsPerMinute: 0 }, // one GPU serves one request at a time
+  usesApiKey: true, // optional — local servers usually ignore it
+  usesBaseUrl: true,
+  defaultBaseUrl: 'http://localhost:11434/v1',
+
+  isConfigured(config) {
+    return !!config.baseUrl && !!config.model;
+  },
+
+  async readText(imageFile, lang, config, { signal } = {}) {
+    return chat(config, [{ type: 'text', text: visionPrompt(lang) }, await imagePart(imageFile)], { signal });
+  },
+
+  async readTables(imageFile, lang, config, { signal } = {}) {
+    const text = await chat(config, [{ type: 'text', text: tablePrompt(lang) }, await imagePart(imageFile)], { json: true, signal });
+    return parseTablesResponse(text);
+  },
+
+  async merge(ocrText, visionText, lang, config, { signal } = {}) {
+    return (await chat(config, [{ type: 'text', text: mergePrompt(ocrText, visionText, lang) }], { signal })) || ocrText;
+  },
+};
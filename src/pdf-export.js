@@ -0,0 +1,130 @@
+/**
+ * Moon OCR Reader — Searchable PDF Export
+ * Builds one multi-page PDF with each source image as a page and the OCR words
+ * placed as an invisible, selectable text layer from their bounding boxes.
+ */
+import {
+  PDFDocument,
+  StandardFonts,
+  TextRenderingMode,
+  pushGraphicsState,
+  popGraphicsState,
+  setTextRenderingMode,
+  setCharacterSqueeze,
+} from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+import { parseLangs } from './languages.js';
+import { CJK_FONT_URLS } from './offline.js';
+
+const PX_TO_PT = 72 / 150; // render source pixels at 150 DPI
+const fontBytesCache = new Map(); // url -> ArrayBuffer
+
+/**
+ * Font for the first CJK language in a Tesseract language string (e.g. 'eng+kor' → 'KR')
+ */
+function pickCjkFontKey(lang) {
+  return parseLangs(lang).find(l => l.cjkFont)?.cjkFont || null;
+}
+
+async function loadFontBytes(url) {
+  if (!fontBytesCache.has(url)) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`CJK 폰트를 불러오지 못했습니다 (${response.status})`);
+    fontBytesCache.set(url, await response.arrayBuffer());
+  }
+  return fontBytesCache.get(url);
+}
+
+/**
+ * pdf-lib only embeds PNG and JPEG — convert anything else through a canvas
+ */
+async function embedImage(pdf, blob) {
+  if (blob.type === 'image/png') return pdf.embedPng(await blob.arrayBuffer());
+  if (blob.type === 'image/jpeg') return pdf.embedJpg(await blob.arrayBuffer());
+
+  const img = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(img.width, img.height);
+  canvas.getContext('2d').drawImage(img, 0, 0);
+  img.close();
+  const png = await canvas.convertToBlob({ type: 'image/png' });
+  return pdf.embedPng(await png.arrayBuffer());
+}
+
+/**
+ * Draw one word invisibly, squeezed horizontally to cover its bbox
+ */
+function drawInvisibleWord(page, font, text, box) {
+  const size = Math.max(1, box.height * 0.85);
+  const naturalWidth = font.widthOfTextAtSize(text, size);
+  if (naturalWidth <= 0) return;
+  const squeeze = Math.min(1000, Math.max(1, (box.width / naturalWidth) * 100));
+
+  page.pushOperators(
+    pushGraphicsState(),
+    setTextRenderingMode(TextRenderingMode.Invisible),
+    setCharacterSqueeze(squeeze),
+  );
+  try {
+    // Baseline sits a little above the bottom of the box to leave room for descenders
+    page.drawText(text, { x: box.x, y: box.y + box.height * 0.18, size, font });
+  } finally {
+    // A word the font cannot encode must not leave the state pushed for the rest of the page
+    page.pushOperators(popGraphicsState());
+  }
+}
+
+/**
+ * Create a searchable multi-page PDF
+ * @param {Array<{image: Blob, imageSize: {width: number, height: number}, lines: Array}>} pages
+ *   `imageSize` is the size the OCR bboxes refer to; the image may be larger and is scaled to match
+ * @param {Object} options
+ * @param {string} options.lang - Tesseract language code(s) — picks the text-layer font
+ * @param {string} options.title - Document title metadata
+ * @param {Function} onProgress - Called after each page (done, total)
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export async function createSearchablePdf(pages, { lang = 'eng', title = 'Moon OCR' } = {}, onProgress = () => {}) {
+  const pdf = await PDFDocument.create();
+  pdf.registerFontkit(fontkit);
+  pdf.setTitle(title);
+  pdf.setCreator('Moon OCR Reader');
+  pdf.setProducer('Moon OCR Reader (Tesseract.js + pdf-lib)');
+
+  const cjkKey = pickCjkFontKey(lang);
+  const font = cjkKey
+    ? await pdf.embedFont(await loadFontBytes(CJK_FONT_URLS[cjkKey]), { subset: true })
+    : await pdf.embedFont(StandardFonts.Helvetica);
+
+  for (let i = 0; i < pages.length; i++) {
+    const { image, imageSize, lines = [] } = pages[i];
+    const embedded = await embedImage(pdf, image);
+
+    const pageWidth = embedded.width * PX_TO_PT;
+    const pageHeight = embedded.height * PX_TO_PT;
+    const page = pdf.addPage([pageWidth, pageHeight]);
+    page.drawImage(embedded, { x: 0, y: 0, width: pageWidth, height: pageHeight });
+
+    // bbox pixels → PDF points (PDF y axis points up)
+    const sx = pageWidth / (imageSize?.width || embedded.width);
+    const sy = pageHeight / (imageSize?.height || embedded.height);
+
+    for (const line of lines) {
+      const words = line.words?.length ? line.words : [line];
+      for (const word of words) {
+        const text = word.text?.trim();
+        if (!text || !word.bbox) continue;
+        const { x0, y0, x1, y1 } = word.bbox;
+        const box = { x: x0 * sx, y: pageHeight - y1 * sy, width: (x1 - x0) * sx, height: (y1 - y0) * sy };
+        try {
+          drawInvisibleWord(page, font, text, box);
+        } catch {
+          // Standard fonts cannot encode every character — skip what does not fit
+        }
+      }
+    }
+
+    onProgress(i + 1, pages.length);
+  }
+
+  return pdf.save();
+}
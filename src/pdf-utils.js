@@ -0,0 +1,56 @@
+/**
+ * Moon OCR Reader — PDF Utilities
+ * Client-side PDF rasterization so scanned documents flow through the image pipeline
+ */
+import * as pdfjsLib from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+/**
+ * Check whether a file is a PDF document
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isPdfFile(file) {
+  return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+}
+
+/**
+ * Render every page of a PDF into a PNG image file.
+ * Pages are named `<file.pdf>#p<n>` so they can be traced back to their source.
+ * @param {File} file - PDF file
+ * @param {Function} onPage - Called after each page is rendered (pageNum, pageCount)
+ * @param {number} scale - Render scale (2 ≈ 144 DPI, enough for OCR)
+ * @returns {Promise<Array<{file: File, page: number, pageCount: number}>>}
+ */
+export async function rasterizePdf(file, onPage = () => {}, scale = 2) {
+  const data = new Uint8Array(await file.arrayBuffer());
+  const pdf = await pdfjsLib.getDocument({ data }).promise;
+  const pageCount = pdf.numPages;
+  const pages = [];
+
+  try {
+    for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+      const page = await pdf.getPage(pageNum);
+      const viewport = page.getViewport({ scale });
+
+      const canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      // Scanned pages often have transparent backgrounds — OCR needs white paper
+      await page.render({ canvas, viewport, background: '#ffffff' }).promise;
+      page.cleanup();
+
+      const blob = await canvas.convertToBlob({ type: 'image/png' });
+      pages.push({
+        file: new File([blob], `${file.name}#p${pageNum}`, { type: 'image/png' }),
+        page: pageNum,
+        pageCount,
+      });
+      onPage(pageNum, pageCount);
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return pages;
+}
@@ -0,0 +1,94 @@
+/**
+ * Moon OCR Reader — Preprocessing Pool
+ * Hashes, decodes, resizes and filters images in a pool of Web Workers so a
+ * large batch doesn't freeze the page. Files and blobs cross threads by
+ * reference; decoding (ImageBitmap) and drawing (OffscreenCanvas) happen in
+ * the workers. Falls back to the main thread where workers can't draw.
+ */
+import { PREPROCESS_OPS } from './image-utils.js';
+
+// Leave a core for the page and the Tesseract workers
+const POOL_SIZE = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+
+class PreprocessPool {
+  constructor(size = POOL_SIZE) {
+    this.size = size;
+    this.slots = [];   // {worker, task} — task is null while idle
+    this.pending = []; // tasks waiting for a worker, in call order
+    // Workers need OffscreenCanvas; a worker that fails to start disables the pool
+    this.disabled = typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined';
+  }
+
+  /**
+   * Run a step off the main thread. Tasks start in call order as workers free up.
+   * @param {keyof PREPROCESS_OPS} op
+   * @param {Array} args - Structured-cloneable (File, Blob, plain objects)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Drops the task if it hasn't started
+   * @returns {Promise<*>}
+   */
+  run(op, args, { signal } = {}) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    if (this.disabled) return PREPROCESS_OPS[op](...args);
+    return new Promise((resolve, reject) => {
+      this.pending.push({ op, args, signal, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.pending.length > 0) {
+      const task = this.pending.shift();
+      if (task.signal?.aborted) {
+        task.reject(task.signal.reason);
+        continue;
+      }
+      if (this.disabled) {
+        this.runHere(task);
+        continue;
+      }
+      const slot = this.slots.find(s => !s.task) || (this.slots.length < this.size ? this.spawn() : null);
+      if (!slot) {
+        this.pending.unshift(task);
+        return;
+      }
+      slot.task = task;
+      slot.worker.postMessage({ op: task.op, args: task.args });
+    }
+  }
+
+  runHere(task) {
+    PREPROCESS_OPS[task.op](...task.args).then(task.resolve, task.reject);
+  }
+
+  spawn() {
+    const worker = new Worker(new URL('./preprocess-worker.js', import.meta.url), { type: 'module' });
+    const slot = { worker, task: null };
+    worker.onmessage = ({ data }) => {
+      const { task } = slot;
+      slot.task = null;
+      if (data.error) task.reject(new Error(data.error));
+      else task.resolve(data.result);
+      this.dispatch();
+    };
+    worker.onerror = (e) => {
+      // The worker script failed to load (e.g. no module workers) — finish on the main thread
+      e.preventDefault();
+      console.warn('Preprocessing worker unavailable, using the main thread:', e.message);
+      this.disabled = true;
+      for (const s of this.slots) if (s.task) this.runHere(s.task);
+      this.terminate();
+      this.dispatch();
+    };
+    this.slots.push(slot);
+    return slot;
+  }
+
+  terminate() {
+    for (const slot of this.slots) slot.worker.terminate();
+    this.slots = [];
+  }
+}
+
+export const preprocessPool = new PreprocessPool();
+export default preprocessPool;
@@ -0,0 +1,13 @@
+/**
+ * Moon OCR Reader — Preprocessing Worker
+ * Runs one PREPROCESS_OPS step per message for the preprocessing pool.
+ */
+import { PREPROCESS_OPS } from './image-utils.js';
+
+self.onmessage = async ({ data: { op, args } }) => {
+  try {
+    self.postMessage({ result: await PREPROCESS_OPS[op](...args) });
+  } catch (err) {
+    self.postMessage({ error: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,201 @@
+/**
+ * Moon OCR Reader — Region Editor
+ * Draw, move and delete OCR rectangles over an image.
+ * Regions are stored as fractions of the image size so they survive resizing.
+ */
+
+const MIN_SIZE = 0.01; // ignore accidental clicks smaller than 1% of the image
+
+let regionIdCounter = 0;
+
+/**
+ * Keep new ids clear of ones restored from a session or JSON import,
+ * which the counter (reset on reload) may have handed out before
+ */
+function reserveRegionIds(regions) {
+  for (const { id } of regions) {
+    const n = Number(/^region-(\d+)$/.exec(id)?.[1]);
+    if (n > regionIdCounter) regionIdCounter = n;
+  }
+}
+
+/**
+ * Label for the n-th region (0-based)
+ */
+export function regionLabel(index) {
+  return `영역 ${index + 1}`;
+}
+
+/**
+ * Convert a fractional region to pixel coordinates for an image of the given size
+ * @param {{x: number, y: number, w: number, h: number}} region
+ * @param {{width: number, height: number}} size
+ * @returns {{left: number, top: number, width: number, height: number}}
+ */
+export function regionToRect(region, size) {
+  const left = Math.round(region.x * size.width);
+  const top = Math.round(region.y * size.height);
+  return {
+    left,
+    top,
+    width: Math.max(1, Math.min(size.width - left, Math.round(region.w * size.width))),
+    height: Math.max(1, Math.min(size.height - top, Math.round(region.h * size.height))),
+  };
+}
+
+/**
+ * Stable string for a region list, used as part of the result cache key
+ */
+export function getRegionsKey(regions) {
+  if (!regions || regions.length === 0) return '';
+  return regions.map(r => [r.x, r.y, r.w, r.h].map(v => v.toFixed(4)).join(',')).join(';');
+}
+
+export class RegionEditor {
+  /**
+   * @param {HTMLElement} container - Element the editor renders into
+   * @param {string} imageUrl - Image to annotate
+   * @param {Array<{id: string, x: number, y: number, w: number, h: number}>} regions - Initial regions
+   */
+  constructor(container, imageUrl, regions = []) {
+    this.container = container;
+    this.regions = regions.map(r => ({ ...r }));
+    reserveRegionIds(this.regions);
+    this.selectedId = null;
+    this.drag = null;
+
+    container.innerHTML = `
+      <div class="region-stage">
+        <img class="region-image" src="${imageUrl}" alt="" draggable="false" />
+        <div class="region-layer"></div>
+      </div>
+    `;
+    this.stage = container.querySelector('.region-stage');
+    this.layer = container.querySelector('.region-layer');
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+
+    this.stage.addEventListener('pointerdown', this.onPointerDown);
+    window.addEventListener('pointermove', this.onPointerMove);
+    window.addEventListener('pointerup', this.onPointerUp);
+    window.addEventListener('keydown', this.onKeyDown);
+
+    this.render();
+  }
+
+  /**
+   * @returns {Array<{id: string, x: number, y: number, w: number, h: number}>}
+   */
+  getRegions() {
+    return this.regions.map(r => ({ ...r }));
+  }
+
+  clear() {
+    this.regions = [];
+    this.selectedId = null;
+    this.render();
+  }
+
+  deleteRegion(id) {
+    this.regions = this.regions.filter(r => r.id !== id);
+    if (this.selectedId === id) this.selectedId = null;
+    this.render();
+  }
+
+  destroy() {
+    this.stage.removeEventListener('pointerdown', this.onPointerDown);
+    window.removeEventListener('pointermove', this.onPointerMove);
+    window.removeEventListener('pointerup', this.onPointerUp);
+    window.removeEventListener('keydown', this.onKeyDown);
+    this.container.innerHTML = '';
+  }
+
+  /**
+   * Pointer position as fractions of the stage, clamped to the image
+   */
+  toFraction(e) {
+    const rect = this.stage.getBoundingClientRect();
+    return {
+      x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height)),
+    };
+  }
+
+  onPointerDown(e) {
+    if (e.button !== 0) return;
+    const deleteBtn = e.target.closest('[data-region-delete]');
+    if (deleteBtn) {
+      this.deleteRegion(deleteBtn.dataset.regionDelete);
+      return;
+    }
+
+    e.preventDefault();
+    const point = this.toFraction(e);
+    const boxEl = e.target.closest('[data-region-id]');
+
+    if (boxEl) {
+      // Move an existing region
+      const region = this.regions.find(r => r.id === boxEl.dataset.regionId);
+      this.selectedId = region.id;
+      this.drag = { mode: 'move', region, start: point, origin: { x: region.x, y: region.y } };
+    } else {
+      // Draw a new region
+      const region = { id: `region-${++regionIdCounter}`, x: point.x, y: point.y, w: 0, h: 0 };
+      this.regions.push(region);
+      this.selectedId = region.id;
+      this.drag = { mode: 'draw', region, start: point };
+    }
+    this.render();
+  }
+
+  onPointerMove(e) {
+    if (!this.drag) return;
+    const point = this.toFraction(e);
+    const { region, start } = this.drag;
+
+    if (this.drag.mode === 'draw') {
+      region.x = Math.min(start.x, point.x);
+      region.y = Math.min(start.y, point.y);
+      region.w = Math.abs(point.x - start.x);
+      region.h = Math.abs(point.y - start.y);
+    } else {
+      const { origin } = this.drag;
+      region.x = Math.min(1 - region.w, Math.max(0, origin.x + point.x - start.x));
+      region.y = Math.min(1 - region.h, Math.max(0, origin.y + point.y - start.y));
+    }
+    this.render();
+  }
+
+  onPointerUp() {
+    if (!this.drag) return;
+    const { region, mode } = this.drag;
+    this.drag = null;
+
+    if (mode === 'draw' && (region.w < MIN_SIZE || region.h < MIN_SIZE)) {
+      this.deleteRegion(region.id);
+      return;
+    }
+    this.render();
+  }
+
+  onKeyDown(e) {
+    if (!this.selectedId) return;
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      this.deleteRegion(this.selectedId);
+    }
+  }
+
+  render() {
+    this.layer.innerHTML = this.regions.map((r, i) => `
+      <div class="region-box ${r.id === this.selectedId ? 'selected' : ''}" data-region-id="${r.id}"
+           style="left:${r.x * 100}%;top:${r.y * 100}%;width:${r.w * 100}%;height:${r.h * 100}%">
+        <span class="region-box-label">${regionLabel(i)}</span>
+        <button class="region-box-delete" data-region-delete="${r.id}" title="영역 삭제">✕</button>
+      </div>
+    `).join('');
+  }
+}
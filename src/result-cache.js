@@ -0,0 +1,223 @@
+/**
+ * Moon OCR Reader — Persistent Result Cache
+ * IndexedDB-backed LRU cache for OCR + Gemini results, keyed by file hash
+ */
+import { openDatabase, promisifyRequest, promisifyTransaction } from './idb-utils.js';
+
+const DB_NAME = 'moon-ocr-cache';
+const DB_VERSION = 1;
+const STORE = 'results';
+
+/**
+ * Keys to drop so the cache fits its limits, least recently used first
+ * @param {Array<{key: string, size: number}>} entries - Current-version entries, oldest first
+ * @param {number} maxEntries
+ * @param {number} maxBytes
+ * @returns {string[]}
+ */
+export function selectEvictions(entries, maxEntries, maxBytes) {
+  let count = entries.length;
+  let bytes = entries.reduce((sum, e) => sum + (e.size || 0), 0);
+  const keys = [];
+  for (const e of entries) {
+    if (count <= maxEntries && bytes <= maxBytes) break;
+    keys.push(e.key);
+    count--;
+    bytes -= e.size || 0;
+  }
+  return keys;
+}
+
+class ResultCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Maximum number of cached results
+   * @param {number} options.maxBytes - Approximate maximum total size in bytes
+   */
+  constructor({ maxEntries = 500, maxBytes = 50 * 1024 * 1024 } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.version = 'v1';
+    this.dbPromise = null;
+    this.memoryFallback = null; // Map used when IndexedDB is unavailable (private mode etc.)
+  }
+
+  /**
+   * Set the cache version. Entries written under a different version
+   * (engine, model or prompt change) are treated as misses and purged.
+   * @param {string} version
+   */
+  setVersion(version) {
+    this.version = version;
+  }
+
+  async open() {
+    if (this.memoryFallback) return null;
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'key' });
+          store.createIndex('lastAccess', 'lastAccess');
+        }
+      }).catch(err => {
+        console.warn('Result cache falling back to memory:', err);
+        this.memoryFallback = new Map();
+        return null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Look up a cached result
+   * @param {string} key - `${hash}_${lang}_${mode}` cache key
+   * @returns {Promise<Object|null>} cached value or null on miss
+   */
+  async get(key) {
+    const db = await this.open();
+
+    if (!db) {
+      const entry = this.memoryFallback.get(key);
+      if (!entry || entry.version !== this.version) return null;
+      entry.lastAccess = Date.now();
+      return entry.value;
+    }
+
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const entry = await promisifyRequest(store.get(key));
+    let value = null;
+
+    if (entry && entry.version === this.version) {
+      entry.lastAccess = Date.now();
+      store.put(entry);
+      value = entry.value;
+    } else if (entry) {
+      store.delete(key); // stale version
+    }
+
+    await promisifyTransaction(tx);
+    return value;
+  }
+
+  /**
+   * Store a result, evicting least-recently-used entries beyond the limits
+   * @param {string} key
+   * @param {Object} value - JSON-serializable result
+   */
+  async set(key, value) {
+    const db = await this.open();
+    const entry = {
+      key,
+      value,
+      version: this.version,
+      size: JSON.stringify(value).length * 2, // UTF-16 estimate
+      lastAccess: Date.now(),
+    };
+
+    if (!db) {
+      this.memoryFallback.set(key, entry);
+      this.evictMemory();
+      return;
+    }
+
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).put(entry);
+    await promisifyTransaction(tx);
+
+    await this.evict();
+  }
+
+  /**
+   * Drop stale-version entries, then the least recently used ones
+   * until the cache fits within maxEntries and maxBytes.
+   */
+  async evict() {
+    const db = await this.open();
+    if (!db) return;
+
+    const tx = db.transaction(STORE, 'readwrite');
+    const index = tx.objectStore(STORE).index('lastAccess');
+    const entries = [];
+
+    await new Promise((resolve, reject) => {
+      const cursorReq = index.openCursor();
+      cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result;
+        if (!cursor) { resolve(); return; }
+        const { key, size, version } = cursor.value;
+        if (version !== this.version) {
+          cursor.delete();
+        } else {
+          entries.push({ key, size: size || 0 });
+        }
+        cursor.continue();
+      };
+      cursorReq.onerror = () => reject(cursorReq.error);
+    });
+
+    // entries are oldest-first (lastAccess index order)
+    const store = tx.objectStore(STORE);
+    for (const key of selectEvictions(entries, this.maxEntries, this.maxBytes)) {
+      store.delete(key);
+    }
+
+    await promisifyTransaction(tx);
+  }
+
+  /**
+   * Same limits for the in-memory fallback
+   */
+  evictMemory() {
+    const entries = [];
+    for (const entry of this.memoryFallback.values()) {
+      if (entry.version !== this.version) this.memoryFallback.delete(entry.key);
+      else entries.push(entry);
+    }
+    entries.sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const key of selectEvictions(entries, this.maxEntries, this.maxBytes)) {
+      this.memoryFallback.delete(key);
+    }
+  }
+
+  /**
+   * Remove every cached result
+   */
+  async clear() {
+    const db = await this.open();
+    if (!db) {
+      this.memoryFallback.clear();
+      return;
+    }
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).clear();
+    await promisifyTransaction(tx);
+  }
+
+  /**
+   * @returns {Promise<{count: number, bytes: number, maxEntries: number, maxBytes: number}>}
+   */
+  async getStats() {
+    const db = await this.open();
+    let entries;
+
+    if (!db) {
+      entries = Array.from(this.memoryFallback.values());
+    } else {
+      const tx = db.transaction(STORE, 'readonly');
+      entries = await promisifyRequest(tx.objectStore(STORE).getAll());
+    }
+
+    const current = entries.filter(e => e.version === this.version);
+    return {
+      count: current.length,
+      bytes: current.reduce((sum, e) => sum + (e.size || 0), 0),
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+    };
+  }
+}
+
+// Singleton export
+export const resultCache = new ResultCache();
+export default resultCache;
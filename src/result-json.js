@@ -0,0 +1,185 @@
+/**
+ * Moon OCR Reader — JSON Export / Import
+ * Serializes a session's results with full provenance (see results.schema.json)
+ * and reads such files back into result entries the app can render.
+ */
+import RESULTS_SCHEMA from './results.schema.json';
+import { resultProvenance } from './merge-provenance.js';
+
+export { RESULTS_SCHEMA };
+
+export const RESULTS_FORMAT = 'moon-ocr-results';
+export const RESULTS_SCHEMA_VERSION = 1;
+
+const AI_STATUSES = ['disabled', 'pending', 'done', 'failed', 'cancelled'];
+
+function serializeLine(line) {
+  return {
+    text: line.text,
+    confidence: line.confidence,
+    bbox: line.bbox,
+    baseline: line.baseline ?? null,
+    words: (line.words || []).map(w => ({ text: w.text, confidence: w.confidence, bbox: w.bbox })),
+  };
+}
+
+/**
+ * Build the export document
+ * @param {Object} session - `{id, name, createdAt, lang, aiMode, mergeStrategy, preprocessPreset, ocrProfile, ruleSet, ruleSets}`
+ * @param {Array} results - Result entries in display order
+ * @param {Object} engine - `{ocrEngine, aiModel, promptVersion}`
+ * @param {Function} getFinalText - Resolves the text shown for a result (edit wins)
+ * @returns {Object}
+ */
+export function buildResultsJson(session, results, engine, getFinalText) {
+  const settings = {
+    aiMode: session.aiMode,
+    preprocessPreset: session.preprocessPreset ?? null,
+    tableMode: !!session.tableMode,
+    ocrEngine: engine.ocrEngine,
+    aiModel: session.aiMode === 'ai' ? engine.aiModel : null,
+    mergeStrategy: session.aiMode === 'ai' ? session.mergeStrategy ?? 'llm' : null,
+    promptVersion: session.aiMode === 'ai' ? engine.promptVersion : null,
+    ruleSet: session.ruleSet ?? null,
+  };
+
+  return {
+    format: RESULTS_FORMAT,
+    schemaVersion: RESULTS_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    generator: 'Moon OCR Reader',
+    session: {
+      id: session.id,
+      name: session.name,
+      createdAt: new Date(session.createdAt).toISOString(),
+      lang: session.lang,
+      aiMode: session.aiMode,
+      preprocessPreset: session.preprocessPreset ?? null,
+    },
+    results: results.map(r => ({
+      filename: r.filename,
+      sha256: r.hash ?? null,
+      lang: r.lang ?? session.lang,
+      settings: {
+        ...settings,
+        ocrProfile: r.ocrProfile ?? session.ocrProfile ?? null,
+        // Auto language detection applies the set of each page's language
+        ...(session.ruleSets ? { ruleSet: session.ruleSets[r.lang] ?? null } : {}),
+      },
+      imageSize: r.imageSize ?? null,
+      osd: r.osd ?? null,
+      ocrText: r.ocrText ?? r.text ?? '',
+      visionText: r.visionText ?? null,
+      mergedText: r.mergedText ?? null,
+      provenance: resultProvenance(r),
+      finalText: getFinalText(r) ?? '',
+      edited: r.editedText != null,
+      ruleCounts: { ocr: r.ruleCounts?.ocr ?? 0, merged: r.ruleCounts?.merged ?? 0 },
+      reviewedWords: r.reviewedWords ?? [],
+      confidence: r.confidence ?? 0,
+      lines: (r.lines || []).map(serializeLine),
+      regions: (r.regions || []).map(({ label, rect, text, confidence }) => ({ label, rect, text: text ?? '', confidence: confidence ?? null })),
+      tables: (r.tables || []).map(({ rows, source, bbox }) => ({ source, rows, bbox: bbox ?? null })),
+      aiStatus: r.aiStatus ?? 'disabled',
+      error: r.error ?? null,
+      cancelled: !!r.cancelled,
+      aiError: r.aiError ?? null,
+      fromCache: !!r.fromCache,
+      timings: {
+        ocrMs: r.timings?.ocrMs ?? null,
+        visionMs: r.timings?.visionMs ?? null,
+        mergeMs: r.timings?.mergeMs ?? null,
+      },
+    })),
+  };
+}
+
+/**
+ * Check the parts of the schema the app relies on when restoring
+ * @throws {Error} with a user-facing message
+ */
+function validate(doc) {
+  if (!doc || typeof doc !== 'object' || doc.format !== RESULTS_FORMAT) {
+    throw new Error('Moon OCR 결과 JSON 파일이 아닙니다');
+  }
+  if (doc.schemaVersion !== RESULTS_SCHEMA_VERSION) {
+    throw new Error(`지원하지 않는 스키마 버전입니다 (${doc.schemaVersion})`);
+  }
+  if (!doc.session || typeof doc.session.lang !== 'string' || !Array.isArray(doc.results)) {
+    throw new Error('session 또는 results 항목이 올바르지 않습니다');
+  }
+  doc.results.forEach((r, i) => {
+    const where = `results[${i}]`;
+    if (typeof r.filename !== 'string') throw new Error(`${where}.filename이 없습니다`);
+    if (typeof r.finalText !== 'string' || typeof r.ocrText !== 'string') throw new Error(`${where}의 텍스트 항목이 올바르지 않습니다`);
+    if (typeof r.confidence !== 'number') throw new Error(`${where}.confidence가 숫자가 아닙니다`);
+    if (!Array.isArray(r.lines)) throw new Error(`${where}.lines가 배열이 아닙니다`);
+    if (!AI_STATUSES.includes(r.aiStatus)) throw new Error(`${where}.aiStatus 값이 올바르지 않습니다`);
+  });
+}
+
+/**
+ * Parse an export document back into a session and result entries.
+ * Result ids are left to the caller, which knows the current gallery.
+ * @param {string} json
+ * @returns {{session: Object, results: Array}}
+ * @throws {Error} when the file is not valid JSON or does not match the schema
+ */
+export function parseResultsJson(json) {
+  let doc;
+  try {
+    doc = JSON.parse(json);
+  } catch {
+    throw new Error('JSON 형식이 올바르지 않습니다');
+  }
+  validate(doc);
+
+  const session = {
+    name: doc.session.name || '가져온 결과',
+    createdAt: Date.parse(doc.session.createdAt) || Date.now(),
+    lang: doc.session.lang,
+    aiMode: doc.session.aiMode === 'ai' ? 'ai' : 'ocr',
+    preprocessPreset: doc.session.preprocessPreset ?? null,
+    tableMode: !!doc.results[0]?.settings?.tableMode,
+    ocrProfile: doc.results[0]?.settings?.ocrProfile ?? null,
+    mergeStrategy: doc.results[0]?.settings?.mergeStrategy ?? null,
+    ruleSet: doc.results[0]?.settings?.ruleSet ?? null,
+    ...(doc.session.lang === 'auto'
+      ? { ruleSet: null, ruleSets: Object.fromEntries(doc.results.filter(r => r.settings?.ruleSet).map(r => [r.lang, r.settings.ruleSet])) }
+      : {}),
+  };
+
+  const results = doc.results.map(r => {
+    // `text` is the machine result; the final text only differs when the user edited it
+    const text = r.mergedText ?? r.ocrText;
+    return {
+      filename: r.filename,
+      hash: r.sha256 ?? null,
+      text,
+      ocrText: r.ocrText,
+      visionText: r.visionText ?? null,
+      mergedText: r.mergedText ?? null,
+      ...(Array.isArray(r.provenance) ? { provenance: r.provenance } : {}),
+      ...(r.edited ? { editedText: r.finalText } : {}),
+      ...(r.ruleCounts ? { ruleCounts: r.ruleCounts } : {}),
+      ...(r.settings?.ocrProfile ? { ocrProfile: r.settings.ocrProfile } : {}),
+      ...(r.lang !== doc.session.lang ? { lang: r.lang } : {}),
+      ...(r.osd ? { osd: r.osd } : {}),
+      ...(r.reviewedWords?.length ? { reviewedWords: r.reviewedWords } : {}),
+      confidence: r.confidence,
+      lines: r.lines,
+      words: r.lines.reduce((sum, l) => sum + (l.words?.length || 0), 0),
+      ...(r.regions?.length ? { regions: r.regions } : {}),
+      ...(r.tables?.length ? { tables: r.tables } : {}),
+      imageSize: r.imageSize ?? null,
+      // Interrupted AI refinements cannot resume — show them as OCR-only
+      aiStatus: r.aiStatus === 'pending' ? 'failed' : r.aiStatus,
+      error: r.error ?? null,
+      ...(r.cancelled ? { cancelled: true } : {}),
+      aiError: r.aiError ?? null,
+      timings: r.timings ?? {},
+    };
+  });
+
+  return { session, results };
+}
@@ -0,0 +1,265 @@
+/**
+ * Moon OCR Reader — Rule Sets
+ * User dictionaries and post-correction rules for recurring misreadings.
+ * A rule set carries words and patterns handed to Tesseract and literal or
+ * regex replacements applied to OCR and merged text. Each OCR language picks
+ * one set. Stored in localStorage; import/export as JSON.
+ */
+
+const STORAGE_KEY = 'moon-ocr-rule-sets';
+
+export const RULE_SETS_FORMAT = 'moon-ocr-rule-sets';
+export const RULE_SETS_VERSION = 1;
+
+/**
+ * @typedef {Object} Rule
+ * @property {string} find - Literal text, or a regex source when `regex` is set
+ * @property {string} replace - Replacement (`$1` etc. refer to regex groups)
+ * @property {boolean} regex
+ * @property {string} [flags] - Regex flags besides `g`
+ */
+
+/**
+ * @typedef {Object} RuleSet
+ * @property {string} id
+ * @property {string} name
+ * @property {string[]} words - Tesseract user words
+ * @property {string[]} patterns - Tesseract user patterns (`\d`, `\c`, `\n`, ...)
+ * @property {Rule[]} rules
+ */
+
+/**
+ * @typedef {Object} RuleSettings
+ * @property {RuleSet[]} sets
+ * @property {Object<string, string>} byLang - OCR language → rule set id
+ */
+
+let ruleSetCounter = 0; // sets created in the same millisecond still get distinct ids
+
+export function createRuleSet(name = '새 규칙 세트') {
+  return { id: `rules-${Date.now().toString(36)}-${(++ruleSetCounter).toString(36)}`, name, words: [], patterns: [], rules: [] };
+}
+
+/**
+ * @returns {RuleSettings}
+ */
+export function getRuleSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && Array.isArray(stored.sets)) return { sets: stored.sets, byLang: stored.byLang || {} };
+  } catch {
+    // corrupted settings — start empty
+  }
+  return { sets: [], byLang: {} };
+}
+
+/**
+ * @param {RuleSettings} settings
+ */
+export function saveRuleSettings(settings) {
+  // Drop language choices pointing at deleted sets
+  const ids = new Set(settings.sets.map(s => s.id));
+  const byLang = Object.fromEntries(Object.entries(settings.byLang).filter(([, id]) => ids.has(id)));
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ sets: settings.sets, byLang }));
+}
+
+/**
+ * Rule set chosen for an OCR language
+ * @param {string} lang
+ * @returns {RuleSet|null}
+ */
+export function getRuleSetForLang(lang) {
+  const { sets, byLang } = getRuleSettings();
+  return sets.find(s => s.id === byLang[lang]) || null;
+}
+
+/**
+ * @param {string} lang
+ * @param {string|null} id - null for no rule set
+ */
+export function setRuleSetForLang(lang, id) {
+  const settings = getRuleSettings();
+  if (id) settings.byLang[lang] = id;
+  else delete settings.byLang[lang];
+  saveRuleSettings(settings);
+}
+
+function compile(rule) {
+  return new RegExp(rule.find, `g${(rule.flags || '').replace(/g/g, '')}`);
+}
+
+/**
+ * Apply replacements in order, each to the output of the previous one
+ * @param {string} text
+ * @param {Rule[]} rules
+ * @returns {{text: string, count: number}} count = replacements made
+ */
+export function applyRules(text, rules) {
+  let count = 0;
+  let out = text || '';
+  for (const rule of rules || []) {
+    if (!rule.find) continue;
+    if (!rule.regex) {
+      const parts = out.split(rule.find);
+      count += parts.length - 1;
+      out = parts.join(rule.replace);
+      continue;
+    }
+    let re;
+    try {
+      re = compile(rule);
+    } catch {
+      continue; // rejected when the set was saved; skip if an imported one slipped through
+    }
+    count += (out.match(re) || []).length;
+    out = out.replace(re, rule.replace);
+  }
+  return { text: out, count };
+}
+
+/**
+ * Apply the rules to the layout too, so word-level exports (searchable PDF,
+ * hOCR, ALTO) say what the corrected text says. Each line's text is corrected
+ * as a whole — rules may span words — and its words take the corrected tokens
+ * when the word count still matches; otherwise each word is corrected alone.
+ * @param {Array<{text: string, words?: Array<{text: string}>}>} lines - Updated in place
+ * @param {Rule[]} rules
+ * @returns {number} replacements made in line texts
+ */
+export function applyRulesToLines(lines, rules) {
+  if (!rules?.length || !lines?.length) return 0;
+  let count = 0;
+  for (const line of lines) {
+    const corrected = applyRules(line.text, rules);
+    if (corrected.count === 0) continue;
+    count += corrected.count;
+    line.text = corrected.text;
+    const words = line.words || [];
+    const tokens = corrected.text.split(/\s+/).filter(Boolean);
+    if (tokens.length === words.length) {
+      words.forEach((word, i) => { word.text = tokens[i]; });
+    } else {
+      for (const word of words) word.text = applyRules(word.text, rules).text;
+    }
+  }
+  return count;
+}
+
+/**
+ * One rule per line in the editor: `find => replace`, with `/source/flags`
+ * for a regex. Blank lines and lines starting with `#` are ignored.
+ * @param {string} text
+ * @returns {{rules: Rule[], errors: string[]}}
+ */
+export function parseRulesText(text) {
+  const rules = [];
+  const errors = [];
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim() || line.trimStart().startsWith('#')) return;
+    const sep = line.indexOf(' => ');
+    if (sep === -1) {
+      errors.push(`${i + 1}행: "찾을 내용 => 바꿀 내용" 형식이 아닙니다`);
+      return;
+    }
+    const find = line.slice(0, sep);
+    const replace = line.slice(sep + 4);
+    const regex = find.match(/^\/(.+)\/([a-z]*)$/);
+    const rule = regex ? { find: regex[1], replace, regex: true, flags: regex[2] } : { find, replace, regex: false };
+    if (!rule.find) {
+      errors.push(`${i + 1}행: 찾을 내용이 비어 있습니다`);
+      return;
+    }
+    if (rule.regex) {
+      try {
+        // An empty match would insert the replacement between every character
+        if (compile(rule).test('')) throw new Error('빈 문자열과 일치합니다');
+      } catch (err) {
+        errors.push(`${i + 1}행: 정규식 오류 — ${err.message}`);
+        return;
+      }
+    }
+    rules.push(rule);
+  });
+  return { rules, errors };
+}
+
+/**
+ * @param {Rule[]} rules
+ * @returns {string} editor text (see parseRulesText)
+ */
+export function formatRulesText(rules) {
+  return rules.map(r => `${r.regex ? `/${r.find}/${r.flags || ''}` : r.find} => ${r.replace}`).join('\n');
+}
+
+/**
+ * Short fingerprint of everything in the set that changes recognition output,
+ * for the result cache key
+ * @param {RuleSet|null} set
+ * @returns {string} '' without a set
+ */
+export function getRuleSetKey(set) {
+  if (!set) return '';
+  const source = JSON.stringify([set.words, set.patterns, set.rules]);
+  // FNV-1a — only needs to tell rule sets apart, not resist collisions
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < source.length; i++) {
+    hash ^= source.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `rules-${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * @param {RuleSettings} settings
+ * @returns {Object} export document
+ */
+export function buildRuleSetsJson(settings) {
+  return {
+    format: RULE_SETS_FORMAT,
+    version: RULE_SETS_VERSION,
+    exportedAt: new Date().toISOString(),
+    sets: settings.sets,
+    byLang: settings.byLang,
+  };
+}
+
+/**
+ * Read an export document; sets with a known id replace the stored one
+ * @param {string} json
+ * @param {RuleSettings} current
+ * @returns {{settings: RuleSettings, imported: number}}
+ * @throws {Error} with a user-facing message
+ */
+export function importRuleSetsJson(json, current) {
+  let doc;
+  try {
+    doc = JSON.parse(json);
+  } catch {
+    throw new Error('JSON 형식이 올바르지 않습니다');
+  }
+  if (!doc || doc.format !== RULE_SETS_FORMAT || !Array.isArray(doc.sets)) {
+    throw new Error('Moon OCR 규칙 세트 JSON 파일이 아닙니다');
+  }
+  if (doc.version !== RULE_SETS_VERSION) {
+    throw new Error(`지원하지 않는 버전입니다 (${doc.version})`);
+  }
+
+  const sets = [...current.sets];
+  doc.sets.forEach((s, i) => {
+    if (!s || typeof s.id !== 'string' || typeof s.name !== 'string') throw new Error(`sets[${i}]의 id 또는 name이 없습니다`);
+    if (!Array.isArray(s.rules) || s.rules.some(r => typeof r?.find !== 'string' || typeof r.replace !== 'string')) {
+      throw new Error(`sets[${i}].rules 항목이 올바르지 않습니다`);
+    }
+    const set = {
+      id: s.id,
+      name: s.name,
+      words: Array.isArray(s.words) ? s.words.filter(w => typeof w === 'string') : [],
+      patterns: Array.isArray(s.patterns) ? s.patterns.filter(p => typeof p === 'string') : [],
+      rules: s.rules.map(r => ({ find: r.find, replace: r.replace, regex: !!r.regex, ...(r.flags ? { flags: r.flags } : {}) })),
+    };
+    const index = sets.findIndex(existing => existing.id === set.id);
+    if (index === -1) sets.push(set);
+    else sets[index] = set;
+  });
+  return { settings: { sets, byLang: { ...current.byLang, ...(doc.byLang || {}) } }, imported: doc.sets.length };
+}
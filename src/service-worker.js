@@ -0,0 +1,103 @@
+/**
+ * Moon OCR Reader — Service Worker
+ * Precaches the app shell, the Tesseract worker and the core builds this
+ * browser runs so the app starts without a network. Language packs and the
+ * CJK fonts for PDF export are cached on first use or from the offline
+ * settings, each in a cache of their own. Built into sw.js by the
+ * offline-assets plugin in vite.config.js, which fills in the precache list.
+ */
+
+const PRECACHE = self.__PRECACHE_MANIFEST__; // {version, urls, cores} — paths relative to the scope
+const SHELL_CACHE = `moon-ocr-shell-${PRECACHE.version}`;
+const TESSDATA_CACHE = 'moon-ocr-tessdata'; // shared with offline.js
+const FONT_CACHE = 'moon-ocr-fonts'; // shared with offline.js
+
+// Hashed bundle files and version-named Tesseract folders never change content
+const IMMUTABLE = /\/(assets|tesseract)\//;
+const LANG_PACK = /\.traineddata(\.gz)?$/;
+const FONT = /\/fonts\/.+\.ttf$/;
+
+// The probes tesseract.js runs (via wasm-feature-detect) to pick its core build
+const SIMD = new Uint8Array([0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11]);
+const RELAXED_SIMD = new Uint8Array([0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 15, 1, 13, 0, 65, 1, 253, 15, 65, 2, 253, 15, 253, 128, 2, 11]);
+
+/**
+ * Core builds Tesseract will load here: the fastest one, with and without the legacy engine
+ * @param {string[]} cores
+ * @returns {string[]}
+ */
+function usableCores(cores) {
+  const validate = bytes => typeof WebAssembly === 'object' && WebAssembly.validate(bytes);
+  const tier = validate(RELAXED_SIMD) ? '-relaxedsimd' : validate(SIMD) ? '-simd' : '';
+  const names = [`tesseract-core${tier}.wasm.js`, `tesseract-core${tier}-lstm.wasm.js`];
+  return cores.filter(path => names.includes(path.split('/').pop()));
+}
+
+async function precache(cache, path) {
+  const url = new URL(path, self.registration.scope).href;
+  // Reuse what the previous version already downloaded
+  const previous = IMMUTABLE.test(url) && await caches.match(url);
+  if (previous) await cache.put(url, previous);
+  else await cache.add(new Request(url, { cache: 'reload' }));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await Promise.all(PRECACHE.urls.map(path => precache(cache, path)));
+    // A core that fails to download is cached when Tesseract first loads it instead
+    const cores = await Promise.allSettled(usableCores(PRECACHE.cores).map(path => precache(cache, path)));
+    cores.filter(core => core.status === 'rejected').forEach(core => console.warn('Core precache failed:', core.reason));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('moon-ocr-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * Serve from a cache, filling it from the network on a miss
+ */
+async function cacheFirst(cacheName, request) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (LANG_PACK.test(url.pathname)) {
+    event.respondWith(cacheFirst(TESSDATA_CACHE, request));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+
+  if (FONT.test(url.pathname)) {
+    event.respondWith(cacheFirst(FONT_CACHE, request));
+    return;
+  }
+  if (request.mode === 'navigate') {
+    // Fresh page when online, the cached shell otherwise
+    event.respondWith(fetch(request).catch(() => caches.match(self.registration.scope, { cacheName: SHELL_CACHE })));
+    return;
+  }
+  // Immutable files missing from the precache (another core build) are kept once loaded
+  if (IMMUTABLE.test(url.pathname)) {
+    event.respondWith(cacheFirst(SHELL_CACHE, request));
+    return;
+  }
+  event.respondWith(caches.match(request, { cacheName: SHELL_CACHE }).then(cached => cached || fetch(request)));
+});
@@ -0,0 +1,115 @@
+/**
+ * Moon OCR Reader — Session History
+ * Stores finished OCR jobs (image blobs + results) in IndexedDB so they can be reopened
+ */
+import { openDatabase, promisifyRequest, promisifyTransaction } from './idb-utils.js';
+
+const DB_NAME = 'moon-ocr-history';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';   // full session records (with blobs)
+const SUMMARIES = 'summaries'; // lightweight records for listing
+
+/**
+ * Build the list entry for a session without touching its blobs
+ */
+function toSummary(session) {
+  return {
+    id: session.id,
+    name: session.name,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    lang: session.lang,
+    aiMode: session.aiMode,
+    imageCount: session.images.length,
+    charCount: session.results.reduce((sum, r) => sum + (r.text?.length || 0), 0),
+  };
+}
+
+class SessionHistory {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  async open() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        if (!db.objectStoreNames.contains(SESSIONS)) {
+          db.createObjectStore(SESSIONS, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(SUMMARIES)) {
+          db.createObjectStore(SUMMARIES, { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+        }
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Create or overwrite a session
+   * @param {Object} session
+   * @param {string} session.id
+   * @param {string} session.name
+   * @param {number} session.createdAt
+   * @param {string} session.lang - Tesseract language code used for the run
+   * @param {string} session.aiMode - 'ai' | 'ocr'
+   * @param {Array<{id: string, name: string, blob: Blob, source?: Object}>} session.images
+   * @param {Array<Object>} session.results - Result entries (ocrText, visionText, mergedText, ...)
+   */
+  async save(session) {
+    const db = await this.open();
+    const record = { ...session, updatedAt: Date.now() };
+
+    const tx = db.transaction([SESSIONS, SUMMARIES], 'readwrite');
+    tx.objectStore(SESSIONS).put(record);
+    tx.objectStore(SUMMARIES).put(toSummary(record));
+    await promisifyTransaction(tx);
+    return record;
+  }
+
+  /**
+   * List session summaries, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    const db = await this.open();
+    const tx = db.transaction(SUMMARIES, 'readonly');
+    const summaries = await promisifyRequest(tx.objectStore(SUMMARIES).getAll());
+    return summaries.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Load a full session including image blobs
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async load(id) {
+    const db = await this.open();
+    const tx = db.transaction(SESSIONS, 'readonly');
+    return (await promisifyRequest(tx.objectStore(SESSIONS).get(id))) || null;
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} name
+   */
+  async rename(id, name) {
+    const session = await this.load(id);
+    if (!session) throw new Error(`세션을 찾을 수 없습니다: ${id}`);
+    await this.save({ ...session, name });
+  }
+
+  /**
+   * @param {string} id
+   */
+  async remove(id) {
+    const db = await this.open();
+    const tx = db.transaction([SESSIONS, SUMMARIES], 'readwrite');
+    tx.objectStore(SESSIONS).delete(id);
+    tx.objectStore(SUMMARIES).delete(id);
+    await promisifyTransaction(tx);
+  }
+}
+
+// Singleton export
+export const sessionHistory = new SessionHistory();
+export default sessionHistory;
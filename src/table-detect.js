@@ -0,0 +1,149 @@
+/**
+ * Moon OCR Reader — Table Detection
+ * Rebuilds grid structure from word bounding boxes. Tesseract often reads table
+ * columns as separate blocks, so words are regrouped into rows by position
+ * instead of trusting its line order.
+ */
+
+const CELL_GAP = 1.0;     // horizontal gap (× row height) that separates two cells
+const ROW_GAP = 2.5;      // vertical gap (× row height) that ends a table
+const MIN_ROWS = 2;
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function unionBbox(boxes) {
+  return {
+    x0: Math.min(...boxes.map(b => b.x0)),
+    y0: Math.min(...boxes.map(b => b.y0)),
+    x1: Math.max(...boxes.map(b => b.x1)),
+    y1: Math.max(...boxes.map(b => b.y1)),
+  };
+}
+
+/**
+ * Group words into visual rows: a word joins a row when its vertical center
+ * falls inside the row's current band
+ */
+function groupRows(words) {
+  const rows = [];
+  const byCenter = [...words].sort((a, b) => (a.bbox.y0 + a.bbox.y1) - (b.bbox.y0 + b.bbox.y1));
+  for (const word of byCenter) {
+    const center = (word.bbox.y0 + word.bbox.y1) / 2;
+    const row = rows.find(r => center >= r.bbox.y0 && center <= r.bbox.y1);
+    if (row) {
+      row.words.push(word);
+      row.bbox = unionBbox([row.bbox, word.bbox]);
+    } else {
+      rows.push({ words: [word], bbox: { ...word.bbox } });
+    }
+  }
+  rows.sort((a, b) => a.bbox.y0 - b.bbox.y0);
+  return rows;
+}
+
+/**
+ * Split a row into cells wherever the gap between words is wider than a few spaces
+ */
+function splitCells(row) {
+  const words = [...row.words].sort((a, b) => a.bbox.x0 - b.bbox.x0);
+  const height = median(words.map(w => w.bbox.y1 - w.bbox.y0));
+  const cells = [];
+  for (const word of words) {
+    const last = cells[cells.length - 1];
+    if (last && word.bbox.x0 - last.bbox.x1 <= height * CELL_GAP) {
+      last.words.push(word);
+      last.bbox = unionBbox([last.bbox, word.bbox]);
+    } else {
+      cells.push({ words: [word], bbox: { ...word.bbox } });
+    }
+  }
+  return cells.map(c => ({ text: c.words.map(w => w.text).join(' '), bbox: c.bbox }));
+}
+
+/**
+ * Consecutive multi-cell rows that sit close together vertically
+ */
+function findRuns(rows) {
+  const runs = [];
+  let current = [];
+  for (const row of rows) {
+    const prev = current[current.length - 1];
+    const height = row.bbox.y1 - row.bbox.y0;
+    const close = prev && row.bbox.y0 - prev.bbox.y1 <= height * ROW_GAP;
+    if (row.cells.length >= 2 && (!prev || close)) {
+      current.push(row);
+      continue;
+    }
+    if (current.length >= MIN_ROWS) runs.push(current);
+    current = row.cells.length >= 2 ? [row] : [];
+  }
+  if (current.length >= MIN_ROWS) runs.push(current);
+  return runs;
+}
+
+/**
+ * Column boundaries from the rows with the most common cell count — rows with
+ * spanning or missing cells are then slotted into those columns by position
+ */
+function buildGrid(run) {
+  const counts = new Map();
+  run.forEach(r => counts.set(r.cells.length, (counts.get(r.cells.length) || 0) + 1));
+  const columnCount = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0][0];
+  const anchors = run.filter(r => r.cells.length === columnCount);
+
+  const spans = Array.from({ length: columnCount }, (_, c) => ({
+    x0: median(anchors.map(r => r.cells[c].bbox.x0)),
+    x1: median(anchors.map(r => r.cells[c].bbox.x1)),
+  }));
+  // Boundary between two columns: halfway across the gutter
+  const boundaries = spans.slice(1).map((span, c) => (spans[c].x1 + span.x0) / 2);
+
+  const rows = run.map(r => {
+    const row = Array(columnCount).fill('');
+    for (const cell of r.cells) {
+      const center = (cell.bbox.x0 + cell.bbox.x1) / 2;
+      const col = boundaries.filter(b => center > b).length;
+      row[col] = row[col] ? `${row[col]} ${cell.text}` : cell.text;
+    }
+    return row;
+  });
+
+  return { bbox: unionBbox(run.map(r => r.bbox)), rows };
+}
+
+/**
+ * Find tables in OCR output
+ * @param {Array<{words: Array<{text: string, bbox: Object}>}>} lines - OCR lines with word boxes
+ * @returns {Array<{bbox: Object, rows: string[][], source: 'layout'}>}
+ */
+export function detectTables(lines) {
+  const words = (lines || [])
+    .flatMap(l => l.words || [])
+    .filter(w => w.bbox && w.text?.trim());
+  if (words.length === 0) return [];
+
+  const rows = groupRows(words).map(row => ({ ...row, cells: splitCells(row) }));
+  return findRuns(rows)
+    .map(buildGrid)
+    .filter(table => table.rows[0].length >= 2)
+    .map(table => ({ ...table, source: 'layout' }));
+}
+
+/**
+ * Pad ragged rows so every row has the same number of cells
+ * @param {Array<Array<*>>} rows
+ * @returns {string[][]}
+ */
+export function normalizeRows(rows) {
+  const cleaned = (rows || [])
+    .filter(Array.isArray)
+    .map(row => row.map(cell => String(cell ?? '').trim()));
+  const width = Math.max(0, ...cleaned.map(r => r.length));
+  return cleaned
+    .filter(row => row.some(Boolean))
+    .map(row => [...row, ...Array(width - row.length).fill('')]);
+}
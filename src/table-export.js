@@ -0,0 +1,101 @@
+/**
+ * Moon OCR Reader — Table Export
+ * CSV and minimal Office Open XML spreadsheets (one sheet per table), zipped with fflate
+ */
+import { zipSync, strToU8 } from 'fflate';
+import { escapeXml } from './escape.js';
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * RFC 4180 CSV with a BOM so spreadsheet apps detect UTF-8 (Korean text)
+ * @param {string[][]} rows
+ * @returns {string}
+ */
+export function tableToCsv(rows) {
+  return '\uFEFF' + rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Spreadsheet-safe, unique sheet name (max 31 chars, no []:*?/\)
+ */
+function sheetName(name, used) {
+  const base = name.replace(/[[\]:*?/\\]/g, '_').slice(0, 31) || 'Sheet';
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Column letters for a 0-based index (0 → A, 26 → AA)
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function worksheetXml(rows) {
+  const rowXml = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      if (value === '') return '';
+      const ref = `${columnName(c)}${r + 1}`;
+      // Plain numbers become numeric cells; anything else (incl. leading zeros) stays text
+      if (NUMBER_PATTERN.test(value) && !/^-?0\d/.test(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rowXml}</sheetData></worksheet>`;
+}
+
+/**
+ * Build an .xlsx workbook
+ * @param {Array<{name: string, rows: string[][]}>} sheets
+ * @returns {Uint8Array} XLSX bytes
+ */
+export function createXlsx(sheets) {
+  const used = new Set();
+  const names = sheets.map(s => sheetName(s.name, used));
+
+  const files = {
+    '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')}</Types>`,
+    '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')}</Relationships>`,
+  };
+  sheets.forEach((sheet, i) => {
+    files[`xl/worksheets/sheet${i + 1}.xml`] = worksheetXml(sheet.rows);
+  });
+
+  return zipSync(Object.fromEntries(Object.entries(files).map(([path, xml]) => [path, strToU8(xml)])));
+}
+
+/**
+ * One CSV per table, zipped
+ * @param {Array<{name: string, rows: string[][]}>} tables
+ * @returns {Uint8Array} ZIP bytes
+ */
+export function zipCsvTables(tables) {
+  const used = new Set();
+  const files = {};
+  for (const table of tables) {
+    files[`${sheetName(table.name.replace(/#/g, '_'), used)}.csv`] = strToU8(tableToCsv(table.rows));
+  }
+  return zipSync(files);
+}
@@ -0,0 +1,118 @@
+/**
+ * Moon OCR Reader — Text Diff
+ * LCS-based token diff used to compare edited text with machine output
+ */
+
+// Above this many DP cells, fall back to line granularity to bound memory
+const MAX_CELLS = 4_000_000;
+
+/**
+ * Split text into word and whitespace tokens (whitespace kept so text round-trips)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenizeWords(text) {
+  return text.match(/\s+|[^\s]+/g) || [];
+}
+
+function tokenizeLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Diff two token arrays
+ * @param {string[]} a - Old tokens
+ * @param {string[]} b - New tokens
+ * @returns {Array<{type: 'equal'|'delete'|'insert', text: string}>}
+ */
+export function diffTokens(a, b) {
+  // Trim common prefix/suffix — most edits are local
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length, m = midB.length;
+
+  // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (type, text) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) last.text += text;
+    else ops.push({ type, text });
+  };
+
+  if (start > 0) push('equal', a.slice(0, start).join(''));
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) { push('equal', midA[i]); i++; j++; }
+    else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) { push('delete', midA[i]); i++; }
+    else { push('insert', midB[j]); j++; }
+  }
+  while (i < n) push('delete', midA[i++]);
+  while (j < m) push('insert', midB[j++]);
+  if (endA < a.length) push('equal', a.slice(endA).join(''));
+
+  return ops;
+}
+
+/**
+ * Word-level diff of two texts (line-level for very long inputs)
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type: 'equal'|'delete'|'insert', text: string}>}
+ */
+export function diffWords(oldText, newText) {
+  const a = tokenizeWords(oldText || '');
+  const b = tokenizeWords(newText || '');
+  if (a.length * b.length > MAX_CELLS) {
+    return diffTokens(tokenizeLines(oldText || ''), tokenizeLines(newText || ''));
+  }
+  return diffTokens(a, b);
+}
+
+/**
+ * For every character of `b`, its index in `a` when the word diff keeps it unchanged, else -1
+ * @returns {Int32Array}
+ */
+export function alignChars(a, b) {
+  const map = new Int32Array(b.length).fill(-1);
+  let ai = 0, bi = 0;
+  for (const op of diffWords(a, b)) {
+    const len = op.text.length;
+    if (op.type === 'equal') {
+      for (let k = 0; k < len; k++) map[bi + k] = ai + k;
+      ai += len;
+      bi += len;
+    } else if (op.type === 'delete') {
+      ai += len;
+    } else {
+      bi += len;
+    }
+  }
+  return map;
+}
+
+/**
+ * Count changed tokens in a diff
+ * @returns {{inserted: number, deleted: number}}
+ */
+export function diffStats(ops) {
+  const count = (text) => tokenizeWords(text).filter(t => t.trim()).length;
+  return {
+    inserted: ops.filter(o => o.type === 'insert').reduce((sum, o) => sum + count(o.text), 0),
+    deleted: ops.filter(o => o.type === 'delete').reduce((sum, o) => sum + count(o.text), 0),
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Moon OCR Reader — Word Review
+ * Locates Tesseract's low-confidence words in a result's current text (OCR,
+ * merged or edited) and what Vision read in their place, for highlighting and
+ * the keyboard review queue.
+ */
+import { alignChars, tokenizeWords } from './text-diff.js';
+
+export const REVIEW_THRESHOLDS = [50, 60, 70, 80, 90];
+export const DEFAULT_REVIEW_THRESHOLD = 70;
+
+// How far ahead to look for a token among the OCR words (region labels and joined tokens don't match)
+const WORD_LOOKAHEAD = 20;
+
+/**
+ * Character span of each OCR word inside the OCR text, matched in reading order
+ * @param {string} ocrText
+ * @param {Array<{text: string}>} words - OCR words in reading order
+ * @returns {Array<{start: number, end: number}|null>} null for words not found in the text
+ */
+export function locateWords(ocrText, words) {
+  const spans = new Array(words.length).fill(null);
+  let pos = 0, next = 0;
+  for (const token of tokenizeWords(ocrText || '')) {
+    if (token.trim()) {
+      const end = Math.min(words.length, next + WORD_LOOKAHEAD);
+      for (let w = next; w < end; w++) {
+        if (words[w].text === token) {
+          spans[w] = { start: pos, end: pos + token.length };
+          next = w + 1;
+          break;
+        }
+      }
+    }
+    pos += token.length;
+  }
+  return spans;
+}
+
+/**
+ * Character overlap of two short strings, 0-1 (Dice coefficient over the LCS)
+ */
+function similarity(a, b) {
+  const row = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = 0;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = a[i - 1] === b[j - 1] ? diagonal + 1 : Math.max(row[j], row[j - 1]);
+      diagonal = above;
+    }
+  }
+  return (2 * row[b.length]) / (a.length + b.length || 1);
+}
+
+/**
+ * What Vision read where OCR read `ocrText[start, end)`
+ * @returns {string|null} null when Vision agrees or read nothing recognizably similar
+ */
+function visionAlternative(ocrText, visionText, toVision, start, end) {
+  let agrees = true;
+  for (let i = start; i < end; i++) if (toVision[i] === -1) { agrees = false; break; }
+  if (agrees) return null;
+
+  // Widen to the surrounding stretch both texts share anchors around
+  let prev = start - 1;
+  while (prev >= 0 && toVision[prev] === -1) prev--;
+  let next = end;
+  while (next < ocrText.length && toVision[next] === -1) next++;
+  const ocrWords = ocrText.slice(prev + 1, next).match(/\S+/g) || [];
+  const visionWords = visionText.slice(prev >= 0 ? toVision[prev] + 1 : 0, next < ocrText.length ? toVision[next] : visionText.length).match(/\S+/g) || [];
+
+  if (ocrWords.length === visionWords.length) {
+    const index = (ocrText.slice(prev + 1, start).match(/\S+/g) || []).length;
+    return visionWords[index];
+  }
+  // Words split or joined differently — take the most similar Vision word
+  const word = ocrText.slice(start, end);
+  let best = null, bestScore = 0.5;
+  for (const candidate of visionWords) {
+    const score = similarity(word, candidate);
+    if (score > bestScore) { best = candidate; bestScore = score; }
+  }
+  return best;
+}
+
+/**
+ * @typedef {Object} ReviewItem
+ * @property {string} key - `line:word` index, stable across edits
+ * @property {string} text - OCR reading
+ * @property {number} confidence
+ * @property {{x0: number, y0: number, x1: number, y1: number}} bbox
+ * @property {string} lineText
+ * @property {number|null} start - Span in the current text, null once the text there changed
+ * @property {number|null} end
+ * @property {string|null} vision - Vision's reading when it differs
+ * @property {boolean} reviewed
+ */
+
+/**
+ * Words below the threshold that are still in the text, or that were reviewed
+ * @param {Object} result - Result entry (`ocrText`, `visionText`, `lines`, `reviewedWords`)
+ * @param {string} text - Text currently shown for the result
+ * @param {number} threshold - Confidence (0-100) below which a word needs review
+ * @returns {ReviewItem[]}
+ */
+export function reviewItems(result, text, threshold) {
+  const ocrText = result.ocrText ?? result.text ?? '';
+  const words = (result.lines || []).flatMap((line, li) => (line.words || []).map((word, wi) => ({ ...word, key: `${li}:${wi}`, lineText: line.text })));
+  if (!words.some(w => w.confidence < threshold)) return [];
+
+  const spans = locateWords(ocrText, words);
+  const toText = alignChars(text || '', ocrText);
+  const toVision = result.visionText ? alignChars(result.visionText, ocrText) : null;
+  const reviewed = new Set(result.reviewedWords || []);
+
+  const items = [];
+  words.forEach((word, i) => {
+    const span = spans[i];
+    if (word.confidence >= threshold || !span) return;
+    // Still in the text only if every character survived, contiguously
+    const start = toText[span.start];
+    const present = start !== -1 && toText[span.end - 1] === start + (span.end - span.start - 1);
+    if (!present && !reviewed.has(word.key)) return;
+    items.push({
+      key: word.key,
+      text: word.text,
+      confidence: word.confidence,
+      bbox: word.bbox,
+      lineText: word.lineText,
+      start: present ? start : null,
+      end: present ? start + (span.end - span.start) : null,
+      vision: toVision ? visionAlternative(ocrText, result.visionText, toVision, span.start, span.end) : null,
+      reviewed: reviewed.has(word.key),
+    });
+  });
+  return items;
+}
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { parseTablesResponse } from '../src/ai-prompts.js';
+
+describe('parseTablesResponse', () => {
+  const tables = [{ rows: [['품목', '가격'], ['사과', '1200']] }];
+
+  it('reads the tables of a JSON answer', () => {
+    expect(parseTablesResponse(JSON.stringify({ tables }))).toEqual(tables);
+  });
+
+  it('strips a code fence around the JSON', () => {
+    expect(parseTablesResponse('```json\n' + JSON.stringify({ tables }) + '\n```')).toEqual(tables);
+    expect(parseTablesResponse('  ```\n' + JSON.stringify({ tables }) + '```  ')).toEqual(tables);
+  });
+
+  it('drops entries without rows and answers without tables', () => {
+    expect(parseTablesResponse('{"tables": [{"rows": [["a"]]}, {"cells": []}, null, {"rows": "x"}]}')).toEqual([{ rows: [['a']] }]);
+    expect(parseTablesResponse('{"tables": {}}')).toEqual([]);
+    expect(parseTablesResponse('{}')).toEqual([]);
+    expect(parseTablesResponse('')).toEqual([]);
+    expect(parseTablesResponse(null)).toEqual([]);
+  });
+
+  it('throws on text that is not JSON', () => {
+    expect(() => parseTablesResponse('표가 없습니다')).toThrow(SyntaxError);
+  });
+});
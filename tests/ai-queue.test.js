@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { parseRetryAfter } from '../src/ai-queue.js';
+
+const httpError = (status, extra = {}) => Object.assign(new Error(`HTTP ${status}`), { status, ...extra });
+
+let aiQueue;
+beforeEach(async () => {
+  vi.useFakeTimers();
+  vi.setSystemTime(0);
+  // The queue is a singleton; a fresh module gives each test an empty one
+  vi.resetModules();
+  ({ aiQueue } = await import('../src/ai-queue.js'));
+});
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
+
+/**
+ * Task that fails with each given error in turn, then resolves; records when it ran
+ */
+function scripted(...errors) {
+  const calls = [];
+  const task = vi.fn(async () => {
+    calls.push(Date.now());
+    if (calls.length <= errors.length) throw errors[calls.length - 1];
+    return 'ok';
+  });
+  return { task, calls };
+}
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates', () => {
+    vi.setSystemTime(Date.parse('2026-01-01T00:00:00Z'));
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT')).toBe(10_000);
+    expect(parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT')).toBe(0);
+    expect(parseRetryAfter('soon')).toBeNull();
+    expect(parseRetryAfter(null)).toBeNull();
+  });
+});
+
+describe('aiQueue retries', () => {
+  it('backs off exponentially with equal jitter', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    const { task, calls } = scripted(httpError(503), httpError(503), httpError(500));
+    const result = aiQueue.enqueue(task);
+    await vi.runAllTimersAsync();
+    expect(await result).toBe('ok');
+    // Half of 1 s, 2 s, 4 s when the random share is zero
+    expect(calls).toEqual([0, 500, 1500, 3500]);
+  });
+
+  it('never waits longer than the full backoff', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.999);
+    aiQueue.maxDelayMs = 2000;
+    const { task, calls } = scripted(httpError(503), httpError(503), httpError(503));
+    aiQueue.enqueue(task);
+    await vi.runAllTimersAsync();
+    const waits = calls.slice(1).map((t, i) => t - calls[i]);
+    expect(waits[0]).toBeGreaterThan(990);
+    expect(waits[0]).toBeLessThanOrEqual(1000);
+    expect(waits[1]).toBeLessThanOrEqual(2000);
+    expect(waits[2]).toBeLessThanOrEqual(2000); // capped, not 4 s
+  });
+
+  it('waits as long as Retry-After says and pauses other jobs meanwhile', async () => {
+    const limited = scripted(httpError(429, { retryAfterMs: 5000 }));
+    const other = scripted();
+    aiQueue.enqueue(limited.task, { key: 'limited' });
+    await vi.advanceTimersByTimeAsync(0);
+    aiQueue.enqueue(other.task);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(other.calls).toEqual([]);
+    expect(aiQueue.getStatus('limited')).toMatchObject({ state: 'retrying', attempt: 1, waitMs: 5000, error: 'HTTP 429' });
+
+    await vi.runAllTimersAsync();
+    expect(limited.calls).toEqual([0, 5000]);
+    expect(other.calls).toEqual([5000]);
+  });
+
+  it('gives up after maxRetries and on errors that are not retryable', async () => {
+    const flaky = scripted(...Array(5).fill(httpError(503)));
+    const exhausted = aiQueue.enqueue(flaky.task).catch(err => err);
+    const auth = scripted(httpError(401));
+    const rejected = aiQueue.enqueue(auth.task).catch(err => err);
+    await vi.runAllTimersAsync();
+    expect((await exhausted).status).toBe(503);
+    expect(flaky.task).toHaveBeenCalledTimes(5);
+    expect((await rejected).status).toBe(401);
+    expect(auth.task).toHaveBeenCalledOnce();
+  });
+
+  it('retries network failures', async () => {
+    const { task } = scripted(new TypeError('Failed to fetch'));
+    const result = aiQueue.enqueue(task);
+    await vi.runAllTimersAsync();
+    expect(await result).toBe('ok');
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('aiQueue limits', () => {
+  it('starts no more than requestsPerMinute requests in any minute', async () => {
+    aiQueue.configure({ concurrency: 10, requestsPerMinute: 2 });
+    const starts = [];
+    const jobs = Array.from({ length: 5 }, () => aiQueue.enqueue(async () => starts.push(Date.now())));
+    await vi.runAllTimersAsync();
+    await Promise.all(jobs);
+    expect(starts).toEqual([0, 0, 60_000, 60_000, 120_000]);
+  });
+
+  it('runs at most `concurrency` tasks at once', async () => {
+    aiQueue.configure({ concurrency: 2 });
+    let active = 0, peak = 0;
+    const task = async () => {
+      peak = Math.max(peak, ++active);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      active--;
+    };
+    const jobs = Array.from({ length: 5 }, () => aiQueue.enqueue(task));
+    await vi.runAllTimersAsync();
+    await Promise.all(jobs);
+    expect(peak).toBe(2);
+    expect(Date.now()).toBe(300);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { BatchControl, InFlightLimit, ThroughputMeter, abortable, isAbortError } from '../src/batch-control.js';
+
+const settled = async (promise) => {
+  let state = 'pending';
+  promise.then(() => { state = 'resolved'; }, () => { state = 'rejected'; });
+  await new Promise(resolve => setTimeout(resolve, 0));
+  return state;
+};
+
+describe('BatchControl', () => {
+  it('holds waiters while paused and lets them go on resume', async () => {
+    const batch = new BatchControl();
+    await expect(batch.whenRunning()).resolves.toBeUndefined();
+    batch.pause();
+    const waiting = batch.whenRunning();
+    expect(await settled(waiting)).toBe('pending');
+    batch.resume();
+    expect(await settled(waiting)).toBe('resolved');
+  });
+
+  it('releases waiters and aborts the signal on cancel', async () => {
+    const batch = new BatchControl();
+    batch.pause();
+    const waiting = batch.whenRunning();
+    batch.cancel();
+    expect(await settled(waiting)).toBe('resolved');
+    expect(batch.cancelled).toBe(true);
+    expect(batch.paused).toBe(false);
+    expect(isAbortError(batch.signal.reason)).toBe(true);
+    batch.pause();
+    expect(batch.paused).toBe(false);
+  });
+});
+
+describe('abortable', () => {
+  it('rejects when the signal aborts before the promise settles', async () => {
+    const controller = new AbortController();
+    const pending = abortable(new Promise(() => {}), controller.signal);
+    controller.abort(new DOMException('stop', 'AbortError'));
+    await expect(pending).rejects.toThrow('stop');
+    await expect(abortable(Promise.resolve(1), controller.signal)).rejects.toThrow('stop');
+    await expect(abortable(Promise.resolve(2))).resolves.toBe(2);
+  });
+});
+
+describe('InFlightLimit', () => {
+  it('grants slots in the order they were asked for', async () => {
+    const limit = new InFlightLimit(1);
+    const order = [];
+    await limit.acquire();
+    const second = limit.acquire().then(() => order.push('second'));
+    const third = limit.acquire().then(() => order.push('third'));
+    limit.release();
+    await second;
+    limit.release();
+    await third;
+    expect(order).toEqual(['second', 'third']);
+    limit.release();
+    expect(limit.active).toBe(0);
+  });
+
+  it('drops an aborted waiter without taking a slot', async () => {
+    const limit = new InFlightLimit(1);
+    await limit.acquire();
+    const controller = new AbortController();
+    const aborted = limit.acquire(controller.signal);
+    const next = limit.acquire();
+    controller.abort(new DOMException('stop', 'AbortError'));
+    await expect(aborted).rejects.toThrow('stop');
+    limit.release();
+    expect(await settled(next)).toBe('resolved');
+    expect(limit.active).toBe(1);
+  });
+});
+
+describe('ThroughputMeter', () => {
+  it('averages the recent completions', () => {
+    let now = 0;
+    const meter = new ThroughputMeter(() => now, 2);
+    expect(meter.perMinute()).toBeNull();
+    expect(meter.remaining(5)).toBeNull();
+    now = 30000;
+    meter.tick();
+    expect(meter.perMinute()).toBe(2);
+    now = 60000;
+    meter.tick();
+    now = 70000;
+    meter.tick(); // only the last two completions count: 40s for 2 items
+    expect(meter.perMinute()).toBe(3);
+    expect(meter.remaining(6)).toBe(120000);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { AutoShutter, ANALYSIS_WIDTH, ANALYZE_INTERVAL_MS } from '../src/camera-capture.js';
+import { fakePagePose } from '../src/fake-camera.js';
+
+const STREAM = { width: 1280, height: 720, pageMs: 6000 };
+const WIDTH = ANALYSIS_WIDTH;
+const HEIGHT = Math.round((STREAM.height * WIDTH) / STREAM.width);
+
+/**
+ * The fake camera's frame at the analysis size, drawn in luma: desk, page and
+ * rows of dark "text" like the canvas version prints
+ */
+function renderFrame(elapsed) {
+  const scale = WIDTH / STREAM.width;
+  const { x, y, angle, pageWidth, pageHeight } = fakePagePose(elapsed, STREAM);
+  const cx = x * scale;
+  const cy = y * scale;
+  const halfW = (pageWidth * scale) / 2;
+  const halfH = (pageHeight * scale) / 2;
+  const margin = halfW * 0.2;
+  const lineHeight = (halfH * 2) / 22;
+  const cos = Math.cos(-angle);
+  const sin = Math.sin(-angle);
+  const gray = new Uint8ClampedArray(WIDTH * HEIGHT).fill(40);
+  for (let py = 0; py < HEIGHT; py++) {
+    for (let px = 0; px < WIDTH; px++) {
+      // Into page coordinates: origin at the top-left corner, unrotated
+      const u = (px - cx) * cos - (py - cy) * sin + halfW;
+      const v = (px - cx) * sin + (py - cy) * cos + halfH;
+      if (u < 0 || v < 0 || u >= halfW * 2 || v >= halfH * 2) continue;
+      const row = Math.floor((v - margin) / lineHeight);
+      const inText = u > margin && u < halfW * 2 - margin && row >= 0 && row < 14
+        && (v - margin) % lineHeight < lineHeight * 0.5 && Math.floor(u / 2) % 3 !== 0;
+      gray[py * WIDTH + px] = inText ? 30 : 235;
+    }
+  }
+  return gray;
+}
+
+describe('AutoShutter on the fake camera stream', () => {
+  it('takes one picture of each page, outlined where the page is', () => {
+    const shutter = new AutoShutter();
+    const captures = [];
+    for (let elapsed = 0; elapsed < STREAM.pageMs * 2; elapsed += ANALYZE_INTERVAL_MS) {
+      const tone = shutter.analyze(renderFrame(elapsed), WIDTH, HEIGHT);
+      if (tone !== 'ready') continue;
+      captures.push({ elapsed, quad: shutter.quad });
+      shutter.captured();
+    }
+
+    expect(captures.map(c => fakePagePose(c.elapsed, STREAM).page)).toEqual([1, 2]);
+    for (const { elapsed, quad } of captures) {
+      // Only while the page holds still
+      const t = (elapsed % STREAM.pageMs) / STREAM.pageMs;
+      expect(t).toBeGreaterThanOrEqual(0.2);
+      expect(t).toBeLessThanOrEqual(0.9);
+
+      const scale = WIDTH / STREAM.width;
+      const { x, y, angle, pageWidth, pageHeight } = fakePagePose(elapsed, STREAM);
+      const expected = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+        const dx = (sx * pageWidth) / 2;
+        const dy = (sy * pageHeight) / 2;
+        return { x: (x + dx * Math.cos(angle) - dy * Math.sin(angle)) * scale, y: (y + dx * Math.sin(angle) + dy * Math.cos(angle)) * scale };
+      });
+      quad.corners.forEach((corner, i) => {
+        expect(Math.hypot(corner.x - expected[i].x, corner.y - expected[i].y)).toBeLessThan(4);
+      });
+    }
+  });
+
+  it('waits while the page is out of focus', () => {
+    const shutter = new AutoShutter();
+    const held = renderFrame(STREAM.pageMs * 0.5);
+    // Box blur wipes out the text strokes but keeps the page
+    const blurred = new Uint8ClampedArray(held.length);
+    const at = (x, y) => held[Math.min(HEIGHT - 1, Math.max(0, y)) * WIDTH + Math.min(WIDTH - 1, Math.max(0, x))];
+    for (let y = 0; y < HEIGHT; y++) {
+      for (let x = 0; x < WIDTH; x++) {
+        let sum = 0;
+        for (let dy = -6; dy <= 6; dy++) for (let dx = -6; dx <= 6; dx++) sum += at(x + dx, y + dy);
+        blurred[y * WIDTH + x] = sum / 169;
+      }
+    }
+    const tones = Array.from({ length: 10 }, () => shutter.analyze(blurred, WIDTH, HEIGHT));
+    expect(tones).not.toContain('ready');
+    expect(tones.at(-1)).toBe('warning');
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { detectDocument, measureSharpness, frameDifference, cornerDrift, quadBounds, homography } from '../src/document-detect.js';
+
+const WIDTH = 200;
+const HEIGHT = 150;
+
+/** Dark frame with bright pixels wherever `inside(x, y)` holds */
+function frame(inside) {
+  const gray = new Uint8ClampedArray(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) gray[y * WIDTH + x] = inside(x, y) ? 230 : 40;
+  }
+  return gray;
+}
+
+const rect = (x0, y0, x1, y1) => (x, y) => x >= x0 && x <= x1 && y >= y0 && y <= y1;
+
+describe('detectDocument', () => {
+  it('finds the corners of a bright page', () => {
+    const quad = detectDocument(frame(rect(40, 20, 160, 130)), WIDTH, HEIGHT);
+    expect(quad.corners).toEqual([{ x: 40, y: 20 }, { x: 160, y: 20 }, { x: 160, y: 130 }, { x: 40, y: 130 }]);
+    expect(quad.coverage).toBeCloseTo((120 * 110) / (WIDTH * HEIGHT), 5);
+  });
+
+  it('keeps a page with text holes in it', () => {
+    const page = rect(40, 20, 160, 130);
+    const gray = frame((x, y) => page(x, y) && !(y % 8 < 2 && x > 50 && x < 150));
+    expect(detectDocument(gray, WIDTH, HEIGHT)).not.toBeNull();
+  });
+
+  it('rejects frames without a page-shaped region', () => {
+    expect(detectDocument(frame(rect(90, 70, 100, 80)), WIDTH, HEIGHT)).toBeNull(); // too small
+    expect(detectDocument(frame(() => true), WIDTH, HEIGHT)).toBeNull(); // nothing to tell apart
+    // An L shape fills too little of the quadrilateral its extreme points span
+    const l = (x, y) => rect(30, 20, 170, 60)(x, y) || rect(30, 20, 70, 130)(x, y);
+    expect(detectDocument(frame(l), WIDTH, HEIGHT)).toBeNull();
+  });
+});
+
+describe('frame measures', () => {
+  it('measures sharp edges higher than a flat frame', () => {
+    const stripes = frame((x) => x % 4 < 2);
+    expect(measureSharpness(stripes, WIDTH, HEIGHT)).toBeGreaterThan(1000);
+    expect(measureSharpness(frame(() => false), WIDTH, HEIGHT)).toBe(0);
+    expect(measureSharpness(stripes, WIDTH, HEIGHT, { x: 0, y: 0, width: 0, height: 0 })).toBe(0);
+  });
+
+  it('compares frames', () => {
+    const a = frame(rect(40, 20, 160, 130));
+    expect(frameDifference(a, a)).toBe(0);
+    expect(frameDifference(a, null)).toBe(255);
+    expect(frameDifference(a, frame(() => true))).toBeGreaterThan(0);
+  });
+
+  it('measures corner drift relative to the diagonal', () => {
+    const a = { corners: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }] };
+    const b = { corners: a.corners.map(({ x, y }) => ({ x: x + 3, y: y + 4 })) };
+    expect(cornerDrift(a, b, 30, 40)).toBeCloseTo(5 / 50);
+    expect(cornerDrift(a, null, 30, 40)).toBe(Infinity);
+  });
+
+  it('insets the bounding box', () => {
+    const corners = [{ x: 10, y: 10 }, { x: 110, y: 12 }, { x: 108, y: 60 }, { x: 12, y: 58 }];
+    expect(quadBounds(corners)).toEqual({ x: 10, y: 10, width: 100, height: 50 });
+    expect(quadBounds(corners, 0.1)).toEqual({ x: 20, y: 15, width: 80, height: 40 });
+  });
+});
+
+describe('homography', () => {
+  const apply = (h, { x, y }) => {
+    const w = h[6] * x + h[7] * y + h[8];
+    return { x: (h[0] * x + h[1] * y + h[2]) / w, y: (h[3] * x + h[4] * y + h[5]) / w };
+  };
+
+  it('maps each corner onto its target', () => {
+    const from = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 140 }, { x: 0, y: 140 }];
+    const to = [{ x: 12, y: 8 }, { x: 118, y: 15 }, { x: 110, y: 160 }, { x: 5, y: 150 }];
+    const h = homography(from, to);
+    from.forEach((p, i) => {
+      const q = apply(h, p);
+      expect(q.x).toBeCloseTo(to[i].x, 6);
+      expect(q.y).toBeCloseTo(to[i].y, 6);
+    });
+  });
+
+  it('returns null for degenerate points', () => {
+    const line = [{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }, { x: 3, y: 3 }];
+    expect(homography(line, line)).toBeNull();
+  });
+});
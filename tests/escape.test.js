@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { escapeHtml, escapeXml } from '../src/escape.js';
+
+describe('escapeHtml', () => {
+  it('escapes markup and both quote styles', () => {
+    expect(escapeHtml(`<b title="x">Tom & Jerry's</b>`)).toBe('&lt;b title=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/b&gt;');
+  });
+
+  it('keeps values inside a quoted attribute', () => {
+    const value = `" onmouseover="alert(1)' x='`;
+    expect(`value="${escapeHtml(value)}"`).not.toMatch(/"[^"]*"[^"]*"/);
+    expect(`value='${escapeHtml(value)}'`).not.toMatch(/'[^']*'[^']*'/);
+  });
+
+  it('turns missing values into empty text', () => {
+    expect(escapeHtml(null)).toBe('');
+    expect(escapeHtml(undefined)).toBe('');
+    expect(escapeHtml(42)).toBe('42');
+  });
+});
+
+describe('escapeXml', () => {
+  it('drops control characters XML 1.0 forbids and keeps whitespace', () => {
+    expect(escapeXml('a\x00b\x0Bc\td\ne\rf & g')).toBe('abc\td\ne\rf &amp; g');
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { LANGUAGES, SCRIPT_LABELS, SCRIPT_LANGS, getLanguage, parseLangs, normalizeLang, langHint, langLabel } from '../src/languages.js';
+
+describe('language catalog', () => {
+  it('has one entry per code, each in a known script', () => {
+    expect(new Set(LANGUAGES.map(l => l.code)).size).toBe(LANGUAGES.length);
+    expect(LANGUAGES.filter(l => !(l.script in SCRIPT_LABELS))).toEqual([]);
+  });
+
+  it('maps every detected script to a catalog language', () => {
+    expect(Object.values(SCRIPT_LANGS).filter(code => !getLanguage(code))).toEqual([]);
+  });
+});
+
+describe('parseLangs', () => {
+  it('keeps order, drops duplicates and unknown codes', () => {
+    expect(parseLangs('kor+eng+kor+xyz+jpn').map(l => l.code)).toEqual(['kor', 'eng', 'jpn']);
+  });
+
+  it('returns nothing for empty input', () => {
+    expect(parseLangs('')).toEqual([]);
+    expect(parseLangs(null)).toEqual([]);
+    expect(parseLangs('auto')).toEqual([]);
+  });
+});
+
+describe('normalizeLang', () => {
+  it('cleans a language string', () => {
+    expect(normalizeLang('eng+xyz+eng+kor')).toBe('eng+kor');
+    expect(normalizeLang('chi_tra')).toBe('chi_tra');
+  });
+
+  it('keeps auto and rejects strings without a known language', () => {
+    expect(normalizeLang('auto')).toBe('auto');
+    expect(normalizeLang('xyz')).toBeNull();
+    expect(normalizeLang('')).toBeNull();
+    expect(normalizeLang(null)).toBeNull();
+  });
+});
+
+describe('langHint', () => {
+  it('names the languages for prompts, primary first', () => {
+    expect(langHint('kor+eng')).toBe('한국어, English');
+    expect(langHint('chi_tra')).toBe('中文 (繁體)');
+  });
+
+  it('falls back to English', () => {
+    expect(langHint('xyz')).toBe('English');
+    expect(langHint(undefined)).toBe('English');
+  });
+});
+
+describe('langLabel', () => {
+  it('counts the languages past the limit', () => {
+    expect(langLabel('kor+eng')).toBe('한국어 + English');
+    expect(langLabel('kor+eng+jpn')).toBe('한국어 + English 외 1개');
+    expect(langLabel('auto')).toBe('🧭 자동 감지');
+  });
+});
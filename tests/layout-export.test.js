@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { toHocr, toAlto, layoutFilename } from '../src/layout-export.js';
+
+const bbox = (x0, y0, x1, y1) => ({ x0, y0, x1, y1 });
+
+function page(lines) {
+  return {
+    filename: 'scan.pdf#p2',
+    imageSize: { width: 200, height: 100 },
+    lang: 'kor+eng',
+    blocks: [{
+      bbox: bbox(0, 0, 200, 100),
+      paragraphs: [{ bbox: bbox(0, 0, 200, 100), is_ltr: true, lines }],
+    }],
+  };
+}
+
+const wordLine = {
+  text: 'A & B',
+  bbox: bbox(10, 10, 90, 30),
+  baseline: { x0: 10, y0: 28, x1: 90, y1: 28 },
+  words: [
+    { text: 'A', bbox: bbox(10, 10, 30, 30), confidence: 91 },
+    { text: '&', bbox: bbox(40, 10, 50, 30), confidence: 80 },
+    { text: 'B', bbox: bbox(60, 10, 90, 30), confidence: 75.5 },
+  ],
+};
+const emptyLine = { text: '', bbox: bbox(10, 40, 90, 60), words: [] };
+
+describe('layoutFilename', () => {
+  it('replaces page markers and the extension', () => {
+    expect(layoutFilename('scan.pdf#p2', 'hocr')).toBe('scan.pdf_p2.hocr');
+    expect(layoutFilename('photo.JPG', 'alto.xml')).toBe('photo.alto.xml');
+  });
+});
+
+describe('toHocr', () => {
+  it('writes words with confidences and escapes text', () => {
+    const hocr = toHocr([page([wordLine])]);
+    expect(hocr).toContain('<span class="ocrx_word" id="word_1_2" title="bbox 40 10 50 30; x_wconf 80">&amp;</span>');
+    expect(hocr).toContain('xml:lang="ko" lang="ko"');
+    expect(hocr).toContain('<p class="ocr_par" id="par_1_1" lang="ko"');
+    expect(hocr).toContain('baseline 0.000 -2');
+  });
+});
+
+describe('toAlto', () => {
+  it('writes strings separated by spaces', () => {
+    const alto = toAlto([page([wordLine])]);
+    expect(alto).toContain('<String ID="string_1_1" HPOS="10" VPOS="10" WIDTH="20" HEIGHT="20" WC="0.91" CONTENT="A"/>');
+    expect(alto).toContain('<SP WIDTH="10" HPOS="30" VPOS="10"/>');
+    expect(alto).toContain('CONTENT="&amp;"');
+  });
+
+  it('tags blocks with BCP 47 languages', () => {
+    const alto = toAlto([{ ...page([wordLine]), lang: 'chi_tra_vert+eng' }]);
+    expect(alto).toContain('LANG="zh-Hant"');
+  });
+
+  it('names the source image once per document', () => {
+    const single = toAlto([page([wordLine])]);
+    expect(single.match(/<fileName>/g)).toHaveLength(1);
+    expect(single).toContain('<fileName>scan.pdf#p2</fileName>');
+
+    const pdf = toAlto([{ ...page([wordLine]), filename: 'scan.pdf#p1' }, page([wordLine])]);
+    expect(pdf.match(/<fileName>/g)).toHaveLength(1);
+    expect(pdf).toContain('<fileName>scan.pdf</fileName>');
+    expect(pdf).toContain('<fileIdentifier fileIdentifierLocation="page_2">scan.pdf#p2</fileIdentifier>');
+
+    const photos = toAlto([{ ...page([wordLine]), filename: 'a.jpg' }, { ...page([wordLine]), filename: 'b.jpg' }]);
+    expect(photos).not.toContain('<fileName>');
+    expect(photos.match(/<fileIdentifier /g)).toHaveLength(2);
+  });
+
+  it('leaves out lines without words', () => {
+    const alto = toAlto([page([emptyLine, wordLine])]);
+    expect(alto.match(/<TextLine /g)).toHaveLength(1);
+    expect(alto).not.toMatch(/<TextLine[^>]*>\s*<\/TextLine>/);
+  });
+});
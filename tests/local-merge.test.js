@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { localMerge } from '../src/local-merge.js';
+
+const line = (...words) => ({ words: words.map(([text, confidence]) => ({ text, confidence })) });
+
+describe('localMerge', () => {
+  it('keeps confident OCR words and takes Vision for doubtful ones', () => {
+    const lines = [line(['Invoice', 95], ['nurnber', 40], ['1234', 92])];
+    expect(localMerge('Invoice nurnber 1234', 'Invoice number 1284', { lines })).toBe('Invoice number 1234');
+  });
+
+  it('adds words only Vision saw and drops doubtful words only OCR saw', () => {
+    const lines = [line(['total', 90], ['~~', 20], ['due', 90])];
+    expect(localMerge('total ~~ due', 'total amount due', { lines })).toBe('total amount due');
+    expect(localMerge('total ~~ due', 'total due', { lines })).toBe('total due');
+  });
+
+  it('falls back to the page confidence where no word matched', () => {
+    expect(localMerge('colour', 'color', { confidence: 90 })).toBe('colour');
+    expect(localMerge('colour', 'color', { confidence: 50 })).toBe('color');
+  });
+
+  it('returns the other text when one side is empty', () => {
+    expect(localMerge('', 'vision only')).toBe('vision only');
+    expect(localMerge('ocr only', '  ')).toBe('ocr only');
+  });
+
+  it('respects a custom threshold', () => {
+    const lines = [line(['cat', 70])];
+    expect(localMerge('cat', 'cut', { lines })).toBe('cut');
+    expect(localMerge('cat', 'cut', { lines, threshold: 60 })).toBe('cat');
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { buildProvenance, resultProvenance, composeProvenance, segmentOptions, provenanceStats } from '../src/merge-provenance.js';
+
+describe('buildProvenance', () => {
+  const segments = buildProvenance('the quick brown fax', 'the quick crown fox', 'the quick brown fox');
+
+  it('joins back to the merged text', () => {
+    expect(segments.map(s => s.text).join('')).toBe('the quick brown fox');
+  });
+
+  it('attributes each disagreement to the source it followed', () => {
+    const disagreements = segments.filter(s => s.source !== 'both');
+    expect(disagreements.map(s => s.source)).toEqual(['ocr', 'vision']);
+    expect(disagreements[0]).toMatchObject({ text: 'brown', ocr: 'brown', vision: 'crown' });
+    expect(disagreements[1]).toMatchObject({ text: 'fox', ocr: 'fax', vision: 'fox' });
+  });
+
+  it('marks text neither source read as the model', () => {
+    expect(buildProvenance('the cat sat', 'the cut sat', 'the cot sat')).toEqual([
+      { source: 'both', text: 'the ' },
+      { source: 'model', text: 'cot', ocr: 'cat', vision: 'cut' },
+      { source: 'both', text: ' sat' },
+    ]);
+  });
+});
+
+describe('composeProvenance / segmentOptions', () => {
+  const segments = buildProvenance('the quick brown fax', 'the quick crown fox', 'the quick brown fox');
+  const first = segments.findIndex(s => s.source !== 'both');
+
+  it('switches a segment to either source', () => {
+    expect(composeProvenance(segments)).toBe('the quick brown fox');
+    expect(composeProvenance(segments, { [first]: 'vision' })).toBe('the quick crown fox');
+  });
+
+  it('offers only the readings that differ', () => {
+    expect(segmentOptions(segments[first])).toEqual(['merged', 'vision']);
+    expect(segmentOptions({ source: 'model', text: 'o', ocr: 'a', vision: 'a' })).toEqual(['merged', 'ocr']);
+    expect(segmentOptions({ source: 'both', text: 'x' })).toEqual([]);
+  });
+});
+
+describe('resultProvenance / provenanceStats', () => {
+  it('uses stored provenance and rebuilds it otherwise', () => {
+    const stored = [{ source: 'both', text: 'x' }];
+    expect(resultProvenance({ provenance: stored })).toBe(stored);
+    expect(resultProvenance({ ocrText: 'a', visionText: 'a' })).toBeNull();
+    expect(resultProvenance({ ocrText: 'a b', visionText: 'a c', mergedText: 'a b' }).map(s => s.text).join('')).toBe('a b');
+  });
+
+  it('counts words per source', () => {
+    expect(provenanceStats([
+      { source: 'both', text: 'one two ' },
+      { source: 'ocr', text: 'three' },
+      { source: 'model', text: ' ' },
+    ])).toEqual({ both: 2, ocr: 1, vision: 0, model: 0 });
+  });
+});
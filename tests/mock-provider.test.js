@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mockProvider, setMockResponses } from '../src/mock-provider.js';
+
+const image = { name: 'page.png' };
+const config = model => ({ model });
+
+// Attach the rejection handler before the timers run so nothing goes unhandled
+async function settle(promise) {
+  const outcome = promise.then(value => ({ value }), error => ({ error }));
+  await vi.runAllTimersAsync();
+  return outcome;
+}
+
+describe('mockProvider', () => {
+  beforeEach(() => vi.useFakeTimers());
+  afterEach(() => {
+    setMockResponses();
+    vi.useRealTimers();
+  });
+
+  it('echoes a marker for vision and keeps the OCR text when merging', async () => {
+    expect(await settle(mockProvider.readText(image, 'kor', config('mock-echo')))).toEqual({ value: '[모의 Vision] page.png' });
+    expect(await settle(mockProvider.readTables(image, 'kor', config('mock-echo')))).toEqual({ value: [] });
+    expect(await settle(mockProvider.merge('ocr', 'vision', 'kor', config('mock-echo')))).toEqual({ value: 'ocr' });
+  });
+
+  it('answers only after its latency', async () => {
+    const done = vi.fn();
+    mockProvider.readText(image, 'kor', config('mock-echo')).then(done);
+    await vi.advanceTimersByTimeAsync(399);
+    expect(done).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(1);
+    expect(done).toHaveBeenCalledOnce();
+  });
+
+  it('returns the responses set by a test harness', async () => {
+    const readText = vi.fn(file => `text of ${file.name}`);
+    setMockResponses({ readText, merge: (ocr, vision, lang) => `${ocr}|${vision}|${lang}` });
+    expect(await settle(mockProvider.readText(image, 'eng', config('mock-echo')))).toEqual({ value: 'text of page.png' });
+    expect(readText).toHaveBeenCalledWith(image, 'eng');
+    expect(await settle(mockProvider.merge('a', 'b', 'eng', config('mock-echo')))).toEqual({ value: 'a|b|eng' });
+    // Responses not overridden keep their defaults
+    expect(await settle(mockProvider.readTables(image, 'eng', config('mock-echo')))).toEqual({ value: [] });
+
+    setMockResponses({ readTables: () => [{ rows: [['x']] }] });
+    expect(await settle(mockProvider.readTables(image, 'eng', config('mock-echo')))).toEqual({ value: [{ rows: [['x']] }] });
+    expect(await settle(mockProvider.readText(image, 'eng', config('mock-echo')))).toEqual({ value: '[모의 Vision] page.png' });
+  });
+
+  it('passes errors thrown by an override through', async () => {
+    setMockResponses({ merge: () => { throw new Error('bad merge'); } });
+    const { error } = await settle(mockProvider.merge('a', 'b', 'eng', config('mock-echo')));
+    expect(error.message).toBe('bad merge');
+  });
+
+  it('rejects every call with mock-fail', async () => {
+    const { error } = await settle(mockProvider.readText(image, 'kor', config('mock-fail')));
+    expect(error.message).toContain('mock-fail');
+  });
+
+  it('rate limits every other call with mock-flaky', async () => {
+    const outcomes = [];
+    for (let i = 0; i < 4; i++) outcomes.push(await settle(mockProvider.readText(image, 'kor', config('mock-flaky'))));
+    expect(outcomes.map(o => (o.error ? o.error.status : 'ok'))).toEqual([429, 'ok', 429, 'ok']);
+    expect(outcomes[0].error.retryAfterMs).toBe(1000);
+  });
+
+  it('rejects with the abort reason and cancels the pending answer', async () => {
+    const produce = vi.fn(() => 'late');
+    setMockResponses({ readText: produce });
+    const controller = new AbortController();
+    const outcome = mockProvider.readText(image, 'kor', config('mock-echo'), { signal: controller.signal })
+      .then(value => ({ value }), error => ({ error }));
+    controller.abort(new DOMException('취소됨', 'AbortError'));
+    await vi.runAllTimersAsync();
+    expect((await outcome).error.name).toBe('AbortError');
+    expect(produce).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const CDN = 'https://cdn.jsdelivr.net/npm/@tesseract.js-data';
+
+// offline.js resolves its paths against the page location when it loads
+async function loadOffline(env = {}) {
+  vi.resetModules();
+  vi.stubGlobal('location', new URL('https://ocr.example/app/'));
+  vi.stubGlobal('navigator', {});
+  for (const [name, value] of Object.entries(env)) vi.stubEnv(name, value);
+  return import('../src/offline.js');
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.unstubAllEnvs();
+});
+
+describe('packUrl', () => {
+  let offline;
+  beforeEach(async () => {
+    offline = await loadOffline();
+  });
+
+  it('serves the bundled packs from the app, in the variant asked for', () => {
+    expect(offline.BUNDLED_LANG_PACKS).toEqual(expect.arrayContaining(['kor', 'eng', 'osd']));
+    expect(offline.packUrl('kor')).toBe('https://ocr.example/tessdata/4.0.0_best_int/kor.traineddata.gz');
+    expect(offline.packUrl('osd', true)).toBe('https://ocr.example/tessdata/4.0.0/osd.traineddata.gz');
+  });
+
+  it('fetches other languages from the CDN', () => {
+    expect(offline.packUrl('jpn')).toBe(`${CDN}/jpn/4.0.0_best_int/jpn.traineddata.gz`);
+    expect(offline.packUrl('chi_sim', true)).toBe(`${CDN}/chi_sim/4.0.0/chi_sim.traineddata.gz`);
+  });
+
+  it('uses one folder for every language when VITE_TESSERACT_LANG_PATH is set', async () => {
+    const local = await loadOffline({ VITE_TESSERACT_LANG_PATH: '/tessdata-local/' });
+    expect(local.packUrl('jpn')).toBe('https://ocr.example/tessdata-local/jpn.traineddata.gz');
+    expect(local.packUrl('kor', true)).toBe('https://ocr.example/tessdata-local/kor.traineddata.gz');
+  });
+});
+
+describe('tesseractOptions', () => {
+  it('loads bundled languages from the app', async () => {
+    const { tesseractOptions } = await loadOffline();
+    expect(tesseractOptions('kor+eng')).toMatchObject({ langPath: 'https://ocr.example/tessdata/4.0.0_best_int' });
+    expect(tesseractOptions('osd', true)).toMatchObject({ langPath: 'https://ocr.example/tessdata/4.0.0' });
+  });
+
+  it('leaves mixed languages to the CDN, since one worker reads one folder', async () => {
+    const { tesseractOptions } = await loadOffline();
+    expect(tesseractOptions('kor+jpn')).not.toHaveProperty('langPath');
+  });
+
+  it('serves the worker and core from the app, from its own URL', async () => {
+    const { tesseractOptions } = await loadOffline();
+    const options = tesseractOptions('kor');
+    expect(options.workerPath).toMatch(/^https:\/\/ocr\.example\/tesseract\/[\d.]+\/worker\.min\.js$/);
+    expect(options.corePath).toMatch(/^https:\/\/ocr\.example\/tesseract\/core-[\d.]+$/);
+    expect(options.workerBlobURL).toBe(false);
+    expect(options).not.toHaveProperty('cacheMethod');
+  });
+
+  it('skips the IndexedDB copy of packs when the service worker caches them', async () => {
+    const { tesseractOptions } = await loadOffline();
+    vi.stubGlobal('navigator', { serviceWorker: { controller: {} } });
+    expect(tesseractOptions('kor').cacheMethod).toBe('none');
+  });
+});
+
+describe('CJK_FONT_URLS', () => {
+  it('points every cjkFont key at a font on the app origin', async () => {
+    const { CJK_FONT_URLS } = await loadOffline();
+    expect(Object.keys(CJK_FONT_URLS).sort()).toEqual(['JP', 'KR', 'SC', 'TC']);
+    expect(CJK_FONT_URLS.KR).toMatch(/^https:\/\/ocr\.example\/fonts\/noto-sans-kr-[\d.]+\/NotoSansKR_400Regular\.ttf$/);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+// 1×1 white PNG
+const PNG = Uint8Array.from(atob('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4//8/AAX+Av4N70a4AAAAAElFTkSuQmCC'), c => c.charCodeAt(0));
+const FONT = 'node_modules/@expo-google-fonts/noto-sans-kr/400Regular/NotoSansKR_400Regular.ttf';
+
+let createSearchablePdf;
+beforeAll(async () => {
+  // pdf-export resolves its font URLs against the page location when it loads
+  vi.stubGlobal('location', new URL('http://localhost/'));
+  ({ createSearchablePdf } = await import('../src/pdf-export.js'));
+});
+
+const word = (text, x0) => ({ text, bbox: { x0, y0: 10, x1: x0 + 40, y1: 30 } });
+
+async function pageTexts(bytes) {
+  const doc = await getDocument({ data: bytes, verbosity: 0 }).promise;
+  const texts = [];
+  for (let i = 1; i <= doc.numPages; i++) {
+    const { items } = await (await doc.getPage(i)).getTextContent();
+    texts.push(items.map(item => item.str).join('').replace(/\s+/g, ' ').trim());
+  }
+  return texts;
+}
+
+describe('createSearchablePdf', () => {
+  it('puts every word in the text layer of its page', async () => {
+    const pages = [
+      { image: new Blob([PNG], { type: 'image/png' }), imageSize: { width: 200, height: 100 }, lines: [{ words: [word('Invoice', 0), word('42', 100)] }] },
+      { image: new Blob([PNG], { type: 'image/png' }), imageSize: { width: 200, height: 100 }, lines: [{ words: [word('Total', 0)] }] },
+    ];
+    const progress = [];
+    const bytes = await createSearchablePdf(pages, { lang: 'eng' }, (done, total) => progress.push(`${done}/${total}`));
+    expect(await pageTexts(bytes)).toEqual(['Invoice 42', 'Total']);
+    expect(progress).toEqual(['1/2', '2/2']);
+  });
+
+  it('skips words the font cannot encode and keeps drawing the rest', async () => {
+    const pages = [{ image: new Blob([PNG], { type: 'image/png' }), imageSize: { width: 200, height: 100 }, lines: [{ words: [word('first', 0), word('한글', 50), word('last', 100)] }] }];
+    const bytes = await createSearchablePdf(pages, { lang: 'eng' });
+    expect(await pageTexts(bytes)).toEqual(['first last']);
+  });
+
+  it('embeds the CJK font for Korean', async () => {
+    const fetch = vi.fn(async () => new Response(readFileSync(FONT)));
+    vi.stubGlobal('fetch', fetch);
+    try {
+      const pages = [{ image: new Blob([PNG], { type: 'image/png' }), imageSize: { width: 200, height: 100 }, lines: [{ words: [word('안녕하세요', 0)] }] }];
+      const bytes = await createSearchablePdf(pages, { lang: 'eng+kor' });
+      expect(fetch.mock.calls[0][0]).toMatch(/NotoSansKR/);
+      expect(await pageTexts(bytes)).toEqual(['안녕하세요']);
+    } finally {
+      vi.unstubAllGlobals();
+      vi.stubGlobal('location', new URL('http://localhost/'));
+    }
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { selectEvictions } from '../src/result-cache.js';
+
+describe('selectEvictions', () => {
+  const entries = [
+    { key: 'a', size: 100 },
+    { key: 'b', size: 300 },
+    { key: 'c', size: 50 },
+  ];
+
+  it('keeps everything within the limits', () => {
+    expect(selectEvictions(entries, 3, 1000)).toEqual([]);
+  });
+
+  it('drops the oldest entries beyond maxEntries', () => {
+    expect(selectEvictions(entries, 1, 1000)).toEqual(['a', 'b']);
+  });
+
+  it('drops the oldest entries until the bytes fit', () => {
+    expect(selectEvictions(entries, 10, 350)).toEqual(['a']);
+    expect(selectEvictions(entries, 10, 100)).toEqual(['a', 'b']);
+  });
+});
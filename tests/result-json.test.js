@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { buildResultsJson, parseResultsJson, RESULTS_FORMAT, RESULTS_SCHEMA_VERSION } from '../src/result-json.js';
+
+const session = {
+  id: 'session-1',
+  name: 'OCR test',
+  createdAt: Date.UTC(2025, 2, 14),
+  lang: 'kor',
+  aiMode: 'ai',
+  mergeStrategy: 'local',
+  preprocessPreset: 'document',
+  ocrProfile: 'balanced',
+  ruleSet: { id: 'rules-1', name: '송장', rules: [{ find: '0', replace: 'O', regex: false }] },
+};
+const engine = { ocrEngine: 'tesseract.js 7.0.0', aiModel: 'gemini', promptVersion: 3 };
+const line = { text: '안녕 세계', confidence: 91, bbox: { x0: 0, y0: 0, x1: 80, y1: 20 }, words: [{ text: '안녕', confidence: 90, bbox: { x0: 0, y0: 0, x1: 30, y1: 20 } }, { text: '세계', confidence: 92, bbox: { x0: 40, y0: 0, x1: 80, y1: 20 } }] };
+const result = {
+  filename: 'page1.png',
+  hash: 'abc',
+  text: '안녕 세계',
+  ocrText: '안넝 세계',
+  visionText: '안녕 세계',
+  mergedText: '안녕 세계',
+  editedText: '안녕, 세계',
+  confidence: 88,
+  lines: [line],
+  aiStatus: 'done',
+  reviewedWords: ['0:0'],
+  timings: { ocrMs: 120 },
+};
+const finalText = (r) => r.editedText ?? r.text;
+
+describe('buildResultsJson', () => {
+  const doc = buildResultsJson(session, [result], engine, finalText);
+
+  it('records the format, settings and provenance', () => {
+    expect(doc.format).toBe(RESULTS_FORMAT);
+    expect(doc.schemaVersion).toBe(RESULTS_SCHEMA_VERSION);
+    const [r] = doc.results;
+    expect(r.settings).toMatchObject({ aiModel: 'gemini', mergeStrategy: 'local', ocrProfile: 'balanced', ruleSet: session.ruleSet });
+    expect(r.finalText).toBe('안녕, 세계');
+    expect(r.edited).toBe(true);
+    expect(r.provenance.map(s => s.text).join('')).toBe('안녕 세계');
+    expect(r.lines[0].words).toHaveLength(2);
+  });
+
+  it('records the rule set of each page in auto language mode', () => {
+    const auto = { ...session, lang: 'auto', ruleSet: null, ruleSets: { kor: session.ruleSet } };
+    const { results } = buildResultsJson(auto, [{ ...result, lang: 'kor' }, { ...result, lang: 'eng' }], engine, finalText);
+    expect(results.map(r => r.settings.ruleSet)).toEqual([session.ruleSet, null]);
+  });
+});
+
+describe('parseResultsJson', () => {
+  it('restores what was exported', () => {
+    const json = JSON.stringify(buildResultsJson(session, [result], engine, finalText));
+    const { session: restored, results } = parseResultsJson(json);
+    expect(restored).toMatchObject({ name: 'OCR test', lang: 'kor', aiMode: 'ai', mergeStrategy: 'local', ruleSet: session.ruleSet });
+    expect(results[0]).toMatchObject({
+      filename: 'page1.png',
+      hash: 'abc',
+      text: '안녕 세계',
+      editedText: '안녕, 세계',
+      ocrText: '안넝 세계',
+      reviewedWords: ['0:0'],
+      words: 2,
+      aiStatus: 'done',
+    });
+  });
+
+  it('restores per-language rule sets of an auto session', () => {
+    const auto = { ...session, lang: 'auto', ruleSet: null, ruleSets: { kor: session.ruleSet } };
+    const json = JSON.stringify(buildResultsJson(auto, [{ ...result, lang: 'eng' }, { ...result, lang: 'kor' }], engine, finalText));
+    const { session: restored } = parseResultsJson(json);
+    expect(restored.ruleSet).toBeNull();
+    expect(restored.ruleSets).toEqual({ kor: session.ruleSet });
+  });
+
+  it('shows interrupted refinements as failed', () => {
+    const json = JSON.stringify(buildResultsJson(session, [{ ...result, aiStatus: 'pending' }], engine, finalText));
+    expect(parseResultsJson(json).results[0].aiStatus).toBe('failed');
+  });
+
+  it('rejects other files with a message', () => {
+    expect(() => parseResultsJson('{')).toThrow('JSON 형식이 올바르지 않습니다');
+    expect(() => parseResultsJson('{"format":"other"}')).toThrow('Moon OCR 결과 JSON 파일이 아닙니다');
+    const doc = buildResultsJson(session, [result], engine, finalText);
+    expect(() => parseResultsJson(JSON.stringify({ ...doc, schemaVersion: 99 }))).toThrow('99');
+    doc.results[0].confidence = 'high';
+    expect(() => parseResultsJson(JSON.stringify(doc))).toThrow('results[0].confidence');
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { createRuleSet, applyRules, applyRulesToLines, parseRulesText, formatRulesText, getRuleSetKey } from '../src/rule-sets.js';
+
+describe('createRuleSet', () => {
+  it('gives sets created together distinct ids', () => {
+    const ids = new Set(Array.from({ length: 50 }, () => createRuleSet().id));
+    expect(ids.size).toBe(50);
+  });
+});
+
+describe('applyRules', () => {
+  it('applies literal and regex rules in order and counts replacements', () => {
+    const rules = [
+      { find: '0', replace: 'O', regex: false },
+      { find: '(\\d{3})-(\\d{4})', replace: '$1$2', regex: true },
+    ];
+    expect(applyRules('0K 010-1234 0', rules)).toEqual({ text: 'OK O1O-1234 O', count: 4 });
+    expect(applyRules('123-4567', rules)).toEqual({ text: '1234567', count: 1 });
+  });
+
+  it('skips invalid regexes', () => {
+    expect(applyRules('a(b', [{ find: '(', replace: '', regex: true }])).toEqual({ text: 'a(b', count: 0 });
+  });
+});
+
+describe('applyRulesToLines', () => {
+  const line = () => ({
+    text: 'rnode 0ffice',
+    words: [{ text: 'rnode' }, { text: '0ffice' }],
+  });
+
+  it('corrects line and word texts alike', () => {
+    const lines = [line()];
+    const count = applyRulesToLines(lines, [{ find: '0', replace: 'o', regex: false }, { find: 'rn', replace: 'm', regex: false }]);
+    expect(count).toBe(2);
+    expect(lines[0].text).toBe('mode office');
+    expect(lines[0].words.map(w => w.text)).toEqual(['mode', 'office']);
+  });
+
+  it('corrects words one by one when a rule changes the word count', () => {
+    const lines = [line()];
+    applyRulesToLines(lines, [{ find: ' ', replace: '', regex: false }, { find: '0', replace: 'o', regex: false }]);
+    expect(lines[0].text).toBe('rnodeoffice');
+    expect(lines[0].words.map(w => w.text)).toEqual(['rnode', 'office']);
+  });
+});
+
+describe('parseRulesText / formatRulesText', () => {
+  it('round-trips literal and regex rules', () => {
+    const source = '# comment\nfoo => bar\n/(\\d)l/g => $11';
+    const { rules, errors } = parseRulesText(source);
+    expect(errors).toEqual([]);
+    expect(rules).toEqual([
+      { find: 'foo', replace: 'bar', regex: false },
+      { find: '(\\d)l', replace: '$11', regex: true, flags: 'g' },
+    ]);
+    expect(formatRulesText(rules)).toBe('foo => bar\n/(\\d)l/g => $11');
+  });
+
+  it('reports malformed lines and empty-matching regexes', () => {
+    const { rules, errors } = parseRulesText('no separator\n/a*/ => b');
+    expect(rules).toEqual([]);
+    expect(errors).toHaveLength(2);
+  });
+});
+
+describe('getRuleSetKey', () => {
+  it('changes with the rules and is empty without a set', () => {
+    const set = createRuleSet();
+    const key = getRuleSetKey(set);
+    expect(getRuleSetKey(null)).toBe('');
+    expect(getRuleSetKey({ ...set, rules: [{ find: 'a', replace: 'b', regex: false }] })).not.toBe(key);
+    expect(getRuleSetKey({ ...set, name: 'renamed' })).toBe(key);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { detectTables, normalizeRows } from '../src/table-detect.js';
+
+// Words 20px tall; cells are separated by wide gutters, words within a cell by 5px
+function word(text, x0, y0, width = 40) {
+  return { text, bbox: { x0, y0, x1: x0 + width, y1: y0 + 20 } };
+}
+
+describe('detectTables', () => {
+  it('rebuilds a grid from words read as separate column blocks', () => {
+    // Tesseract reads each column top to bottom, not row by row
+    const lines = [
+      { words: [word('Item', 0, 0), word('Apple', 0, 30), word('Pear', 0, 60)] },
+      { words: [word('Price', 200, 0), word('1.20', 200, 30), word('0.90', 200, 60)] },
+    ];
+    expect(detectTables(lines)).toEqual([{
+      bbox: { x0: 0, y0: 0, x1: 240, y1: 80 },
+      rows: [['Item', 'Price'], ['Apple', '1.20'], ['Pear', '0.90']],
+      source: 'layout',
+    }]);
+  });
+
+  it('joins nearby words into one cell and slots short rows by position', () => {
+    const lines = [
+      { words: [word('Total', 0, 0), word('due', 45, 0, 30), word('Qty', 200, 0), word('Sum', 400, 0)] },
+      { words: [word('A', 0, 30), word('1', 200, 30), word('5', 400, 30)] },
+      { words: [word('B', 0, 60), word('9', 400, 60)] },
+    ];
+    const [table] = detectTables(lines);
+    expect(table.rows).toEqual([['Total due', 'Qty', 'Sum'], ['A', '1', '5'], ['B', '', '9']]);
+  });
+
+  it('ends a table at a wide vertical gap and ignores prose', () => {
+    const lines = [
+      { words: [word('Just', 0, 0), word('one', 45, 0), word('sentence', 90, 0, 80)] },
+      { words: [word('a', 0, 40), word('b', 200, 40)] },
+      { words: [word('c', 0, 70), word('d', 200, 70)] },
+      { words: [word('e', 0, 300), word('f', 200, 300)] },
+      { words: [word('g', 0, 330), word('h', 200, 330)] },
+    ];
+    expect(detectTables(lines).map(t => t.rows)).toEqual([[['a', 'b'], ['c', 'd']], [['e', 'f'], ['g', 'h']]]);
+  });
+
+  it('needs at least two multi-cell rows', () => {
+    expect(detectTables([{ words: [word('a', 0, 0), word('b', 200, 0)] }])).toEqual([]);
+    expect(detectTables([])).toEqual([]);
+    expect(detectTables(null)).toEqual([]);
+  });
+});
+
+describe('normalizeRows', () => {
+  it('pads ragged rows and drops empty ones', () => {
+    expect(normalizeRows([['a', ' b '], [null, ''], ['c'], 'junk', [1, 2, 3]]))
+      .toEqual([['a', 'b', ''], ['c', '', ''], ['1', '2', '3']]);
+  });
+});
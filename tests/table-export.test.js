@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { unzipSync } from 'fflate';
+import { tableToCsv, createXlsx, zipCsvTables } from '../src/table-export.js';
+
+const decoder = new TextDecoder('utf-8', { ignoreBOM: true });
+const unzip = bytes => Object.fromEntries(Object.entries(unzipSync(bytes)).map(([path, data]) => [path, decoder.decode(data)]));
+
+describe('tableToCsv', () => {
+  it('writes RFC 4180 rows behind a UTF-8 BOM', () => {
+    expect(tableToCsv([['이름', '메모'], ['a,b', 'say "hi"'], ['x', 'two\nlines']]))
+      .toBe('\uFEFF이름,메모\r\n"a,b","say ""hi"""\r\nx,"two\nlines"\r\n');
+  });
+});
+
+describe('createXlsx', () => {
+  it('packs one worksheet per table', () => {
+    const files = unzip(createXlsx([{ name: 'A', rows: [['1']] }, { name: 'B', rows: [['2']] }]));
+    expect(Object.keys(files)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels',
+      'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet2.xml',
+    ]));
+    expect(files['[Content_Types].xml']).toContain('PartName="/xl/worksheets/sheet2.xml"');
+    expect(files['xl/_rels/workbook.xml.rels']).toContain('Id="rId2"');
+  });
+
+  it('keeps numbers numeric and everything else as escaped text', () => {
+    const sheet = unzip(createXlsx([{ name: 'T', rows: [['42', '-3.5', '007', 'A & <B>\x01'], ['', 'x']] }]))['xl/worksheets/sheet1.xml'];
+    expect(sheet).toContain('<c r="A1"><v>42</v></c><c r="B1"><v>-3.5</v></c>');
+    expect(sheet).toContain('<c r="C1" t="inlineStr"><is><t xml:space="preserve">007</t></is></c>');
+    expect(sheet).toContain('<t xml:space="preserve">A &amp; &lt;B&gt;</t>');
+    expect(sheet).toContain('<row r="2"><c r="B2" t="inlineStr">');
+  });
+
+  it('names columns past Z with two letters', () => {
+    const row = Array.from({ length: 28 }, (_, i) => `c${i}`);
+    const sheet = unzip(createXlsx([{ name: 'Wide', rows: [row] }]))['xl/worksheets/sheet1.xml'];
+    expect(sheet).toContain('<c r="Z1"');
+    expect(sheet).toContain('<c r="AA1"');
+    expect(sheet).toContain('<c r="AB1"');
+  });
+
+  it('makes sheet names valid and unique', () => {
+    const long = 'x'.repeat(40);
+    const workbook = unzip(createXlsx([
+      { name: 'scan[1]:a?b', rows: [] },
+      { name: long, rows: [] },
+      { name: long.toUpperCase(), rows: [] },
+      { name: long, rows: [] },
+      { name: '', rows: [] },
+    ]))['xl/workbook.xml'];
+    const names = [...workbook.matchAll(/<sheet name="([^"]*)"/g)].map(m => m[1]);
+    expect(names).toEqual(['scan_1__a_b', 'x'.repeat(31), `${'X'.repeat(27)} (2)`, `${'x'.repeat(27)} (3)`, 'Sheet']);
+  });
+});
+
+describe('zipCsvTables', () => {
+  it('writes one CSV per table with unique file names', () => {
+    const files = unzip(zipCsvTables([{ name: 'scan.pdf#p1', rows: [['a']] }, { name: 'scan.pdf#p1', rows: [['b']] }]));
+    expect(files).toEqual({ 'scan.pdf_p1.csv': '\uFEFFa\r\n', 'scan.pdf_p1 (2).csv': '\uFEFFb\r\n' });
+  });
+});
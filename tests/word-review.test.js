@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { locateWords, reviewItems } from '../src/word-review.js';
+
+const box = { x0: 0, y0: 0, x1: 10, y1: 10 };
+
+function result(overrides = {}) {
+  return {
+    ocrText: 'The qu1ck brown fox',
+    lines: [{
+      text: 'The qu1ck brown fox',
+      words: [
+        { text: 'The', confidence: 95, bbox: box },
+        { text: 'qu1ck', confidence: 40, bbox: box },
+        { text: 'brown', confidence: 92, bbox: box },
+        { text: 'fox', confidence: 65, bbox: box },
+      ],
+    }],
+    ...overrides,
+  };
+}
+
+describe('locateWords', () => {
+  it('finds each word in reading order', () => {
+    const spans = locateWords('a b a', [{ text: 'a' }, { text: 'b' }, { text: 'a' }]);
+    expect(spans).toEqual([{ start: 0, end: 1 }, { start: 2, end: 3 }, { start: 4, end: 5 }]);
+  });
+
+  it('leaves words missing from the text unplaced', () => {
+    expect(locateWords('hello', [{ text: 'world' }])).toEqual([null]);
+  });
+});
+
+describe('reviewItems', () => {
+  it('returns the words below the threshold with their spans', () => {
+    const items = reviewItems(result(), 'The qu1ck brown fox', 70);
+    expect(items.map(item => [item.key, item.text, item.start, item.end])).toEqual([
+      ['0:1', 'qu1ck', 4, 9],
+      ['0:3', 'fox', 16, 19],
+    ]);
+  });
+
+  it('returns nothing when every word is confident enough', () => {
+    expect(reviewItems(result(), 'The qu1ck brown fox', 30)).toEqual([]);
+  });
+
+  it('follows the words into an edited text and drops changed ones', () => {
+    const items = reviewItems(result(), 'Well, The quick brown fox', 70);
+    expect(items.map(item => [item.text, item.start])).toEqual([['fox', 22]]);
+  });
+
+  it('keeps reviewed words even after they changed', () => {
+    const items = reviewItems(result({ reviewedWords: ['0:1'] }), 'The quick brown fox', 70);
+    expect(items.find(item => item.key === '0:1')).toMatchObject({ reviewed: true, start: null });
+  });
+
+  it('suggests what vision read in place of a doubtful word', () => {
+    const items = reviewItems(result({ visionText: 'The quick brown fox' }), 'The qu1ck brown fox', 70);
+    expect(items[0].vision).toBe('quick');
+    expect(items[1].vision).toBeNull();
+  });
+});
@@ -1,10 +1,120 @@
 import { defineConfig, loadEnv } from 'vite';
+import { readFileSync, readdirSync, existsSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+
+const moduleDir = (name) => new URL(`./node_modules/${name}/`, import.meta.url);
+const packageVersion = (name) => JSON.parse(readFileSync(new URL('package.json', moduleDir(name)), 'utf8')).version;
+
+/**
+ * Tesseract worker and core builds served from the app's own origin, in
+ * folders named after their version so cached copies never go stale
+ * @returns {{workerPath: string, corePath: string, files: Map<string, URL>}}
+ *   paths relative to the base URL; files maps output path → source file
+ */
+function tesseractAssets() {
+  const workerPath = `tesseract/${packageVersion('tesseract.js')}/worker.min.js`;
+  const corePath = `tesseract/core-${packageVersion('tesseract.js-core')}`;
+  const files = new Map([[workerPath, new URL('dist/worker.min.js', moduleDir('tesseract.js'))]]);
+  for (const name of readdirSync(moduleDir('tesseract.js-core'))) {
+    // The .wasm.js builds embed their wasm, so one file per variant
+    if (name.endsWith('.wasm.js')) files.set(`${corePath}/${name}`, new URL(name, moduleDir('tesseract.js-core')));
+  }
+  return { workerPath, corePath, files };
+}
+
+/**
+ * Language packs of the @tesseract.js-data packages in the dependencies, in
+ * the CDN's two variants: with the legacy model (4.0.0) and LSTM-only
+ * (4.0.0_best_int). Add a package to serve another language from the app.
+ * @returns {{langPath: string, langs: string[], files: Map<string, URL>}}
+ */
+function languagePacks() {
+  const langPath = 'tessdata';
+  const dataDir = moduleDir('@tesseract.js-data');
+  const langs = existsSync(dataDir) ? readdirSync(dataDir).sort() : [];
+  const files = new Map();
+  for (const code of langs) {
+    for (const variant of ['4.0.0', '4.0.0_best_int']) {
+      files.set(`${langPath}/${variant}/${code}.traineddata.gz`, new URL(`${code}/${variant}/${code}.traineddata.gz`, dataDir));
+    }
+  }
+  return { langPath, langs, files };
+}
+
+/**
+ * Noto Sans CJK fonts for the PDF text layer, one per `cjkFont` key in languages.js
+ * @returns {{fontPath: string, paths: Object<string, string>, files: Map<string, URL>}}
+ */
+function cjkFonts() {
+  const fontPath = 'fonts';
+  const paths = {};
+  const files = new Map();
+  for (const key of ['KR', 'JP', 'SC', 'TC']) {
+    const name = `@expo-google-fonts/noto-sans-${key.toLowerCase()}`;
+    const fileName = `NotoSans${key}_400Regular.ttf`;
+    paths[key] = `${fontPath}/noto-sans-${key.toLowerCase()}-${packageVersion(name)}/${fileName}`;
+    files.set(paths[key], new URL(`400Regular/${fileName}`, moduleDir(name)));
+  }
+  return { fontPath, paths, files };
+}
+
+const CONTENT_TYPES = { '.js': 'text/javascript', '.gz': 'application/gzip', '.ttf': 'font/ttf' };
+
+/**
+ * Serves the Tesseract files, language packs and fonts in dev, emits them in
+ * the build, and builds sw.js from src/service-worker.js with the list of
+ * files to precache. The core builds are listed apart, since the service
+ * worker only precaches those this browser can run. Language packs and fonts
+ * are left out — the service worker keeps those it fetched in caches of their own.
+ * @param {Map<string, URL>} files
+ * @param {{corePath: string, runtimePaths: string[]}} paths - runtimePaths: folders cached on first use
+ */
+function offlineAssets(files, { corePath, runtimePaths }) {
+  let base = '/';
+  return {
+    name: 'moon-ocr-offline-assets',
+    enforce: 'post',
+    configResolved(config) {
+      base = config.base;
+    },
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const source = files.get(req.url.split('?')[0].slice(base.length));
+        if (!source) return next();
+        res.setHeader('Content-Type', CONTENT_TYPES[source.pathname.match(/\.\w+$/)?.[0]] || 'application/octet-stream');
+        res.end(readFileSync(source));
+      });
+    },
+    generateBundle(_, bundle) {
+      for (const [fileName, source] of files) {
+        this.emitFile({ type: 'asset', fileName, source: readFileSync(source) });
+      }
+      // '' is the base URL itself, which serves index.html; the bundle now holds the Tesseract files and fonts too
+      const names = Object.keys(bundle).filter(name => !name.endsWith('.map') && !runtimePaths.some(path => name.startsWith(`${path}/`)));
+      const cores = names.filter(name => name.startsWith(`${corePath}/`));
+      const urls = ['', ...names.filter(name => !cores.includes(name))];
+      const version = createHash('sha256').update([...urls, ...cores].join('\n')).digest('hex').slice(0, 12);
+      const source = readFileSync(new URL('./src/service-worker.js', import.meta.url), 'utf8')
+        .replace('self.__PRECACHE_MANIFEST__', JSON.stringify({ version, urls, cores }));
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    },
+  };
+}
 
 export default defineConfig(({ mode }) => {
   const env = loadEnv(mode, '.', '');
+  const { workerPath, corePath, files } = tesseractAssets();
+  const packs = languagePacks();
+  const fonts = cjkFonts();
   return {
     define: {
       'process.env.GEMINI_API_KEY': JSON.stringify(env.GEMINI_API_KEY),
+      __TESSERACT_WORKER_PATH__: JSON.stringify(workerPath),
+      __TESSERACT_CORE_PATH__: JSON.stringify(corePath),
+      __TESSERACT_LANG_PATH__: JSON.stringify(packs.langPath),
+      __TESSERACT_LANG_PACKS__: JSON.stringify(packs.langs),
+      __CJK_FONT_PATHS__: JSON.stringify(fonts.paths),
     },
+    plugins: [offlineAssets(new Map([...files, ...packs.files, ...fonts.files]), { corePath, runtimePaths: [packs.langPath, fonts.fontPath] })],
   };
 });